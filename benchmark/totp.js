@@ -0,0 +1,85 @@
+/**
+ * @file TOTP Policy Benchmark
+ * @copyright Multifactor 2022 All Rights Reserved
+ *
+ * @description
+ * Report the size of TOTP key policies with each offset encoding, compared with the smallest possible encoding of their offsets,
+ * and the time taken to derive and to serialize them
+ *
+ * Usage: node benchmark/totp.js [window...]
+ *
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ */
+
+const mfkdf = require('../src')
+const speakeasy = require('speakeasy')
+const { width } = require('../src/offsets')
+
+// 1 day, 1 week, and 1 month (the default) of 30 second steps
+const windows = process.argv.length > 2 ? process.argv.slice(2).map(Number) : [2880, 20160, 87600]
+const runs = 5
+const secret = Buffer.from('hello world')
+const time = 1650430806597
+
+function base64 (bytes) {
+  return 4 * Math.ceil(bytes / 3)
+}
+
+// mean time of a few runs after a warm-up run, in milliseconds
+async function measure (fn) {
+  await fn()
+  const start = process.hrtime.bigint()
+  for (let i = 0; i < runs; i++) await fn()
+  return Number(process.hrtime.bigint() - start) / 1e6 / runs
+}
+
+async function main () {
+  const rows = []
+
+  for (const digits of [6, 7, 8]) {
+    for (const window of windows) {
+      const sizes = {}
+      const derive = {}
+      const serialize = {}
+      for (const encoding of ['uint32', 'packed']) {
+        const setup = await mfkdf.setup.key([
+          await mfkdf.setup.factors.totp({ digits, window, encoding, secret, time })
+        ], { kdf: 'hkdf' })
+        const json = JSON.stringify(setup.policy)
+        sizes[encoding] = Buffer.byteLength(json)
+
+        // a login two steps into the window, which reuses the stored offsets and refills two more
+        const now = time + 60000
+        const code = parseInt(speakeasy.totp({ secret: secret.toString('hex'), encoding: 'hex', digits, time: now / 1000 }))
+        derive[encoding] = await measure(async () => await mfkdf.derive.key(setup.policy, {
+          totp: mfkdf.derive.factors.totp(code, { time: now })
+        }))
+        serialize[encoding] = await measure(async () => JSON.parse(JSON.stringify(JSON.parse(json))))
+      }
+
+      // offsets are uniform modulo 10^digits, so no encoding can store them in fewer bits
+      const bound = Math.log2(10 ** digits)
+      const overhead = sizes.packed - base64(Math.ceil(window * width(digits) / 8))
+      const ideal = overhead + base64(Math.ceil(window * bound / 8))
+
+      rows.push({
+        digits,
+        window,
+        'uint32 (bytes)': sizes.uint32,
+        'packed (bytes)': sizes.packed,
+        'ideal (bytes)': ideal,
+        'packed / uint32': (sizes.packed / sizes.uint32).toFixed(3),
+        'packed / ideal': (sizes.packed / ideal).toFixed(3),
+        'bits per offset': width(digits) + ' (' + bound.toFixed(2) + ')',
+        'derive uint32 (ms)': derive.uint32.toFixed(1),
+        'derive packed (ms)': derive.packed.toFixed(1),
+        'serialize uint32 (ms)': serialize.uint32.toFixed(2),
+        'serialize packed (ms)': serialize.packed.toFixed(2)
+      })
+    }
+  }
+
+  console.table(rows)
+}
+
+main()
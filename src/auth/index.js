@@ -5,6 +5,7 @@
  */
 
 const crypto = require('crypto')
+const { algorithm } = require('../signatures')
 let subtle
 /* istanbul ignore next */
 if (typeof window !== 'undefined') {
@@ -81,17 +82,19 @@ module.exports.VerifyISO97982PassUnilateralAuthSymmetric = VerifyISO97982PassUni
  * @param {Buffer} identity - The identity of the challenger
  * @param {Buffer} response - The response of the responder
  * @param {Buffer} key - The key used to authenticate
+ * @param {string} [method='rsa1024'] - Signature method used by the responder; ed25519, p256, p384, rsa1024, rsa2048, or rsa3072
  * @returns {boolean} Whether the response is valid
  * @author Vivek Nair (https://nair.me) <vivek@nair.me>
  * @since 0.17.0
  * @memberOf auth
  * @async
  */
-async function VerifyISO97982PassUnilateralAuthAsymmetric (challenge, identity, response, key) {
+async function VerifyISO97982PassUnilateralAuthAsymmetric (challenge, identity, response, key, method = 'rsa1024') {
   const plaintext = Buffer.concat([challenge, identity])
+  const params = algorithm(method)
 
-  const cryptoKey = await subtle.importKey('spki', key, { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, false, ['verify'])
-  return await subtle.verify({ name: 'RSASSA-PKCS1-v1_5' }, cryptoKey, response, plaintext)
+  const cryptoKey = await subtle.importKey('spki', key, params.key, false, ['verify'])
+  return await subtle.verify(params.signature, cryptoKey, response, plaintext)
 }
 module.exports.VerifyISO97982PassUnilateralAuthAsymmetric = VerifyISO97982PassUnilateralAuthAsymmetric
 
@@ -186,13 +189,14 @@ module.exports.VerifyISO97981PassUnilateralAuthSymmetric = VerifyISO97981PassUni
  * @param {Buffer} response - The response of the responder
  * @param {Buffer} key - The key used to authenticate
  * @param {number} [window=5] - The maximum time difference in seconds
+ * @param {string} [method='rsa1024'] - Signature method used by the responder; ed25519, p256, p384, rsa1024, rsa2048, or rsa3072
  * @returns {boolean} Whether the response is valid
  * @author Vivek Nair (https://nair.me) <vivek@nair.me>
  * @since 0.17.0
  * @memberOf auth
  * @async
  */
-async function VerifyISO97981PassUnilateralAuthAsymmetric (identity, response, key, window = 5) {
+async function VerifyISO97981PassUnilateralAuthAsymmetric (identity, response, key, window = 5, method = 'rsa1024') {
   const challenge = response.subarray(0, 4)
   const value = response.subarray(4)
 
@@ -200,7 +204,7 @@ async function VerifyISO97981PassUnilateralAuthAsymmetric (identity, response, k
   const observed = challenge.readUInt32BE(0)
   if (Math.abs(actual - observed) > window) return false
 
-  return await VerifyISO97982PassUnilateralAuthAsymmetric(challenge, identity, value, key)
+  return await VerifyISO97982PassUnilateralAuthAsymmetric(challenge, identity, value, key, method)
 }
 module.exports.VerifyISO97981PassUnilateralAuthAsymmetric = VerifyISO97981PassUnilateralAuthAsymmetric
 
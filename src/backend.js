@@ -0,0 +1,249 @@
+/**
+ * @file Execution Backends
+ * @copyright Multifactor 2022 All Rights Reserved
+ *
+ * @description
+ * Run KDF and HKDF operations on the calling thread, or on a pool of worker threads in Node or Web Workers in browsers
+ *
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ */
+
+const { hkdf } = require('@panva/hkdf')
+const errors = require('./errors')
+
+const backends = ['inline', 'worker']
+const state = { backend: 'inline', options: {} }
+
+let pool = null
+let nextId = 0
+
+// the script mfkdf was loaded from in browsers, which is only known while it first runs
+const script = typeof document !== 'undefined' && document.currentScript ? document.currentScript.src : undefined
+let blob = null
+
+// operations that can be offloaded; arguments and results must survive structured cloning
+const methods = {
+  kdf: async (input, salt, size, options) => {
+    return await require('./kdf').kdf(Buffer.from(input), Buffer.from(salt), size, options, 'inline')
+  },
+  hkdf: async (digest, ikm, salt, info, size) => {
+    return Buffer.from(await hkdf(digest, ikm, salt, info, size))
+  }
+}
+
+function validate (backend) {
+  if (typeof backend !== 'string') throw new TypeError('backend must be a string')
+  if (!backends.includes(backend)) throw new RangeError('backend must be one of inline or worker')
+}
+
+// error properties that survive the trip back from a worker
+const properties = ['code', 'factor', 'factors']
+
+function serialize (error) {
+  const serialized = { name: error.name, message: error.message }
+  for (const property of properties) {
+    if (typeof error[property] !== 'undefined') serialized[property] = error[property]
+  }
+  return serialized
+}
+
+// classes of errors rebuilt from a worker, by name
+const types = Object.assign({ TypeError, RangeError }, errors)
+
+// rebuild an error thrown in a worker with its original class
+function deserialize (serialized) {
+  const Type = Object.prototype.hasOwnProperty.call(types, serialized.name) ? types[serialized.name] : Error
+  const error = Type === errors.FactorVerificationError ? new Type(serialized.message, serialized.factors) : new Type(serialized.message)
+  for (const property of properties) {
+    if (typeof serialized[property] !== 'undefined') error[property] = serialized[property]
+  }
+  return error
+}
+
+// url of the Web Worker script; by default, a Blob worker that loads mfkdf from the same script and serves its operations
+function source () {
+  if (typeof state.options.url === 'string') return state.options.url
+  if (typeof script !== 'string') throw new RangeError('worker backend needs a url when mfkdf is not loaded from a script')
+  if (blob === null) {
+    const code = 'importScripts(' + JSON.stringify(script) + ');mfkdf.backend.serve(self)'
+    blob = window.URL.createObjectURL(new window.Blob([code], { type: 'text/javascript' }))
+  }
+  return blob
+}
+
+function spawn () {
+  let worker
+  if (typeof window !== 'undefined') {
+    worker = new window.Worker(source())
+    worker.onmessage = (event) => settle(worker, event.data)
+    /* istanbul ignore next */
+    worker.onerror = () => terminate()
+  } else {
+    const { Worker } = require('worker_threads')
+    worker = new Worker(require('path').join(__dirname, 'worker.js'))
+    worker.on('message', (message) => settle(worker, message))
+    /* istanbul ignore next */
+    worker.on('error', () => terminate())
+    worker.unref()
+  }
+  return worker
+}
+
+function dispatch () {
+  while (pool.queue.length > 0 && pool.idle.length > 0) {
+    const worker = pool.idle.pop()
+    const job = pool.queue.shift()
+    pool.jobs.set(job.id, job)
+    // only worker threads keep Node alive while busy
+    if (worker.ref) worker.ref()
+    worker.postMessage({ id: job.id, method: job.method, args: job.args })
+  }
+}
+
+function settle (worker, message) {
+  const job = pool.jobs.get(message.id)
+  pool.jobs.delete(message.id)
+  if (worker.unref) worker.unref()
+  pool.idle.push(worker)
+
+  if (message.error) {
+    job.reject(deserialize(message.error))
+  } else {
+    job.resolve(Buffer.from(message.result))
+  }
+  dispatch()
+}
+
+/**
+ * Select the default backend used to run KDF and HKDF operations during key setup and derivation
+ *
+ * @example
+ * // run key derivation on a pool of two worker threads
+ * mfkdf.backend.set('worker', { threads: 2 })
+ *
+ * // derive key without blocking the event loop
+ * const derived = await mfkdf.derive.key(policy, factors)
+ *
+ * // use a worker for one call only
+ * mfkdf.backend.set('inline')
+ * const derived2 = await mfkdf.derive.key(policy, factors, { backend: 'worker' })
+ *
+ * @param {string} [backend='inline'] - Backend to use; inline (calling thread) or worker (worker_threads in Node, Web Workers in browsers)
+ * @param {Object} [options] - Backend options
+ * @param {number} [options.threads=1] - Number of workers in the pool
+ * @param {string} [options.url] - URL of the Web Worker script in browsers, which should load mfkdf and call mfkdf.backend.serve(self); by default, a Blob worker loads mfkdf from the script it was loaded from
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf backend
+ */
+function set (backend = 'inline', options = {}) {
+  validate(backend)
+  options = Object.assign({ threads: 1 }, options)
+  if (!Number.isInteger(options.threads)) throw new TypeError('threads must be an integer')
+  if (options.threads <= 0) throw new RangeError('threads must be positive')
+  if (typeof options.url !== 'undefined' && typeof options.url !== 'string') throw new TypeError('url must be a string')
+
+  terminate()
+  state.backend = backend
+  state.options = options
+}
+module.exports.set = set
+
+/**
+ * Get the default backend used to run KDF and HKDF operations
+ *
+ * @example
+ * mfkdf.backend.get() // -> inline
+ *
+ * @returns {string} The default backend; inline or worker
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf backend
+ */
+function get () {
+  return state.backend
+}
+module.exports.get = get
+
+/**
+ * Stop all running workers; a new pool is started when a worker is next needed
+ *
+ * @example
+ * mfkdf.backend.set('worker')
+ * const derived = await mfkdf.derive.key(policy, factors)
+ * await mfkdf.backend.terminate()
+ *
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf backend
+ * @async
+ */
+async function terminate () {
+  if (pool === null) return
+  const workers = pool.workers
+  for (const job of pool.queue.concat(Array.from(pool.jobs.values()))) job.reject(new Error('backend terminated'))
+  pool = null
+  await Promise.all(workers.map((worker) => worker.terminate()))
+}
+module.exports.terminate = terminate
+
+/**
+ * Run an operation on the given backend, or on the default backend
+ *
+ * @param {string} method - Operation to run; kdf or hkdf
+ * @param {Array} args - Arguments of the operation
+ * @param {string} [backend] - Backend to use; inline or worker
+ * @returns {Buffer} Result of the operation
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf backend
+ * @async
+ */
+async function run (method, args, backend = state.backend) {
+  validate(backend)
+  if (backend === 'inline') return await methods[method](...args)
+
+  if (pool === null) {
+    const workers = []
+    const threads = state.backend === 'worker' ? state.options.threads : 1
+    for (let i = 0; i < threads; i++) workers.push(spawn())
+    pool = { workers, idle: workers.slice(), queue: [], jobs: new Map() }
+  }
+
+  return await new Promise((resolve, reject) => {
+    pool.queue.push({ id: nextId++, method, args, resolve, reject })
+    dispatch()
+  })
+}
+module.exports.run = run
+
+/**
+ * Handle operations sent to a worker; called automatically by the worker thread entry point and by the default Web Worker.
+ * Errors are sent back with their name, code, and factor, so that MFKDF errors are rethrown with their own class
+ *
+ * @example
+ * // worker.js
+ * mfkdf.backend.serve(require('worker_threads').parentPort)
+ *
+ * // mfkdf.worker.js, for backend.set('worker', { url: 'mfkdf.worker.js' })
+ * importScripts('mfkdf.js')
+ * mfkdf.backend.serve(self)
+ *
+ * @param {Object} port - The worker's message port; parentPort in worker threads, or self in Web Workers
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf backend
+ */
+function serve (port) {
+  const handle = async ({ id, method, args }) => {
+    try {
+      port.postMessage({ id, result: await methods[method](...args) })
+    } catch (error) {
+      port.postMessage({ id, error: serialize(error) })
+    }
+  }
+
+  if (typeof port.on === 'function') port.on('message', handle)
+  else port.addEventListener('message', (event) => handle(event.data))
+}
+module.exports.serve = serve
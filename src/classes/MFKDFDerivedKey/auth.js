@@ -60,17 +60,23 @@ module.exports.ISO97982PassUnilateralAuthSymmetric = ISO97982PassUnilateralAuthS
  * const authKey = await key.ISO9798AsymmetricKey()
  * const valid = await mfkdf.auth.VerifyISO97982PassUnilateralAuthAsymmetric(challenge, identity, response, authKey) // -> true
  *
+ * // or use EdDSA (ed25519) or ES256 (p256) signatures
+ * const es256 = await key.ISO97982PassUnilateralAuthAsymmetric(challenge, identity, 'p256')
+ * const es256Key = await key.ISO9798AsymmetricKey('p256')
+ * const valid2 = await mfkdf.auth.VerifyISO97982PassUnilateralAuthAsymmetric(challenge, identity, es256, es256Key, 'p256') // -> true
+ *
  * @param {Buffer} challenge - The nonce value provided by the challenger
  * @param {Buffer} identity - The identity of the challenger
+ * @param {string} [method='rsa1024'] - Signature method to use; ed25519, p256, p384, rsa1024, rsa2048, or rsa3072
  * @returns {Buffer} The response value
  * @author Vivek Nair (https://nair.me) <vivek@nair.me>
  * @since 0.17.0
  * @memberOf MFKDFDerivedKey
  * @async
  */
-async function ISO97982PassUnilateralAuthAsymmetric (challenge, identity) {
+async function ISO97982PassUnilateralAuthAsymmetric (challenge, identity, method = 'rsa1024') {
   const plaintext = Buffer.concat([challenge, identity])
-  return await this.sign(plaintext, 'rsa1024', true)
+  return await this.sign(plaintext, method, true)
 }
 module.exports.ISO97982PassUnilateralAuthAsymmetric = ISO97982PassUnilateralAuthAsymmetric
 
@@ -154,17 +160,18 @@ module.exports.ISO97981PassUnilateralAuthSymmetric = ISO97981PassUnilateralAuthS
  * const valid = await mfkdf.auth.VerifyISO97981PassUnilateralAuthAsymmetric(identity, response, authKey) // -> true
  *
  * @param {Buffer} identity - The identity of the challenger
+ * @param {string} [method='rsa1024'] - Signature method to use; ed25519, p256, p384, rsa1024, rsa2048, or rsa3072
  * @returns {Buffer} The response value
  * @author Vivek Nair (https://nair.me) <vivek@nair.me>
  * @since 0.17.0
  * @memberOf MFKDFDerivedKey
  * @async
  */
-async function ISO97981PassUnilateralAuthAsymmetric (identity) {
+async function ISO97981PassUnilateralAuthAsymmetric (identity, method = 'rsa1024') {
   const date = Math.floor(Date.now() / 1000)
   const challenge = Buffer.allocUnsafe(4)
   challenge.writeUInt32BE(date, 0)
-  const response = await this.ISO97982PassUnilateralAuthAsymmetric(challenge, identity)
+  const response = await this.ISO97982PassUnilateralAuthAsymmetric(challenge, identity, method)
   return Buffer.concat([challenge, response])
 }
 module.exports.ISO97981PassUnilateralAuthAsymmetric = ISO97981PassUnilateralAuthAsymmetric
@@ -247,14 +254,15 @@ module.exports.ISO9798SymmetricKey = ISO9798SymmetricKey
  * const authKey = await key.ISO9798AsymmetricKey()
  * const valid = await mfkdf.auth.VerifyISO97982PassUnilateralAuthAsymmetric(challenge, identity, response, authKey) // -> true
  *
+ * @param {string} [method='rsa1024'] - Signature method to use; ed25519, p256, p384, rsa1024, rsa2048, or rsa3072
  * @returns {Buffer} Public key (spki-der encoded)
  * @author Vivek Nair (https://nair.me) <vivek@nair.me>
  * @since 0.17.0
  * @memberOf MFKDFDerivedKey
  * @async
  */
-async function ISO9798AsymmetricKey () {
-  return (await this.getAsymmetricKeyPair('rsa1024', true)).publicKey
+async function ISO9798AsymmetricKey (method = 'rsa1024') {
+  return (await this.getAsymmetricKeyPair(method, true)).publicKey
 }
 module.exports.ISO9798AsymmetricKey = ISO9798AsymmetricKey
 
@@ -11,6 +11,8 @@
 const { hkdf } = require('@panva/hkdf')
 const crypto = require('crypto')
 const getKeyPairFromSeed = require('human-crypto-keys').getKeyPairFromSeed
+const { algorithm } = require('../../signatures')
+const ecies = require('../../ecies')
 let subtle
 /* istanbul ignore next */
 if (typeof window !== 'undefined') {
@@ -19,6 +21,115 @@ if (typeof window !== 'undefined') {
   subtle = crypto.webcrypto.subtle
 }
 
+// self-describing AEAD ciphertext format:
+// magic (5) | version (1) | method (1) | mode (1) | nonce length (1) | nonce | ciphertext | tag (16)
+const aead = {
+  magic: Buffer.from('MFKDF'),
+  version: 1,
+  methods: ['aes128', 'aes192', 'aes256', 'chacha20'],
+  modes: ['GCM', 'POLY1305'],
+  nonceLength: 12,
+  tagLength: 16
+}
+
+function aeadCipher (method, mode) {
+  if (method === 'chacha20') {
+    if (mode !== 'POLY1305') throw new RangeError('chacha20 only supports POLY1305 mode')
+    return 'CHACHA20-POLY1305'
+  } else if (mode === 'GCM' && ['aes128', 'aes192', 'aes256'].includes(method)) {
+    return 'AES-' + method.substring(3) + '-GCM'
+  } else {
+    throw new RangeError(mode + ' mode is not supported for method: ' + method)
+  }
+}
+
+function aeadHeader (message) {
+  const offset = aead.magic.length + 4
+  if (message.length < offset) return null
+  if (!message.subarray(0, aead.magic.length).equals(aead.magic)) return null
+  if (message[aead.magic.length] !== aead.version) return null
+
+  const method = aead.methods[message[aead.magic.length + 1]]
+  const mode = aead.modes[message[aead.magic.length + 2]]
+  const nonceLength = message[aead.magic.length + 3]
+  if (!method || !mode || nonceLength !== aead.nonceLength) return null
+  if (message.length < offset + nonceLength + aead.tagLength) return null
+
+  return {
+    method,
+    mode,
+    header: message.subarray(0, offset + nonceLength),
+    nonce: message.subarray(offset, offset + nonceLength),
+    ct: message.subarray(offset + nonceLength, message.length - aead.tagLength),
+    tag: message.subarray(message.length - aead.tagLength)
+  }
+}
+
+// enveloped secrets use this to tell authenticated ciphertexts from legacy ones
+module.exports.aeadHeader = aeadHeader
+
+// NIST curves supported for ECDSA and ECDH key pairs
+const curves = {
+  p256: {
+    name: 'P-256',
+    ecdh: 'prime256v1',
+    size: 32,
+    order: BigInt('0xffffffff00000000ffffffffffffffffbce6faada7179e84f3b9cac2fc632551')
+  },
+  p384: {
+    name: 'P-384',
+    ecdh: 'secp384r1',
+    size: 48,
+    order: BigInt('0xffffffffffffffffffffffffffffffffffffffffffffffffc7634d81f4372ddf581a0db248b0a77aecec196accc52973')
+  }
+}
+
+function base64url (buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+// deterministic EC key pair from seed material at least 64 bits longer than the curve order (FIPS 186-4 B.4.1)
+async function ecKeyPair (seed, curve, name = 'ECDSA') {
+  const scalar = (BigInt('0x' + seed.toString('hex')) % (curve.order - BigInt(1))) + BigInt(1)
+  const d = Buffer.from(scalar.toString(16).padStart(curve.size * 2, '0'), 'hex')
+
+  const ecdh = crypto.createECDH(curve.ecdh)
+  ecdh.setPrivateKey(d)
+  const point = ecdh.getPublicKey()
+
+  const jwk = {
+    kty: 'EC',
+    crv: curve.name,
+    x: base64url(point.subarray(1, 1 + curve.size)),
+    y: base64url(point.subarray(1 + curve.size))
+  }
+  const params = { name, namedCurve: curve.name }
+  const usages = name === 'ECDH' ? [['deriveBits'], []] : [['sign'], ['verify']]
+
+  const privateKey = await subtle.importKey('jwk', Object.assign({ d: base64url(d) }, jwk), params, true, usages[0])
+  const publicKey = await subtle.importKey('jwk', jwk, params, true, usages[1])
+
+  return {
+    privateKey: new Uint8Array(await subtle.exportKey('pkcs8', privateKey)),
+    publicKey: new Uint8Array(await subtle.exportKey('spki', publicKey))
+  }
+}
+
+// X25519 key pair from a 32-byte seed used directly as the private key (RFC 7748)
+async function x25519KeyPair (seed) {
+  const params = { name: 'X25519' }
+  const pkcs8 = Buffer.concat([Buffer.from('302e020100300506032b656e04220420', 'hex'), seed])
+
+  const privateKey = await subtle.importKey('pkcs8', pkcs8, params, true, ['deriveBits'])
+  const jwk = await subtle.exportKey('jwk', privateKey)
+  const publicKey = await subtle.importKey('jwk', { kty: 'OKP', crv: 'X25519', x: jwk.x }, params, true, [])
+
+  return {
+    privateKey: new Uint8Array(pkcs8),
+    publicKey: new Uint8Array(await subtle.exportKey('spki', publicKey))
+  }
+}
+
 /**
  * Create a sub-key of specified size and purpose using HKDF
  *
@@ -59,7 +170,7 @@ module.exports.getSubkey = getSubkey
  * const subkey = await key.getSymmetricKey('aes128')
  * subkey.toString('hex') // -> c985454e008e5ecc695e865d339cb2be
  *
- * @param {string} [type='aes256'] - Type of key to generate; des, 3des, aes128, aes192, or aes256
+ * @param {string} [type='aes256'] - Type of key to generate; des, 3des, aes128, aes192, aes256, or chacha20
  * @param {boolean} [auth=false] - Whether this is being used for authentication
  * @returns {Buffer} Derived sub-key as a Buffer
  * @author Vivek Nair (https://nair.me) <vivek@nair.me>
@@ -79,6 +190,8 @@ async function getSymmetricKey (type = 'aes256', auth = false) {
     return await this.getSubkey(24, auth ? 'AES192AUTH' : 'AES192', 'sha256')
   } else if (type === 'aes256') { // AES 256
     return await this.getSubkey(32, auth ? 'AES256AUTH' : 'AES256', 'sha256')
+  } else if (type === 'chacha20') { // ChaCha20
+    return await this.getSubkey(32, auth ? 'CHACHA20AUTH' : 'CHACHA20', 'sha256')
   } else {
     throw new RangeError('unknown type: ' + type)
   }
@@ -95,7 +208,7 @@ module.exports.getSymmetricKey = getSymmetricKey
  * // get 16-byte RSA1024 sub-key
  * const subkey = await key.getAsymmetricKeyPair('rsa1024') // -> { privateKey: Uint8Array, publicKey: Uint8Array }
  *
- * @param {string} [type='rsa3072'] - Type of key to generate; ed25519, rsa1024, rsa2048, or rsa3072
+ * @param {string} [type='rsa3072'] - Type of key to generate; ed25519, p256, p384, x25519, p256ecdh, rsa1024, rsa2048, or rsa3072
  * @param {boolean} [auth=false] - Whether this is being used for authentication
  * @returns {Object} Public key (spki-der encoded) and private key (pkcs8-der encoded)
  * @author Vivek Nair (https://nair.me) <vivek@nair.me>
@@ -109,6 +222,18 @@ async function getAsymmetricKeyPair (type = 'rsa3072', auth = false) {
   if (type === 'ed25519') { // ed25519
     const material = await this.getSubkey(32, auth ? 'ED25519AUTH' : 'ED25519', 'sha256')
     return await getKeyPairFromSeed(material, { id: 'ed25519' }, format)
+  } else if (type === 'p256') { // ECDSA P-256
+    const material = await this.getSubkey(40, auth ? 'P256AUTH' : 'P256', 'sha256')
+    return await ecKeyPair(material, curves.p256)
+  } else if (type === 'p384') { // ECDSA P-384
+    const material = await this.getSubkey(56, auth ? 'P384AUTH' : 'P384', 'sha256')
+    return await ecKeyPair(material, curves.p384)
+  } else if (type === 'x25519') { // X25519
+    const material = await this.getSubkey(32, auth ? 'X25519AUTH' : 'X25519', 'sha256')
+    return await x25519KeyPair(material)
+  } else if (type === 'p256ecdh') { // ECDH P-256
+    const material = await this.getSubkey(40, auth ? 'P256ECDHAUTH' : 'P256ECDH', 'sha256')
+    return await ecKeyPair(material, curves.p256, 'ECDH')
   } else if (type === 'rsa1024') { // RSA 1024
     const material = await this.getSubkey(32, auth ? 'RSA1024AUTH' : 'RSA1024', 'sha256')
     return await getKeyPairFromSeed(material, { id: 'rsa', modulusLength: 1024 }, format)
@@ -124,6 +249,47 @@ async function getAsymmetricKeyPair (type = 'rsa3072', auth = false) {
 }
 module.exports.getAsymmetricKeyPair = getAsymmetricKeyPair
 
+/**
+ * Derive a shared secret with a peer using X25519 or ECDH over P-256, passed through HKDF
+ *
+ * @example
+ * // setup two multi-factor derived keys
+ * const alice = await mfkdf.setup.key([ await mfkdf.setup.factors.password('password1') ])
+ * const bob = await mfkdf.setup.key([ await mfkdf.setup.factors.password('password2') ])
+ *
+ * // exchange public keys
+ * const alicePublic = (await alice.getAsymmetricKeyPair('x25519')).publicKey
+ * const bobPublic = (await bob.getAsymmetricKeyPair('x25519')).publicKey
+ *
+ * // both parties derive the same 32-byte secret
+ * const a = await alice.deriveSharedSecret(bobPublic, 'chat')
+ * const b = await bob.deriveSharedSecret(alicePublic, 'chat')
+ * a.equals(b) // -> true
+ *
+ * @param {Uint8Array} peerPublicKey - Public key of the peer (spki-der encoded)
+ * @param {string|Buffer} [info=''] - HKDF context; use a distinct value for each purpose
+ * @param {string} [method='x25519'] - Key agreement method to use; x25519 or p256ecdh
+ * @param {number} [size=32] - Size of the shared secret in bytes
+ * @returns {Buffer} Shared secret
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf MFKDFDerivedKey
+ * @async
+ */
+async function deriveSharedSecret (peerPublicKey, info = '', method = 'x25519', size = 32) {
+  if (typeof info === 'string') info = Buffer.from(info)
+  if (!(Buffer.isBuffer(info))) throw new TypeError('info must be a buffer')
+  if (!Number.isInteger(size)) throw new TypeError('size must be an integer')
+  if (size <= 0) throw new RangeError('size must be positive')
+  method = method.toLowerCase()
+  if (!['x25519', 'p256ecdh'].includes(method)) throw new RangeError('unknown key agreement method: ' + method)
+
+  const key = await this.getAsymmetricKeyPair(method)
+  const shared = await ecies.agree(key.privateKey, peerPublicKey, method)
+  return Buffer.from(await hkdf('sha256', shared, '', info, size))
+}
+module.exports.deriveSharedSecret = deriveSharedSecret
+
 /**
  * Sign a message with this key
  *
@@ -137,8 +303,12 @@ module.exports.getAsymmetricKeyPair = getAsymmetricKeyPair
  * // verify signature using RSA-1024
  * const valid = await key.verify('hello world', signature, 'rsa1024') // -> true
  *
+ * // sign message using Ed25519 (EdDSA) or ECDSA P-256 (ES256)
+ * const eddsa = await key.sign('hello world', 'ed25519')
+ * const es256 = await key.sign('hello world', 'p256')
+ *
  * @param {string|Buffer} message - The message to sign
- * @param {string} [method='rsa3072'] - Signature method to use; rsa1024, rsa2048, or rsa3072
+ * @param {string} [method='rsa3072'] - Signature method to use; ed25519, p256, p384, rsa1024, rsa2048, or rsa3072
  * @param {boolean} [auth=false] - Whether this is being used for authentication
  * @returns {Buffer} The signed message
  * @author Vivek Nair (https://nair.me) <vivek@nair.me>
@@ -151,10 +321,11 @@ async function sign (message, method = 'rsa3072', auth = false) {
   if (!(Buffer.isBuffer(message))) throw new TypeError('message must be a buffer')
   method = method.toLowerCase()
 
+  const params = algorithm(method)
   const key = await this.getAsymmetricKeyPair(method, auth)
 
-  const cryptoKey = await subtle.importKey('pkcs8', key.privateKey, { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, false, ['sign'])
-  const signature = await subtle.sign({ name: 'RSASSA-PKCS1-v1_5' }, cryptoKey, message)
+  const cryptoKey = await subtle.importKey('pkcs8', key.privateKey, params.key, false, ['sign'])
+  const signature = await subtle.sign(params.signature, cryptoKey, message)
 
   return Buffer.from(signature)
 }
@@ -175,7 +346,7 @@ module.exports.sign = sign
  *
  * @param {string|Buffer} message - The message this signature corresponds to
  * @param {Buffer} signature - The signature to verify
- * @param {string} [method='rsa3072'] - Signature method to use; rsa1024, rsa2048, or rsa3072
+ * @param {string} [method='rsa3072'] - Signature method to use; ed25519, p256, p384, rsa1024, rsa2048, or rsa3072
  * @returns {boolean} Whether the signature is valid
  * @author Vivek Nair (https://nair.me) <vivek@nair.me>
  * @since 0.11.0
@@ -187,16 +358,21 @@ async function verify (message, signature, method = 'rsa3072') {
   if (!(Buffer.isBuffer(message))) throw new TypeError('message must be a buffer')
   method = method.toLowerCase()
 
+  const params = algorithm(method)
   const key = await this.getAsymmetricKeyPair(method)
 
-  const cryptoKey = await subtle.importKey('spki', key.publicKey, { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, false, ['verify'])
-  return await subtle.verify({ name: 'RSASSA-PKCS1-v1_5' }, cryptoKey, signature, message)
+  const cryptoKey = await subtle.importKey('spki', key.publicKey, params.key, false, ['verify'])
+  return await subtle.verify(params.signature, cryptoKey, signature, message)
 }
 module.exports.verify = verify
 
 /**
  * Encrypt a message with this key
  *
+ * Authenticated modes (GCM for AES, POLY1305 for ChaCha20) produce a self-describing ciphertext
+ * whose header carries the method, mode and nonce, and which is authenticated along with any associated data.
+ * The x25519 and p256ecdh methods encrypt to this key's own derived public key, as ecies.encrypt would.
+ *
  * Note: DES is not supported on Node.js v18 and later
  *
  * @example
@@ -210,26 +386,55 @@ module.exports.verify = verify
  * const decrypted = await key.decrypt(encrypted, '3des')
  * decrypted.toString() // -> hello world
  *
+ * // encrypt message using AES-256-GCM with associated data
+ * const sealed = await key.encrypt('hello world', 'aes256', 'GCM', false, 'context')
+ * const opened = await key.decrypt(sealed, 'aes256', 'GCM', false, 'context')
+ * opened.toString() // -> hello world
+ *
  * @param {string|Buffer} message - The message to encrypt
- * @param {string} [method='aes256'] - Encryption method to use; rsa1024, rsa2048, des, 3des, aes128, aes192, or aes256
- * @param {string} [mode='CBC'] - Encryption mode to use; ECB, CFB, OFB, GCM, CTR, or CBC
+ * @param {string} [method='aes256'] - Encryption method to use; x25519, p256ecdh, rsa1024, rsa2048, des, 3des, aes128, aes192, aes256, or chacha20
+ * @param {string} [mode='CBC'] - Encryption mode to use; ECB, CFB, OFB, CTR, CBC, GCM (authenticated), or POLY1305 (authenticated; chacha20 only)
  * @param {boolean} [auth=false] - Whether this is being used for authentication
+ * @param {string|Buffer} [aad] - Associated data to authenticate (GCM, POLY1305, x25519, or p256ecdh only)
  * @returns {Buffer} The encrypted message
  * @author Vivek Nair (https://nair.me) <vivek@nair.me>
  * @since 0.10.0
  * @memberOf MFKDFDerivedKey
  * @async
  */
-async function encrypt (message, method = 'aes256', mode = 'CBC', auth = false) {
+async function encrypt (message, method = 'aes256', mode = 'CBC', auth = false, aad) {
   if (typeof message === 'string') message = Buffer.from(message)
   if (!(Buffer.isBuffer(message))) throw new TypeError('message must be a buffer')
+  if (typeof aad === 'string') aad = Buffer.from(aad)
+  if (typeof aad !== 'undefined' && !(Buffer.isBuffer(aad))) throw new TypeError('aad must be a buffer')
   method = method.toLowerCase()
   mode = mode.toUpperCase()
 
+  if (method === 'x25519' || method === 'p256ecdh') { // ECIES
+    const { publicKey } = await this.getAsymmetricKeyPair(method, auth)
+    return await ecies.encrypt(message, publicKey, method, aad)
+  }
+
   const key = (method === 'rsa1024' || method === 'rsa2048') ? await this.getAsymmetricKeyPair(method, auth) : await this.getSymmetricKey(method, auth)
   let cipher
   let iv
 
+  if (aead.modes.includes(mode) || method === 'chacha20') { // AEAD
+    const algorithm = aeadCipher(method, mode)
+    const nonce = crypto.randomBytes(aead.nonceLength)
+    const header = Buffer.concat([
+      aead.magic,
+      Buffer.from([aead.version, aead.methods.indexOf(method), aead.modes.indexOf(mode), nonce.length]),
+      nonce
+    ])
+    cipher = crypto.createCipheriv(algorithm, key, nonce, { authTagLength: aead.tagLength })
+    cipher.setAAD(aad ? Buffer.concat([header, aad]) : header)
+    const ct = Buffer.concat([cipher.update(message), cipher.final()])
+    return Buffer.concat([header, ct, cipher.getAuthTag()])
+  } else if (typeof aad !== 'undefined') {
+    throw new RangeError('associated data requires an authenticated mode; use GCM or POLY1305')
+  }
+
   if (method === 'rsa1024') { // RSA 1024
     const cryptoKey = await subtle.importKey('spki', key.publicKey, { name: 'RSA-OAEP', hash: 'SHA-256' }, false, ['encrypt'])
     const ct = await subtle.encrypt({ name: 'RSA-OAEP' }, cryptoKey, message)
@@ -262,6 +467,9 @@ module.exports.encrypt = encrypt
 /**
  * Decrypt a message with this key
  *
+ * Self-describing ciphertexts produced by an authenticated mode are detected automatically,
+ * in which case the method and mode are read from the ciphertext header and any tampering is rejected.
+ *
  * Note: DES is not supported on Node.js v18 and later
  *
  * @example
@@ -276,20 +484,48 @@ module.exports.encrypt = encrypt
  * decrypted.toString() // -> hello world
  *
  * @param {Buffer} message - The message to decrypt
- * @param {string} [method='aes256'] - Decryption method to use; des, 3des, aes128, aes192, or aes256
- * @param {string} [mode='CBC'] - Decryption mode to use; ECB, CFB, OFB, GCM, CTR, or CBC
+ * @param {string} [method='aes256'] - Decryption method to use; x25519, p256ecdh, rsa1024, rsa2048, des, 3des, aes128, aes192, or aes256
+ * @param {string} [mode='CBC'] - Decryption mode to use; ECB, CFB, OFB, CTR, CBC, GCM, or POLY1305
+ * @param {boolean} [auth=false] - Whether the message was encrypted for authentication; must match the auth flag passed to encrypt
+ * @param {string|Buffer} [aad] - Associated data the message was encrypted with (GCM, POLY1305, x25519, or p256ecdh only); throws TypeError for other ciphertexts
  * @returns {Buffer} The decrypted message
  * @author Vivek Nair (https://nair.me) <vivek@nair.me>
  * @since 0.10.0
  * @memberOf MFKDFDerivedKey
  * @async
  */
-async function decrypt (message, method = 'aes256', mode = 'CBC') {
+async function decrypt (message, method = 'aes256', mode = 'CBC', auth = false, aad) {
   if (!(Buffer.isBuffer(message))) throw new TypeError('message must be a buffer')
+  if (typeof aad === 'string') aad = Buffer.from(aad)
+  if (typeof aad !== 'undefined' && !(Buffer.isBuffer(aad))) throw new TypeError('aad must be a buffer')
   method = method.toLowerCase()
   mode = mode.toUpperCase()
 
-  const key = (method === 'rsa1024' || method === 'rsa2048') ? await this.getAsymmetricKeyPair(method) : await this.getSymmetricKey(method)
+  if (method === 'x25519' || method === 'p256ecdh') { // ECIES
+    const { privateKey } = await this.getAsymmetricKeyPair(method, auth)
+    return await ecies.decrypt(message, privateKey, method, aad)
+  }
+
+  const parsed = aeadHeader(message)
+  if (parsed) { // AEAD
+    const key = await this.getSymmetricKey(parsed.method, auth)
+    const decipher = crypto.createDecipheriv(aeadCipher(parsed.method, parsed.mode), key, parsed.nonce, { authTagLength: aead.tagLength })
+    decipher.setAAD(aad ? Buffer.concat([parsed.header, aad]) : parsed.header)
+    decipher.setAuthTag(parsed.tag)
+    const pt = decipher.update(parsed.ct)
+    try {
+      return Buffer.concat([pt, decipher.final()])
+    } catch (e) {
+      throw new RangeError('message authentication failed')
+    }
+  } else if (aead.modes.includes(mode) || method === 'chacha20') {
+    throw new RangeError('message is not a valid authenticated ciphertext')
+  } else if (typeof aad !== 'undefined') {
+    // as in encrypt, so that a ciphertext without associated data cannot stand in for one bound to it
+    throw new TypeError('associated data requires an authenticated ciphertext; message has no AEAD header')
+  }
+
+  const key = (method === 'rsa1024' || method === 'rsa2048') ? await this.getAsymmetricKeyPair(method, auth) : await this.getSymmetricKey(method, auth)
   let decipher
   let iv
   let ct
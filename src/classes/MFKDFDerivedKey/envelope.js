@@ -9,10 +9,14 @@
  */
 
 const crypto = require('crypto')
+const integrity = require('../../policy/integrity').integrity
+const aeadHeader = require('./crypto').aeadHeader
 
 /**
  * Add enveloped secret to a multi-factor derived key
  *
+ * Secrets are encrypted using AES-256-GCM, so any modification of the enveloped ciphertext is detected on retrieval.
+ *
  * @example
  * // setup multi-factor derived key
  * const key = await mfkdf.setup.key([ await mfkdf.setup.factors.password('password') ])
@@ -42,13 +46,15 @@ async function addEnvelopedSecret (id, value, type = 'raw') {
   if (this.hasEnvelopedSecret(id)) throw new RangeError('id must be unique')
   if (!Array.isArray(this.policy.secrets)) this.policy.secrets = []
 
-  const ct = await this.encrypt(value)
+  // authenticated encryption, bound to the id of this enveloped secret
+  const ct = await this.encrypt(value, 'aes256', 'GCM', false, id)
 
   this.policy.secrets.push({
     id,
     value: ct.toString('base64'),
     type
   })
+  this.policy.hmac = integrity(this.policy, this.key)
 }
 module.exports.addEnvelopedSecret = addEnvelopedSecret
 
@@ -118,6 +124,7 @@ function removeEnvelopedSecret (id) {
   if (typeof id !== 'string') throw new TypeError('id must be a string')
   if (!this.hasEnvelopedSecret(id)) throw new RangeError('secret with id does not exist')
   this.policy.secrets = this.policy.secrets.filter(x => x.id !== id)
+  this.policy.hmac = integrity(this.policy, this.key)
 }
 module.exports.removeEnvelopedSecret = removeEnvelopedSecret
 
@@ -204,7 +211,8 @@ async function getEnvelopedSecret (id) {
   if (!this.hasEnvelopedSecret(id)) throw new RangeError('secret with id does not exist')
   const secret = this.policy.secrets.find(x => x.id === id)
   const ct = Buffer.from(secret.value, 'base64')
-  return await this.decrypt(ct)
+  // legacy envelopes (AES-256-CBC) are not bound to their id
+  return await this.decrypt(ct, 'aes256', 'CBC', false, aeadHeader(ct) ? id : undefined)
 }
 module.exports.getEnvelopedSecret = getEnvelopedSecret
 
@@ -30,6 +30,8 @@ class MFKDFDerivedKey {
     this.shares = shares
     this.outputs = outputs
     this.subkeys = {}
+    this.upgraded = false
+    this.integrity = true
   }
 }
 
@@ -40,6 +42,7 @@ MFKDFDerivedKey.prototype.getSymmetricKey = crypto.getSymmetricKey
 MFKDFDerivedKey.prototype.getAsymmetricKeyPair = crypto.getAsymmetricKeyPair
 MFKDFDerivedKey.prototype.sign = crypto.sign
 MFKDFDerivedKey.prototype.verify = crypto.verify
+MFKDFDerivedKey.prototype.deriveSharedSecret = crypto.deriveSharedSecret
 MFKDFDerivedKey.prototype.encrypt = crypto.encrypt
 MFKDFDerivedKey.prototype.decrypt = crypto.decrypt
 
@@ -54,6 +57,11 @@ MFKDFDerivedKey.prototype.recoverFactor = reconstitution.recoverFactor
 MFKDFDerivedKey.prototype.recoverFactors = reconstitution.recoverFactors
 MFKDFDerivedKey.prototype.reconstitute = reconstitution.reconstitute
 
+// Refresh Functions
+const refresh = require('./refresh')
+MFKDFDerivedKey.prototype.refresh = refresh.refresh
+MFKDFDerivedKey.prototype.rotate = refresh.rotate
+
 // Authentication Functions
 const auth = require('./auth')
 MFKDFDerivedKey.prototype.ISO97982PassUnilateralAuthSymmetric = auth.ISO97982PassUnilateralAuthSymmetric
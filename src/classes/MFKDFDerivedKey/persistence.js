@@ -8,6 +8,8 @@
  * @author Vivek Nair (https://nair.me) <vivek@nair.me>
  */
 
+const indices = require('../../secrets/weights').indices
+
 /**
  * Persist material from an MFKDF factor to bypass it in future derivation
  *
@@ -33,13 +35,13 @@
  * derived.key.toString('hex') // -> 64587f2a0e65dc3c
  *
  * @param {string} id - ID of the factor to persist
- * @returns {Buffer} - The share which can be used to bypass the factor
+ * @returns {Buffer} - The share (or concatenated shares, if weighted) which can be used to bypass the factor
  * @author Vivek Nair (https://nair.me) <vivek@nair.me>
  * @since 0.18.0
  * @memberOf MFKDFDerivedKey
  */
 function persistFactor (id) {
   const index = this.policy.factors.findIndex(x => x.id === id)
-  return this.shares[index]
+  return Buffer.concat(indices(this.policy.factors)[index].map(i => this.shares[i]))
 }
 module.exports.persistFactor = persistFactor
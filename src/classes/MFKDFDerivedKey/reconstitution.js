@@ -9,8 +9,14 @@
  */
 
 const { hkdf } = require('@panva/hkdf')
-const xor = require('buffer-xor')
 const share = require('../../secrets/share').share
+const { shareVerifiable } = require('../../secrets/verifiable')
+const feldman = require('../../secrets/feldman')
+const integrity = require('../../policy/integrity').integrity
+const check = require('../../secrets/check').check
+const progress = require('../../progress')
+const lookahead = require('../../lookahead')
+const { weight, indices, stretch, mask, unmask } = require('../../secrets/weights')
 
 /**
  * Change the threshold of factors needed to derive a multi-factor derived key
@@ -290,30 +296,37 @@ module.exports.recoverFactors = recoverFactors
  * @param {Array.<string>} [removeFactors] - Array of IDs of existing factors to remove
  * @param {Array.<MFKDFFactor>} [addFactors] - Array of factors to add or replace
  * @param {number} [threshold] - New threshold for key derivation; same as current by default
+ * @param {Object} [options] - Reconstitution options
+ * @param {AbortSignal} [options.signal] - Signal used to cancel reconstitution; checked between phases, rejecting with AbortError and leaving the policy unchanged
+ * @param {function(Object)} [options.onProgress] - Called with a progress event ({ phase, factor, completed, total }) as reconstitution enters each phase; factor, share, or done
+ * @param {Object.<string, number>} [options.weights] - New weights of factors by id; existing factors keep their weight and new factors have weight 1 by default
  * @author Vivek Nair (https://nair.me) <vivek@nair.me>
  * @since 0.14.0
  * @memberOf MFKDFDerivedKey
  * @async
  */
-async function reconstitute (removeFactors = [], addFactors = [], threshold = this.policy.threshold) {
+async function reconstitute (removeFactors = [], addFactors = [], threshold = this.policy.threshold, options = {}) {
   if (!Array.isArray(removeFactors)) throw new TypeError('removeFactors must be an array')
   if (!Array.isArray(addFactors)) throw new TypeError('addFactors must be an array')
   if (!Number.isInteger(threshold)) throw new TypeError('threshold must be an integer')
   if (threshold <= 0) throw new RangeError('threshold must be positive')
+  progress.validate(options)
 
   const factors = {}
-  const material = {}
+  const materials = {}
   const outputs = {}
   const data = {}
 
+  // verifiable policies stretch factor material to the size of their shares
+  const verifiable = Array.isArray(this.policy.commitments)
+  const padSize = verifiable ? feldman.size : this.policy.size
+
   // add existing factors
+  const layout = indices(this.policy.factors)
   for (const [index, factor] of this.policy.factors.entries()) {
-    factors[factor.id] = factor
-    const pad = Buffer.from(factor.pad, 'base64')
-    const share = this.shares[index]
-    let factorMaterial = xor(pad, share)
-    if (Buffer.byteLength(factorMaterial) > this.policy.size) factorMaterial = factorMaterial.subarray(Buffer.byteLength(factorMaterial) - this.policy.size)
-    material[factor.id] = factorMaterial
+    // copy, so that this.policy is only updated once reconstitution succeeds
+    factors[factor.id] = Object.assign({}, factor)
+    materials[factor.id] = unmask(Buffer.from(factor.pad, 'base64'), this.shares[layout[index][0]], padSize)
   }
 
   // remove selected factors
@@ -321,11 +334,13 @@ async function reconstitute (removeFactors = [], addFactors = [], threshold = th
     if (typeof factor !== 'string') throw new TypeError('factor must be a string')
     if (typeof factors[factor] !== 'object') throw new RangeError('factor does not exist: ' + factor)
     delete factors[factor]
-    delete material[factor]
+    delete materials[factor]
   }
 
   // add new factors
-  for (const factor of addFactors) {
+  for (const [index, factor] of addFactors.entries()) {
+    progress.checkpoint(options, 'factor', { factor: factor.id, completed: index, total: addFactors.length })
+
     // type
     if (typeof factor.type !== 'string') throw new TypeError('factor type must be a string')
     if (factor.type.length === 0) throw new RangeError('factor type must not be empty')
@@ -351,35 +366,68 @@ async function reconstitute (removeFactors = [], addFactors = [], threshold = th
     }
     outputs[factor.id] = await factor.output()
     data[factor.id] = factor.data
-    if (Buffer.isBuffer(material[factor.id])) delete material[factor.id]
+    if (Buffer.isBuffer(materials[factor.id])) delete materials[factor.id]
   }
 
   // new factor id uniqueness
   const ids = addFactors.map(factor => factor.id)
   if ((new Set(ids)).size !== ids.length) throw new RangeError('factor ids must be unique')
 
+  // weights
+  const weights = options.weights === undefined ? {} : options.weights
+  if (typeof weights !== 'object' || weights === null) throw new TypeError('weights must be an object')
+  for (const [id, weight] of Object.entries(weights)) {
+    if (!Number.isInteger(weight)) throw new TypeError('weight must be an integer')
+    if (!(weight > 0)) throw new RangeError('weight must be positive')
+    if (typeof factors[id] !== 'object') throw new RangeError('factor does not exist: ' + id)
+  }
+  for (const factor of Object.values(factors)) {
+    const newWeight = weights[factor.id] || weight(factor)
+    delete factor.weight
+    delete factor.pads
+    if (newWeight > 1) factor.weight = newWeight
+  }
+
   // threshold correctness
-  const n = Object.entries(factors).length
+  const n = Object.values(factors).reduce((total, factor) => total + weight(factor), 0)
   if (!(threshold <= n)) throw new RangeError('threshold cannot be greater than number of factors')
 
-  const shares = share(this.secret, threshold, n)
+  // derive tries every combination of hotp look-ahead counters
+  lookahead.validate(Object.values(factors))
+
+  progress.checkpoint(options, 'share')
+  let shares
+  let commitments
+  if (verifiable) {
+    const sharing = shareVerifiable(this.secret, threshold, n)
+    shares = sharing.shares
+    commitments = sharing.commitments.map(commitment => commitment.toString('base64'))
+  } else {
+    shares = share(this.secret, threshold, n)
+  }
 
   const newFactors = []
+  const newLayout = indices(Object.values(factors))
 
   for (const [index, factor] of Object.values(factors).entries()) {
-    const share = shares[index]
-    let stretched = Buffer.isBuffer(material[factor.id])
-      ? material[factor.id]
-      : Buffer.from(await hkdf('sha512', data[factor.id], '', '', this.policy.size))
+    const material = Buffer.isBuffer(materials[factor.id])
+      ? materials[factor.id]
+      : Buffer.from(await hkdf('sha512', data[factor.id], '', '', padSize))
+    const stretched = await stretch(material, weight(factor), padSize)
+    const pads = newLayout[index].map((i, j) => mask(shares[i], stretched[j]).toString('base64'))
 
-    if (Buffer.byteLength(share) > this.policy.size) stretched = Buffer.concat([Buffer.alloc(Buffer.byteLength(share) - this.policy.size), stretched])
-
-    factor.pad = xor(share, stretched).toString('base64')
+    factor.pad = pads[0]
+    if (weight(factor) > 1) factor.pads = pads.slice(1)
+    if (this.policy.checkBits) factor.check = check(shares[newLayout[index][0]], Buffer.from(this.policy.salt, 'base64'), factor.id, this.policy.checkBits)
     newFactors.push(factor)
   }
 
+  progress.checkpoint(options, 'done')
+
   this.policy.factors = newFactors
   this.policy.threshold = threshold
+  if (verifiable) this.policy.commitments = commitments
+  this.policy.hmac = integrity(this.policy, this.key)
   this.outputs = outputs
   this.shares = shares
 }
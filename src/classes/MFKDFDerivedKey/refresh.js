@@ -0,0 +1,223 @@
+/**
+ * @file Multi-Factor Derived Key Refresh Functions
+ * @copyright Multifactor 2022 All Rights Reserved
+ *
+ * @description
+ * Operations for refreshing the shares and factor secrets of a multi-factor derived key, and for rotating the key itself
+ *
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ */
+
+const crypto = require('crypto')
+const { v4: uuidv4 } = require('uuid')
+const kdf = require('../../kdf').kdf
+const integrity = require('../../policy/integrity').integrity
+const { hotp } = require('../../setup/factors/hotp')
+const { totp } = require('../../setup/factors/totp')
+const { hmacsha1 } = require('../../setup/factors/hmacsha1')
+const { ooba } = require('../../setup/factors/ooba')
+const { weight } = require('../../secrets/weights')
+const progress = require('../../progress')
+let subtle
+/* istanbul ignore next */
+if (typeof window !== 'undefined') {
+  subtle = window.crypto.subtle
+} else {
+  subtle = crypto.webcrypto.subtle
+}
+
+// hash used by each RSA-OAEP JWK algorithm
+const oaep = { 'RSA-OAEP': 'SHA-1', 'RSA-OAEP-256': 'SHA-256', 'RSA-OAEP-384': 'SHA-384', 'RSA-OAEP-512': 'SHA-512' }
+
+// set up a replacement for each factor type with secrets of its own, keeping its existing settings
+const rotations = {
+  hotp: async (factor, options) => await hotp(Object.assign({
+    id: factor.id,
+    hash: factor.params.hash,
+    digits: factor.params.digits,
+    window: factor.params.window || 0
+  }, options)),
+  totp: async (factor, options) => await totp(Object.assign({
+    id: factor.id,
+    hash: factor.params.hash,
+    digits: factor.params.digits,
+    step: factor.params.step,
+    window: factor.params.window,
+    encoding: typeof factor.params.packed === 'string' ? 'packed' : 'uint32'
+  }, options)),
+  hmacsha1: async (factor, options) => await hmacsha1(Object.assign({ id: factor.id }, options)),
+  ooba: async (factor, options) => await ooba(Object.assign({
+    id: factor.id,
+    length: factor.params.length,
+    key: await subtle.importKey('jwk', factor.params.key, { name: 'RSA-OAEP', hash: oaep[factor.params.key.alg] }, true, ['encrypt']),
+    params: factor.params.params
+  }, options))
+}
+
+// whether a policy has factors with secrets of their own, including those of stacked keys
+function refreshable (policy) {
+  return policy.factors.some(factor => rotations[factor.type] || (factor.type === 'stack' && refreshable(factor.params)))
+}
+
+// refresh a copy of a stacked key, whose key (and so the material of its stack factor) is unchanged
+async function restack (key, factor, options) {
+  const stacked = key.outputs[factor.id]
+  if (typeof stacked !== 'object' || stacked === null || typeof stacked.refresh !== 'function' || stacked.policy.$id !== factor.params.$id) {
+    throw new RangeError('stacked key must be set up or derived before its factors can be refreshed: ' + factor.id)
+  }
+
+  const copy = new stacked.constructor(JSON.parse(JSON.stringify(stacked.policy)), stacked.key, stacked.secret, stacked.shares, stacked.outputs)
+  await copy.refresh({ factors: options })
+  return {
+    type: 'stack',
+    id: factor.id,
+    data: copy.key,
+    params: async () => copy.policy,
+    output: async () => copy
+  }
+}
+
+// replacements for every factor with secrets of its own (recursing into stacked keys), and the weights of all factors
+async function replacements (key, overrides = {}) {
+  const policy = key.policy
+  if (typeof overrides !== 'object' || overrides === null) throw new TypeError('factors must be an object')
+  for (const id of Object.keys(overrides)) {
+    if (!policy.factors.some(factor => factor.id === id)) throw new RangeError('factor does not exist: ' + id)
+  }
+
+  const factors = []
+  const weights = {}
+  for (const factor of policy.factors) {
+    if (rotations[factor.type]) factors.push(await rotations[factor.type](factor, overrides[factor.id]))
+    else if (factor.type === 'stack' && refreshable(factor.params)) factors.push(await restack(key, factor, overrides[factor.id]))
+    // keep the weight of every factor, including the replaced ones
+    weights[factor.id] = weight(factor)
+  }
+  return { factors, weights }
+}
+
+/**
+ * Refresh a multi-factor derived key after a suspected policy leak, keeping the same factors, threshold, and key.
+ * Every share and pad is re-randomized, so shares and pads from old copies of the policy no longer combine with the new ones,
+ * and factors with secrets of their own (HOTP, TOTP, HMAC-SHA1, and OOBA) are set up again with new secrets.
+ * Stacked keys with such factors are refreshed in turn, which needs the stacked key from setup or from a derive that used it.
+ * Other factors keep their material.
+ *
+ * @example
+ * // setup 2-of-2-factor multi-factor derived key
+ * const setup = await mfkdf.setup.key([
+ *   await mfkdf.setup.factors.password('password'),
+ *   await mfkdf.setup.factors.totp()
+ * ])
+ *
+ * // refresh the key; the totp factor must be re-provisioned with the new secret
+ * const outputs = await setup.refresh({ factors: { totp: { label: 'alice@example.com' } } })
+ * outputs.totp.uri // -> otpauth://totp/alice@example.com?secret=...
+ *
+ * @param {Object} [options] - Refresh options
+ * @param {Object.<string, Object>} [options.factors] - Additional setup options of refreshed factors by id, like the label and issuer of TOTP factors; for stacked keys, the options of their own factors by id
+ * @param {AbortSignal} [options.signal] - Signal used to cancel the refresh; checked between phases, rejecting with AbortError and leaving the policy unchanged
+ * @param {function(Object)} [options.onProgress] - Called with a progress event ({ phase, factor, completed, total }) as the refresh enters each phase; factor, share, or done
+ * @returns {Object.<string, Object>} The outputs of the refreshed factors by id, which must be re-provisioned (like the otpauth URI of a TOTP factor); for stacked keys, the refreshed stacked key, whose outputs hold those of its own factors
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf MFKDFDerivedKey
+ * @async
+ */
+async function refresh (options = {}) {
+  progress.validate(options)
+  const { factors, weights } = await replacements(this, options.factors)
+
+  await this.reconstitute([], factors, this.policy.threshold, { weights, signal: options.signal, onProgress: options.onProgress })
+  return this.outputs
+}
+module.exports.refresh = refresh
+
+/**
+ * Rotate a multi-factor derived key to a new key after a suspected compromise of the key itself, keeping the same factors and threshold.
+ * A new secret and key are shared to all current factors, factors with secrets of their own are set up again as in refresh,
+ * and enveloped secrets are re-encrypted with the new key. The returned migration record holds the ids of the old and new keys,
+ * and the old key (as an MFKDFDerivedKey) so that data encrypted or signed with it can be re-keyed.
+ *
+ * @example
+ * // setup 2-of-2-factor multi-factor derived key with an enveloped secret
+ * const setup = await mfkdf.setup.key([
+ *   await mfkdf.setup.factors.password('password'),
+ *   await mfkdf.setup.factors.totp()
+ * ])
+ * await setup.addEnvelopedSecret('mySecret', Buffer.from('hello world'))
+ * const ciphertext = await setup.encrypt(Buffer.from('message'), 'aes256')
+ *
+ * // rotate the key
+ * const record = await setup.rotate()
+ * record.oldId // -> 1b9c5e2a-...
+ * record.newId // -> 0c7d4a3f-...
+ *
+ * // re-encrypt data that was encrypted with the old key
+ * const plaintext = await record.previous.decrypt(ciphertext, 'aes256')
+ * const updated = await setup.encrypt(plaintext, 'aes256')
+ *
+ * // enveloped secrets are already re-encrypted
+ * const secret = await setup.getEnvelopedSecret('mySecret') // -> hello world
+ *
+ * @param {Object} [options] - Rotation options
+ * @param {Object.<string, Object>} [options.factors] - Additional setup options of refreshed factors by id, like the label and issuer of TOTP factors
+ * @param {string} [options.backend] - Where to run the KDF of the new key; inline or worker, defaulting to the backend set with backend.set
+ * @param {AbortSignal} [options.signal] - Signal used to cancel the rotation; checked between phases, rejecting with AbortError and leaving the key unchanged
+ * @param {function(Object)} [options.onProgress] - Called with a progress event ({ phase, factor, completed, total }) as the rotation enters each phase; kdf, factor, share, or done
+ * @returns {{oldId: string, newId: string, previous: MFKDFDerivedKey, outputs: Object.<string, Object>, secrets: Array.<string>}} The migration record; the ids of the old and new keys, the old key, the outputs of the refreshed factors by id, and the ids of the re-encrypted enveloped secrets
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf MFKDFDerivedKey
+ * @async
+ */
+async function rotate (options = {}) {
+  progress.validate(options)
+  const { factors, weights } = await replacements(this, options.factors)
+
+  const previous = new this.constructor(JSON.parse(JSON.stringify(this.policy)), this.key, this.secret, this.shares, this.outputs)
+
+  // enveloped secrets, decrypted with the old key
+  const secrets = []
+  for (const secret of this.policy.secrets || []) {
+    secrets.push({ id: secret.id, type: secret.type, value: await this.getEnvelopedSecret(secret.id) })
+  }
+
+  progress.checkpoint(options, 'kdf')
+  const secret = crypto.randomBytes(this.policy.size)
+  const key = await kdf(secret, Buffer.from(this.policy.salt, 'base64'), this.policy.size, this.policy.kdf, options.backend)
+
+  // factor params and enveloped secrets are bound to the new key, so it is swapped in first and restored if either fails
+  const subkeys = this.subkeys
+  this.secret = secret
+  this.key = key
+  this.subkeys = {}
+  const envelopes = []
+  try {
+    for (const secret of secrets) {
+      const ct = await this.encrypt(secret.value, 'aes256', 'GCM', false, secret.id)
+      envelopes.push({ id: secret.id, value: ct.toString('base64'), type: secret.type })
+    }
+    await this.reconstitute([], factors, this.policy.threshold, { weights, signal: options.signal, onProgress: options.onProgress })
+  } catch (error) {
+    this.secret = previous.secret
+    this.key = previous.key
+    this.subkeys = subkeys
+    throw error
+  }
+
+  // the new key is the output of the kdf itself, and gets an id of its own; nothing below can fail, so the policy is never half-rotated
+  delete this.policy.pad
+  this.policy.$id = uuidv4()
+  if (Array.isArray(this.policy.secrets)) this.policy.secrets = envelopes
+  this.policy.hmac = integrity(this.policy, this.key)
+
+  return {
+    oldId: previous.policy.$id,
+    newId: this.policy.$id,
+    previous,
+    outputs: this.outputs,
+    secrets: secrets.map(secret => secret.id)
+  }
+}
+module.exports.rotate = rotate
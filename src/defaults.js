@@ -9,7 +9,7 @@
  */
 
 module.exports.kdf = {
-  kdf: "argon2id", // hkdf, pbkdf2, bcrypt, scrypt, argon2i, argon2d, or argon2id (default)
+  kdf: "argon2id-v2", // hkdf, pbkdf2, bcrypt, scrypt, argon2i, argon2d, argon2id, or their binary-safe -v2 variants; argon2id-v2 (default)
   hkdfdigest: "sha256", // sha1, sha256, sha384, or sha512
   pbkdf2rounds: 310000, // owasp recommendation
   pbkdf2digest: "sha256", // sha256 and sha512 are common; see crypto.getHashes() for options
@@ -22,10 +22,38 @@ module.exports.kdf = {
   argon2parallelism: 1, // disable parallelism
 };
 
+module.exports.kdfPresets = {
+  interactive: { // libsodium interactive limits
+    pbkdf2rounds: 310000,
+    bcryptrounds: 10,
+    scryptcost: 16384, // 16 MiB
+    argon2time: 2,
+    argon2mem: 65536, // 64 MiB
+  },
+  moderate: { // libsodium moderate limits
+    pbkdf2rounds: 600000,
+    bcryptrounds: 12,
+    scryptcost: 131072, // 128 MiB
+    argon2time: 3,
+    argon2mem: 262144, // 256 MiB
+  },
+  sensitive: { // libsodium sensitive limits
+    pbkdf2rounds: 1200000,
+    bcryptrounds: 14,
+    scryptcost: 1048576, // 1 GiB
+    argon2time: 4,
+    argon2mem: 1048576, // 1 GiB
+  },
+};
+
 module.exports.key = {
   size: 32, // key size (bytes); outputs 256-bit key by default
 };
 
+module.exports.derive = {
+  maxTrials: 64, // max combinations of candidate factor materials (like totp skew or hotp look-ahead) to try per derive
+};
+
 module.exports.password = {
   id: "password",
 };
@@ -42,6 +70,7 @@ module.exports.hotp = {
   id: "hotp",
   hash: "sha1", // required for Google Authenticator compatibility
   digits: 6, // most common choice
+  window: 0, // look-ahead counters accepted for resynchronization
   issuer: "MFKDF",
   label: "mfkdf.com",
 };
@@ -52,6 +81,7 @@ module.exports.totp = {
   digits: 6, // required for Google Authenticator compatibility
   step: 30, // required for Google Authenticator compatibility
   window: 87600, // max window between logins, 1 month by default
+  encoding: "packed", // bit-packed rolling window; uint32 for policies that older versions of mfkdf must derive
   issuer: "MFKDF",
   label: "mfkdf.com",
 };
@@ -74,3 +104,7 @@ module.exports.hmacsha1 = {
 module.exports.qrcode = {
   id: "qrcode",
 };
+
+module.exports.webauthn = {
+  id: "webauthn",
+};
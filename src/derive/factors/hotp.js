@@ -31,7 +31,7 @@ function mod (n, m) {
  * setup.key.toString('hex') // -> 01d0c7236adf2516
  * derive.key.toString('hex') // -> 01d0c7236adf2516
  *
- * @param {number} code - The HOTP code from which to derive an MFKDF factor
+ * @param {number} code - The HOTP code from which to derive an MFKDF factor; codes within the look-ahead window of the policy are also accepted
  * @returns {function(config:Object): Promise<MFKDFFactor>} Async function to generate MFKDF factor information
  * @author Vivek Nair (https://nair.me) <vivek@nair.me>
  * @since 0.12.0
@@ -41,39 +41,64 @@ function hotp (code) {
   if (!Number.isInteger(code)) throw new TypeError('code must be an integer')
 
   return async (params) => {
-    const target = mod(params.offset + code, 10 ** params.digits)
-    const buffer = Buffer.allocUnsafe(4)
-    buffer.writeUInt32BE(target, 0)
+    const window = params.window || 0
+    const offsets = Buffer.from(params.offsets || '', 'base64')
 
-    return {
-      type: 'hotp',
-      data: buffer,
-      params: async ({ key }) => {
-        const pad = Buffer.from(params.pad, 'base64')
-        const secret = xor(pad, key.slice(0, Buffer.byteLength(pad)))
+    // factor material assuming the code was generated at the given counter
+    const material = (counter, offset) => {
+      const target = mod(offset + code, 10 ** params.digits)
+      const buffer = Buffer.allocUnsafe(4)
+      buffer.writeUInt32BE(target, 0)
 
-        const code = parseInt(speakeasy.hotp({
-          secret: secret.toString('hex'),
-          encoding: 'hex',
-          counter: params.counter + 1,
-          algorithm: params.hash,
-          digits: params.digits
-        }))
+      return {
+        type: 'hotp',
+        data: buffer,
+        params: async ({ key }) => {
+          const pad = Buffer.from(params.pad, 'base64')
+          const secret = xor(pad, key.slice(0, Buffer.byteLength(pad)))
 
-        const offset = mod(target - code, 10 ** params.digits)
+          // resynchronize to the counter that matched
+          const newOffsets = Buffer.allocUnsafe(4 * (window + 1))
 
-        return {
-          hash: params.hash,
-          digits: params.digits,
-          pad: params.pad,
-          counter: params.counter + 1,
-          offset
+          for (let i = 0; i <= window; i++) {
+            const code = parseInt(speakeasy.hotp({
+              secret: secret.toString('hex'),
+              encoding: 'hex',
+              counter: counter + 1 + i,
+              algorithm: params.hash,
+              digits: params.digits
+            }))
+
+            newOffsets.writeUInt32BE(mod(target - code, 10 ** params.digits), 4 * i)
+          }
+
+          const newParams = {
+            hash: params.hash,
+            digits: params.digits,
+            pad: params.pad,
+            counter: counter + 1,
+            offset: newOffsets.readUInt32BE(0)
+          }
+
+          if (window > 0) {
+            newParams.window = window
+            newParams.offsets = newOffsets.subarray(4).toString('base64')
+          }
+
+          return newParams
+        },
+        output: async () => {
+          return { }
         }
-      },
-      output: async () => {
-        return { }
       }
     }
+
+    const materials = [material(params.counter, params.offset)]
+    for (let i = 0; i < window; i++) materials.push(material(params.counter + 1 + i, offsets.readUInt32BE(4 * i)))
+
+    if (materials.length === 1) return materials[0]
+
+    return Object.assign({}, materials[0], { candidates: materials })
   }
 }
 module.exports.hotp = hotp
@@ -16,4 +16,5 @@ module.exports = {
   ...require("./question"),
   ...require("./ooba"),
   ...require("./qrcode"),
+  ...require("./webauthn"),
 };
@@ -33,14 +33,15 @@ const deriveKey = require('../key').key
  * derive.key.toString('hex') // -> 01d0c7236adf2516
  *
  * @param {Object.<string, MFKDFFactor>} factors - Factors used to derive this key
+ * @param {Object} [options] - Options passed to derive.key when deriving the stacked key, like signal
  * @returns {function(config:Object): Promise<MFKDFFactor>} Async function to generate MFKDF factor information
  * @author Vivek Nair (https://nair.me) <vivek@nair.me>
  * @since 0.15.0
  * @memberof derive.factors
  */
-function stack (factors) {
+function stack (factors, options) {
   return async (params) => {
-    const key = await deriveKey(params, factors)
+    const key = await deriveKey(params, factors, options)
 
     return {
       type: 'stack',
@@ -9,6 +9,8 @@
  */
 const xor = require('buffer-xor')
 const speakeasy = require('speakeasy')
+const packed = require('../../offsets')
+const { FactorWindowExpiredError } = require('../../errors')
 
 function mod (n, m) {
   return ((n % m) + m) % m
@@ -37,6 +39,9 @@ function mod (n, m) {
  * @param {number} code - The TOTP code from which to derive an MFKDF factor
  * @param {Object} [options] - Additional options for deriving the TOTP factor
  * @param {number} [options.time] - Current time for TOTP; defaults to Date.now()
+ * @param {number} [options.skew=0] - Number of steps of clock drift to tolerate in either direction; needs a policy integrity tag to identify the matching step
+ * @param {string} [options.encoding] - Re-encode the offsets as uint32 or packed; defaults to the current encoding
+ * @param {number} [options.window] - Resize the window of stored offsets; defaults to the current window
  * @returns {function(config:Object): Promise<MFKDFFactor>} Async function to generate MFKDF factor information
  * @author Vivek Nair (https://nair.me) <vivek@nair.me>
  * @since 0.13.0
@@ -47,65 +52,111 @@ function totp (code, options = {}) {
   if (typeof options.time === 'undefined') options.time = Date.now()
   if (!Number.isInteger(options.time)) throw new TypeError('time must be an integer')
   if (options.time <= 0) throw new RangeError('time must be positive')
+  if (typeof options.skew === 'undefined') options.skew = 0
+  if (!Number.isInteger(options.skew)) throw new TypeError('skew must be an integer')
+  if (options.skew < 0) throw new RangeError('skew must be non-negative')
+  if (typeof options.encoding !== 'undefined' && !['uint32', 'packed'].includes(options.encoding)) throw new RangeError('unrecognized offset encoding')
+  if (typeof options.window !== 'undefined' && !Number.isInteger(options.window)) throw new TypeError('window must be an interger')
+  if (options.window <= 0) throw new RangeError('window must be positive')
 
   return async (params) => {
-    const offsets = Buffer.from(params.offsets, 'base64')
+    const format = typeof params.packed === 'string' ? 'packed' : 'uint32'
+    const offsets = Buffer.from(format === 'packed' ? params.packed : params.offsets, 'base64')
     const startCounter = Math.floor(params.start / (params.step * 1000))
     const nowCounter = Math.floor(options.time / (params.step * 1000))
 
-    const index = nowCounter - startCounter
+    const lookup = (counter) => format === 'packed'
+      ? packed.read(offsets, counter % params.window, params.digits)
+      : offsets.readUInt32BE(4 * (counter - startCounter))
 
-    if (index >= params.window) throw new RangeError('TOTP window exceeded')
+    // factor material assuming the code was generated at the given counter
+    const material = (counter) => {
+      const index = counter - startCounter
+      const offset = lookup(counter)
 
-    const offset = offsets.readUInt32BE(4 * index)
+      const target = mod(offset + code, 10 ** params.digits)
+      const buffer = Buffer.allocUnsafe(4)
+      buffer.writeUInt32BE(target, 0)
 
-    const target = mod(offset + code, 10 ** params.digits)
-    const buffer = Buffer.allocUnsafe(4)
-    buffer.writeUInt32BE(target, 0)
+      return {
+        type: 'totp',
+        data: buffer,
+        params: async ({ key }) => {
+          const pad = Buffer.from(params.pad, 'base64')
+          const secret = xor(pad, key.slice(0, Buffer.byteLength(pad)))
 
-    return {
-      type: 'totp',
-      data: buffer,
-      params: async ({ key }) => {
-        const pad = Buffer.from(params.pad, 'base64')
-        const secret = xor(pad, key.slice(0, Buffer.byteLength(pad)))
+          // anchor the new window on the step that matched
+          const time = counter === nowCounter ? options.time : counter * params.step * 1000
+          const encoding = options.encoding || format
+          const window = options.window || params.window
+          const end = startCounter + params.window
 
-        const time = options.time
-        const newOffsets = Buffer.allocUnsafe(4 * params.window)
+          // unless migrating, offsets still inside the old window are kept as-is
+          const reuse = encoding === format && window === params.window
+          let newOffsets
+          if (encoding === 'packed') {
+            newOffsets = reuse ? Buffer.from(offsets) : packed.alloc(window, params.digits)
+          } else {
+            newOffsets = Buffer.allocUnsafe(4 * window)
+            if (reuse) offsets.copy(newOffsets, 0, 4 * index)
+          }
 
-        offsets.copy(newOffsets, 0, 4 * index)
+          for (let i = 0; i < window; i++) {
+            const next = counter + i
+            if (reuse && next < end) continue
 
-        for (let i = params.window - index; i < params.window; i++) {
-          const counter = Math.floor(time / (params.step * 1000)) + i
+            let offset
+            if (next < end) {
+              offset = lookup(next)
+            } else {
+              const code = parseInt(speakeasy.totp({
+                secret: secret.toString('hex'),
+                encoding: 'hex',
+                step: params.step,
+                counter: next,
+                algorithm: params.hash,
+                digits: params.digits
+              }))
 
-          const code = parseInt(speakeasy.totp({
-            secret: secret.toString('hex'),
-            encoding: 'hex',
-            step: params.step,
-            counter,
-            algorithm: params.hash,
-            digits: params.digits
-          }))
+              offset = mod(target - code, 10 ** params.digits)
+            }
 
-          const offset = mod(target - code, 10 ** params.digits)
+            if (encoding === 'packed') packed.write(newOffsets, next % window, params.digits, offset)
+            else newOffsets.writeUInt32BE(offset, 4 * i)
+          }
 
-          newOffsets.writeUInt32BE(offset, 4 * i)
-        }
+          const newParams = {
+            start: time,
+            hash: params.hash,
+            digits: params.digits,
+            step: params.step,
+            window,
+            pad: params.pad
+          }
+
+          if (encoding === 'packed') newParams.packed = newOffsets.toString('base64')
+          else newParams.offsets = newOffsets.toString('base64')
 
-        return {
-          start: time,
-          hash: params.hash,
-          digits: params.digits,
-          step: params.step,
-          window: params.window,
-          pad: params.pad,
-          offsets: newOffsets.toString('base64')
+          return newParams
+        },
+        output: async () => {
+          return { }
         }
-      },
-      output: async () => {
-        return { }
       }
     }
+
+    // current step first, then neighbouring steps in order of distance
+    const counters = [nowCounter]
+    for (let i = 1; i <= options.skew; i++) counters.push(nowCounter - i, nowCounter + i)
+
+    const materials = counters
+      .filter((counter) => counter >= startCounter && counter < startCounter + params.window)
+      .map(material)
+
+    if (materials.length === 0) throw new FactorWindowExpiredError('TOTP window exceeded')
+    if (options.skew === 0) return materials[0]
+
+    return Object.assign({}, materials[0], { candidates: materials })
   }
 }
 module.exports.totp = totp
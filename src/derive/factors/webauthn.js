@@ -0,0 +1,86 @@
+/**
+ * @file MFKDF WebAuthn Factor Derivation
+ * @copyright Multifactor 2022 All Rights Reserved
+ *
+ * @description
+ * Derive a WebAuthn PRF (hmac-secret) factor for multi-factor key derivation
+ *
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ */
+const xor = require('buffer-xor')
+const crypto = require('crypto')
+
+/**
+ * Derive a FIDO2-compatible MFKDF WebAuthn PRF (hmac-secret) factor
+ *
+ * @example
+ * // evaluate prf extension on a random salt (in browser, using an existing passkey)
+ * const salt = crypto.randomBytes(32)
+ * const assertion = await navigator.credentials.get({ publicKey: {
+ *   challenge, allowCredentials: [{ type: 'public-key', id: credentialId }],
+ *   extensions: { prf: { eval: { first: salt } } }
+ * } })
+ * const response = Buffer.from(assertion.getClientExtensionResults().prf.results.first)
+ *
+ * // setup key with webauthn factor
+ * const setup = await mfkdf.setup.key([
+ *   await mfkdf.setup.factors.webauthn({ credentialId, salt, response })
+ * ], {size: 8})
+ *
+ * // later... evaluate prf extension on the current and next salts in a single ceremony
+ * const params = setup.policy.factors[0].params
+ * const assertion2 = await navigator.credentials.get({ publicKey: {
+ *   challenge, allowCredentials: [{ type: 'public-key', id: Buffer.from(params.credentialId, 'hex') }],
+ *   extensions: { prf: { eval: { first: Buffer.from(params.salt, 'hex'), second: Buffer.from(params.next, 'hex') } } }
+ * } })
+ * const results = assertion2.getClientExtensionResults().prf.results
+ *
+ * // derive key with webauthn factor
+ * const derive = await mfkdf.derive.key(setup.policy, {
+ *   webauthn: mfkdf.derive.factors.webauthn({
+ *     first: Buffer.from(results.first),
+ *     second: Buffer.from(results.second)
+ *   })
+ * })
+ *
+ * setup.key.toString('hex') // -> 01d0c7236adf2516
+ * derive.key.toString('hex') // -> 01d0c7236adf2516
+ *
+ * @param {Object} results - PRF extension results of the authenticator
+ * @param {Buffer} results.first - 32-byte PRF output for the current salt (params.salt)
+ * @param {Buffer} results.second - 32-byte PRF output for the next salt (params.next)
+ * @returns {function(config:Object): Promise<MFKDFFactor>} Async function to generate MFKDF factor information
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberof derive.factors
+ */
+function webauthn (results) {
+  if (typeof results !== 'object' || results === null) throw new TypeError('results must be an object')
+  if (!Buffer.isBuffer(results.first)) throw new TypeError('results.first must be a buffer')
+  if (Buffer.byteLength(results.first) !== 32) throw new RangeError('results.first must be 32 bytes')
+  if (!Buffer.isBuffer(results.second)) throw new TypeError('results.second must be a buffer')
+  if (Buffer.byteLength(results.second) !== 32) throw new RangeError('results.second must be 32 bytes')
+
+  return async (params) => {
+    const target = xor(results.first, Buffer.from(params.pad, 'hex'))
+
+    return {
+      type: 'webauthn',
+      data: target,
+      params: async ({ key }) => {
+        const next = crypto.randomBytes(32)
+        const pad = xor(results.second, target)
+        return {
+          credentialId: params.credentialId,
+          salt: params.next,
+          next: next.toString('hex'),
+          pad: pad.toString('hex')
+        }
+      },
+      output: async () => {
+        return { credentialId: Buffer.from(params.credentialId, 'hex') }
+      }
+    }
+  }
+}
+module.exports.webauthn = webauthn
@@ -9,13 +9,30 @@
  */
 
 const Ajv = require('ajv')
+const defaults = require('../defaults')
+const crypto = require('crypto')
 const policySchema = require('./policy.json')
 const combine = require('../secrets/combine').combine
 const recover = require('../secrets/recover').recover
+const combineRobust = require('../secrets/robust').combineRobust
+const share = require('../secrets/share').share
+const { shareVerifiable } = require('../secrets/verifiable')
+const feldman = require('../secrets/feldman')
 const kdf = require('../kdf').kdf
-const { hkdf } = require('@panva/hkdf')
+const kdfSetup = require('../setup/kdf').kdf
+const backend = require('../backend')
 const xor = require('buffer-xor')
 const MFKDFDerivedKey = require('../classes/MFKDFDerivedKey')
+const { integrity, verifyIntegrity } = require('../policy/integrity')
+const check = require('../secrets/check').check
+const progress = require('../progress')
+const { weight, indices, stretch, mask, unmask } = require('../secrets/weights')
+const { MFKDFError, InvalidPolicyError, InsufficientFactorsError, WrongFactorTypeError, PolicyIntegrityError, FactorVerificationError, TooManyCandidatesError } = require('../errors')
+
+function sameKdf (a, b) {
+  if (a.type !== b.type) return false
+  return Object.keys(Object.assign({}, a.params, b.params)).every(param => a.params[param] === b.params[param])
+}
 
 /**
  * Derive a key from multiple factors of input
@@ -39,52 +56,164 @@ const MFKDFDerivedKey = require('../classes/MFKDFDerivedKey')
  *
  * @param {Object} policy - The key policy for the key being derived
  * @param {Object.<string, MFKDFFactor>} factors - Factors used to derive this key
- * @returns {MFKDFDerivedKey} A multi-factor derived key object
+ * @param {Object} [options] - Derivation options
+ * @param {boolean} [options.verify=false] - Whether to reject policies without a valid integrity tag; note that incorrect factors also fail verification
+ * @param {boolean} [options.ignoreInvalid=false] - Whether to skip factors that fail their check values instead of throwing, as long as enough valid factors remain
+ * @param {boolean} [options.robust=false] - Whether to correct incorrect factors when more than the threshold are provided, as long as at most half of the extra factors are wrong; the returned key lists them in its inconsistent property
+ * @param {number} [options.maxTrials=64] - Maximum number of combinations of candidate factor materials (like TOTP codes with clock skew, or HOTP codes with look-ahead) to try, each costing one run of the KDF, and of threshold-sized sets of shares to try when robust; more reject with TooManyCandidatesError
+ * @param {string} [options.backend] - Where to run the KDF and HKDF stretching; inline or worker, defaulting to the backend set with backend.set
+ * @param {boolean|Object} [options.upgrade=false] - Re-key the KDF of the returned policy to the current defaults (true) or to the given KDF configuration (from setup.kdf); the key itself is unchanged
+ * @param {AbortSignal} [options.signal] - Signal used to cancel derivation; checked between phases, rejecting with AbortError
+ * @param {function(Object)} [options.onProgress] - Called with a progress event ({ phase, factor, completed, total }) as derivation enters each phase; factor, combine, kdf, upgrade, or done
+ * @returns {MFKDFDerivedKey} A multi-factor derived key object; its upgraded property is true if the KDF of its policy was upgraded, its integrity property is true if the policy had a valid integrity tag (a policy whose tag fails verification keeps that tag), and, if robust, its inconsistent property lists the ids of factors rejected by robust combining
  * @author Vivek Nair (https://nair.me) <vivek@nair.me>
  * @since 0.9.0
  * @async
  * @memberOf derive
  */
-async function key (policy, factors) {
+async function key (policy, factors, options = {}) {
   const ajv = new Ajv()
   const valid = ajv.validate(policySchema, policy)
-  if (!valid) throw new TypeError('invalid key policy', ajv.errors)
-  if (Object.keys(factors).length < policy.threshold) throw new RangeError('insufficient factors provided to derive key')
+  if (!valid) throw new InvalidPolicyError('invalid key policy')
+  for (const factor of policy.factors) {
+    if ((factor.pads || []).length !== weight(factor) - 1) throw new InvalidPolicyError('factor pads do not match its weight', factor.id)
+  }
+  progress.validate(options)
+  if (options.maxTrials === undefined) options.maxTrials = defaults.derive.maxTrials
+  if (!Number.isInteger(options.maxTrials)) throw new TypeError('maxTrials must be an integer')
+  if (!(options.maxTrials > 0)) throw new RangeError('maxTrials must be positive')
+  if (options.upgrade && options.upgrade !== true) {
+    if (typeof options.upgrade !== 'object' || typeof options.upgrade.type !== 'string') throw new TypeError('upgrade must be true or a kdf configuration')
+    if (typeof options.upgrade.params !== 'object' || options.upgrade.params === null) throw new TypeError('upgrade must be true or a kdf configuration')
+  }
+  const points = (present) => policy.factors.filter((factor, index) => present(factor, index)).reduce((total, factor) => total + weight(factor), 0)
+  if (points(factor => factors[factor.id]) < policy.threshold) throw new InsufficientFactorsError('insufficient factors provided to derive key')
 
-  const shares = []
-  const newFactors = []
-  const outputs = {}
+  // verifiable policies carry commitments to every share, which are longer than the key
+  const commitments = policy.commitments && policy.commitments.map(commitment => Buffer.from(commitment, 'base64'))
+  const padSize = commitments ? feldman.size : policy.size
+  const layout = indices(policy.factors)
 
-  for (const factor of policy.factors) {
+  const candidates = []
+  const invalid = []
+
+  for (const [index, factor] of policy.factors.entries()) {
     if (factors[factor.id] && typeof factors[factor.id] === 'function') {
-      const material = await factors[factor.id](factor.params)
-      let share
+      progress.checkpoint(options, 'factor', { factor: factor.id, completed: index, total: policy.factors.length })
+      let material
+      try {
+        material = await factors[factor.id](factor.params)
+      } catch (error) {
+        // attribute errors raised by factor material functions to their factor
+        if (error instanceof MFKDFError && typeof error.factor === 'undefined') error.factor = factor.id
+        throw error
+      }
+      const materials = []
+
+      // some factors (like TOTP with clock skew) offer several possible materials
+      for (const candidate of material.candidates || [material]) {
+        let shares
+
+        if (candidate.type === 'persisted') {
+          // persisted weighted factors hold all of their shares
+          const size = Buffer.byteLength(candidate.data) / weight(factor)
+          shares = Array.from({ length: weight(factor) }, (_, i) => candidate.data.subarray(i * size, (i + 1) * size))
+        } else {
+          if (candidate.type !== factor.type) throw new WrongFactorTypeError('wrong factor material function used for this factor type', factor.id)
 
-      if (material.type === 'persisted') {
-        share = material.data
-      } else {
-        if (material.type !== factor.type) throw new TypeError('wrong factor material function used for this factor type')
+          const pads = [factor.pad].concat(factor.pads || []).map(pad => Buffer.from(pad, 'base64'))
+          const stretched = await stretch(await backend.run('hkdf', ['sha512', candidate.data, '', '', padSize], options.backend), weight(factor), padSize, options.backend)
 
-        const pad = Buffer.from(factor.pad, 'base64')
-        let stretched = Buffer.from(await hkdf('sha512', material.data, '', '', policy.size))
-        if (Buffer.byteLength(pad) > policy.size) stretched = Buffer.concat([Buffer.alloc(Buffer.byteLength(pad) - policy.size), stretched])
+          shares = pads.map((pad, i) => mask(pad, stretched[i]))
+        }
 
-        share = xor(pad, stretched)
+        // discard candidates that do not match the factor's check value
+        if (typeof factor.check === 'number' && check(shares[0], Buffer.from(policy.salt, 'base64'), factor.id, policy.checkBits) !== factor.check) continue
+        // and those whose shares do not match the commitments
+        if (commitments && !shares.every((share, i) => feldman.verify(share, layout[index][i] + 1, commitments))) continue
+
+        materials.push({ shares, material: candidate })
       }
 
-      shares.push(share)
-      if (material.output) outputs[factor.id] = await material.output()
-      newFactors.push(material.params)
+      // beyond check values and commitments, only the integrity tag can tell which candidate is correct
+      if (materials.length > 1 && typeof policy.hmac !== 'string') {
+        throw new PolicyIntegrityError('policy has no integrity tag to select among the candidate materials of factor: ' + factor.id)
+      }
+      if (materials.length === 0) invalid.push(factor.id)
+      candidates.push(materials.length === 0 ? [null] : materials)
     } else {
-      shares.push(null)
-      newFactors.push(null)
+      candidates.push([null])
     }
   }
 
-  if (shares.filter(x => Buffer.isBuffer(x)).length < policy.threshold) throw new RangeError('insufficient factors provided to derive key')
+  if (invalid.length > 0 && !options.ignoreInvalid) throw new FactorVerificationError('incorrect factors provided: ' + invalid.join(', '), invalid)
+  // enough points were provided, so only invalid factors can leave too few
+  if (points((factor, index) => candidates[index][0] !== null) < policy.threshold) {
+    throw new FactorVerificationError('insufficient valid factors provided; incorrect factors: ' + invalid.join(', '), invalid)
+  }
+
+  // each combination of candidates costs one run of the kdf
+  const count = candidates.reduce((count, materials) => count * materials.length, 1)
+  if (count > options.maxTrials) throw new TooManyCandidatesError('factors offer ' + count + ' combinations of candidate materials, more than maxTrials (' + options.maxTrials + ')')
+
+  progress.checkpoint(options, 'combine')
 
-  const secret = combine(shares, policy.threshold, policy.factors.length)
-  const key = await kdf(secret, Buffer.from(policy.salt, 'base64'), policy.size, policy.kdf)
+  // try each combination of candidates until one matches the integrity tag
+  const trials = candidates.reduce((trials, materials) => trials.flatMap(trial => materials.map(material => [...trial, material])), [[]])
+
+  let result
+  for (let trial of trials) {
+    let shares = trial.flatMap((candidate, index) => candidate === null ? Array(weight(policy.factors[index])).fill(null) : candidate.shares)
+    let secret
+    let inconsistent = []
+
+    // shares of verifiable policies were already checked against the commitments
+    if (options.robust && !commitments) {
+      let combined
+      try {
+        combined = combineRobust(shares, policy.threshold, shares.length, options.maxTrials)
+      } catch (error) {
+        if (error instanceof TooManyCandidatesError) throw error
+        continue
+      }
+      secret = combined.secret
+      inconsistent = policy.factors.filter((factor, index) => layout[index].some(i => combined.invalid.includes(i))).map(factor => factor.id)
+      // inconsistent factors are treated as missing, so their params are not updated
+      trial = trial.map((candidate, index) => inconsistent.includes(policy.factors[index].id) ? null : candidate)
+      shares = shares.map((share, index) => combined.invalid.includes(index) ? null : share)
+    } else {
+      secret = combine(shares, policy.threshold, shares.length, commitments)
+    }
+    progress.checkpoint(options, 'kdf')
+    let key = await kdf(secret, Buffer.from(policy.salt, 'base64'), policy.size, policy.kdf, options.backend)
+    if (typeof policy.pad === 'string') key = xor(key, Buffer.from(policy.pad, 'base64'))
+
+    if (typeof result === 'undefined') result = { trial, shares, secret, key, inconsistent }
+    if (trials.length === 1) break
+    if (verifyIntegrity(policy, key)) {
+      result = { trial, shares, secret, key, inconsistent }
+      break
+    }
+  }
+
+  if (typeof result === 'undefined') throw new FactorVerificationError('too many inconsistent factors provided to derive key', [])
+
+  const { trial, shares, secret, key, inconsistent } = result
+
+  const intact = verifyIntegrity(policy, key)
+  if (options.verify && !intact) throw new PolicyIntegrityError('policy integrity check failed; policy was modified or factors are incorrect')
+
+  const newFactors = []
+  const outputs = {}
+
+  for (const [index, candidate] of trial.entries()) {
+    if (candidate === null) {
+      newFactors.push(null)
+    } else {
+      if (candidate.material.output) outputs[policy.factors[index].id] = await candidate.material.output()
+      newFactors.push(candidate.material.params)
+    }
+  }
 
   const newPolicy = JSON.parse(JSON.stringify(policy))
 
@@ -94,8 +223,51 @@ async function key (policy, factors) {
     }
   }
 
-  const originalShares = recover(shares, policy.threshold, policy.factors.length)
+  let newSecret = secret
+  let newShares = recover(shares, policy.threshold, shares.length, commitments)
+  let upgraded = false
+
+  const config = options.upgrade === true ? kdfSetup() : options.upgrade
+  if (config && !sameKdf(config, policy.kdf)) {
+    progress.checkpoint(options, 'upgrade')
+
+    // re-share a fresh secret under the new kdf, so the old parameters no longer protect this policy,
+    // and pad the new kdf output to keep the derived key unchanged
+    newSecret = crypto.randomBytes(policy.size)
+    const salt = Buffer.from(policy.salt, 'base64')
+    let upgradeShares
+    if (commitments) {
+      const sharing = shareVerifiable(newSecret, policy.threshold, shares.length)
+      upgradeShares = sharing.shares
+      newPolicy.commitments = sharing.commitments.map(commitment => commitment.toString('base64'))
+    } else {
+      upgradeShares = share(newSecret, policy.threshold, shares.length)
+    }
+
+    for (const [index, factor] of newPolicy.factors.entries()) {
+      const [first] = layout[index]
+      const stretched = await stretch(unmask(Buffer.from(factor.pad, 'base64'), newShares[first], padSize), weight(factor), padSize, options.backend)
+      const pads = layout[index].map((i, j) => mask(upgradeShares[i], stretched[j]).toString('base64'))
+
+      factor.pad = pads[0]
+      if (weight(factor) > 1) factor.pads = pads.slice(1)
+      if (policy.checkBits) factor.check = check(upgradeShares[first], salt, factor.id, policy.checkBits)
+    }
+
+    newPolicy.kdf = { type: config.type, params: Object.assign({}, config.params) }
+    newPolicy.pad = xor(key, await kdf(newSecret, salt, policy.size, newPolicy.kdf, options.backend)).toString('base64')
+    newShares = upgradeShares
+    upgraded = true
+  }
+
+  // a tag that fails verification is kept as it is, so a modified policy is never re-tagged as genuine; untagged policies are tagged
+  if (intact || typeof policy.hmac !== 'string') newPolicy.hmac = integrity(newPolicy, key)
+  progress.checkpoint(options, 'done')
 
-  return new MFKDFDerivedKey(newPolicy, key, secret, originalShares, outputs)
+  const derived = new MFKDFDerivedKey(newPolicy, key, newSecret, newShares, outputs)
+  derived.upgraded = upgraded
+  derived.integrity = intact
+  if (options.robust) derived.inconsistent = inconsistent
+  return derived
 }
 module.exports.key = key
@@ -0,0 +1,189 @@
+/**
+ * Key agreement and public-key encryption functions
+ *
+ * @namespace ecies
+ */
+
+const crypto = require('crypto')
+const { hkdf } = require('@panva/hkdf')
+let subtle
+/* istanbul ignore next */
+if (typeof window !== 'undefined') {
+  subtle = window.crypto.subtle
+} else {
+  subtle = crypto.webcrypto.subtle
+}
+
+// ciphertext format: ephemeral public key (spki) | nonce (12) | ciphertext | tag (16)
+const methods = {
+  x25519: { params: { name: 'X25519' }, publicKeyLength: 44 },
+  p256ecdh: { params: { name: 'ECDH', namedCurve: 'P-256' }, publicKeyLength: 91 }
+}
+const nonceLength = 12
+const tagLength = 16
+
+function lookup (method) {
+  if (typeof method !== 'string') throw new TypeError('method must be a string')
+  method = method.toLowerCase()
+  if (Object.prototype.hasOwnProperty.call(methods, method)) return methods[method]
+  throw new RangeError('unknown key agreement method: ' + method)
+}
+
+async function importPrivateKey (privateKey, params) {
+  return await subtle.importKey('pkcs8', privateKey, params, true, ['deriveBits'])
+}
+
+async function importPublicKey (publicKey, params) {
+  return await subtle.importKey('spki', publicKey, params, true, [])
+}
+
+// spki public key corresponding to an imported private key
+async function exportPublicKey (privateKey, params) {
+  const jwk = await subtle.exportKey('jwk', privateKey)
+  delete jwk.d
+  delete jwk.key_ops
+  const publicKey = await subtle.importKey('jwk', jwk, params, true, [])
+  return Buffer.from(await subtle.exportKey('spki', publicKey))
+}
+
+async function cipherKey (shared, ephemeralPublicKey, recipientPublicKey) {
+  const salt = Buffer.concat([ephemeralPublicKey, recipientPublicKey])
+  return Buffer.from(await hkdf('sha256', shared, salt, 'MFKDF_ECIES', 32))
+}
+
+/**
+ * Compute the raw shared secret between a private key and a peer's public key using X25519 or ECDH over P-256
+ *
+ * @example
+ * // setup two multi-factor derived keys
+ * const alice = await mfkdf.setup.key([ await mfkdf.setup.factors.password('password1') ])
+ * const bob = await mfkdf.setup.key([ await mfkdf.setup.factors.password('password2') ])
+ *
+ * // compute shared secret from alice's private key and bob's public key
+ * const a = await alice.getAsymmetricKeyPair('x25519')
+ * const b = await bob.getAsymmetricKeyPair('x25519')
+ * const shared = await mfkdf.ecies.agree(a.privateKey, b.publicKey, 'x25519') // -> 32-byte Buffer
+ *
+ * @param {Uint8Array} privateKey - Private key (pkcs8-der encoded)
+ * @param {Uint8Array} publicKey - Peer public key (spki-der encoded)
+ * @param {string} [method='x25519'] - Key agreement method to use; x25519 or p256ecdh
+ * @returns {Buffer} Raw shared secret; should be passed through a KDF before use
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf ecies
+ * @async
+ */
+async function agree (privateKey, publicKey, method = 'x25519') {
+  const { params } = lookup(method)
+  const privateCryptoKey = await importPrivateKey(privateKey, params)
+  const publicCryptoKey = await importPublicKey(publicKey, params)
+  const bits = await subtle.deriveBits(Object.assign({ public: publicCryptoKey }, params), privateCryptoKey, 256)
+  return Buffer.from(bits)
+}
+module.exports.agree = agree
+
+/**
+ * Encrypt a message to a public key using an ephemeral key pair, HKDF-SHA256, and AES-256-GCM;
+ * does not require an MFKDF key, so any sender can encrypt to the derived public key of a recipient
+ *
+ * @example
+ * // recipient: setup multi-factor derived key and publish its public key
+ * const key = await mfkdf.setup.key([ await mfkdf.setup.factors.password('password') ])
+ * const { publicKey } = await key.getAsymmetricKeyPair('x25519')
+ *
+ * // sender: encrypt message to recipient's public key
+ * const encrypted = await mfkdf.ecies.encrypt('hello world', publicKey, 'x25519')
+ *
+ * // recipient: decrypt message with derived key
+ * const decrypted = await key.decrypt(encrypted, 'x25519')
+ * decrypted.toString() // -> hello world
+ *
+ * @param {string|Buffer} message - The message to encrypt
+ * @param {Uint8Array} publicKey - Recipient public key (spki-der encoded)
+ * @param {string} [method='x25519'] - Key agreement method to use; x25519 or p256ecdh
+ * @param {string|Buffer} [aad] - Associated data to authenticate
+ * @returns {Buffer} The encrypted message
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf ecies
+ * @async
+ */
+async function encrypt (message, publicKey, method = 'x25519', aad) {
+  if (typeof message === 'string') message = Buffer.from(message)
+  if (!(Buffer.isBuffer(message))) throw new TypeError('message must be a buffer')
+  if (typeof aad === 'string') aad = Buffer.from(aad)
+  if (typeof aad !== 'undefined' && !(Buffer.isBuffer(aad))) throw new TypeError('aad must be a buffer')
+  const { params } = lookup(method)
+
+  const recipient = await importPublicKey(publicKey, params)
+  const ephemeral = await subtle.generateKey(params, true, ['deriveBits'])
+  const ephemeralPublicKey = Buffer.from(await subtle.exportKey('spki', ephemeral.publicKey))
+  const shared = Buffer.from(await subtle.deriveBits(Object.assign({ public: recipient }, params), ephemeral.privateKey, 256))
+  const key = await cipherKey(shared, ephemeralPublicKey, Buffer.from(await subtle.exportKey('spki', recipient)))
+
+  const nonce = crypto.randomBytes(nonceLength)
+  const cipher = crypto.createCipheriv('AES-256-GCM', key, nonce, { authTagLength: tagLength })
+  if (aad) cipher.setAAD(aad)
+  const ct = Buffer.concat([cipher.update(message), cipher.final()])
+  return Buffer.concat([ephemeralPublicKey, nonce, ct, cipher.getAuthTag()])
+}
+module.exports.encrypt = encrypt
+
+/**
+ * Decrypt a message encrypted to a public key with ecies.encrypt
+ *
+ * @example
+ * // recipient: derive key pair
+ * const key = await mfkdf.setup.key([ await mfkdf.setup.factors.password('password') ])
+ * const { privateKey, publicKey } = await key.getAsymmetricKeyPair('x25519')
+ *
+ * // sender: encrypt message to recipient's public key
+ * const encrypted = await mfkdf.ecies.encrypt('hello world', publicKey, 'x25519')
+ *
+ * // recipient: decrypt message with private key
+ * const decrypted = await mfkdf.ecies.decrypt(encrypted, privateKey, 'x25519')
+ * decrypted.toString() // -> hello world
+ *
+ * @param {Buffer} message - The message to decrypt
+ * @param {Uint8Array} privateKey - Recipient private key (pkcs8-der encoded)
+ * @param {string} [method='x25519'] - Key agreement method to use; x25519 or p256ecdh
+ * @param {string|Buffer} [aad] - Associated data the message was encrypted with
+ * @returns {Buffer} The decrypted message
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf ecies
+ * @async
+ */
+async function decrypt (message, privateKey, method = 'x25519', aad) {
+  if (!(Buffer.isBuffer(message))) throw new TypeError('message must be a buffer')
+  if (typeof aad === 'string') aad = Buffer.from(aad)
+  if (typeof aad !== 'undefined' && !(Buffer.isBuffer(aad))) throw new TypeError('aad must be a buffer')
+  const { params, publicKeyLength } = lookup(method)
+  if (message.length < publicKeyLength + nonceLength + tagLength) throw new RangeError('message is not a valid ciphertext')
+
+  const ephemeralPublicKey = message.subarray(0, publicKeyLength)
+  const nonce = message.subarray(publicKeyLength, publicKeyLength + nonceLength)
+  const ct = message.subarray(publicKeyLength + nonceLength, message.length - tagLength)
+  const tag = message.subarray(message.length - tagLength)
+
+  const recipient = await importPrivateKey(privateKey, params)
+  let shared
+  try {
+    const ephemeral = await importPublicKey(ephemeralPublicKey, params)
+    shared = Buffer.from(await subtle.deriveBits(Object.assign({ public: ephemeral }, params), recipient, 256))
+  } catch (e) {
+    throw new RangeError('message is not a valid ciphertext')
+  }
+  const key = await cipherKey(shared, ephemeralPublicKey, await exportPublicKey(recipient, params))
+
+  const decipher = crypto.createDecipheriv('AES-256-GCM', key, nonce, { authTagLength: tagLength })
+  if (aad) decipher.setAAD(aad)
+  decipher.setAuthTag(tag)
+  const pt = decipher.update(ct)
+  try {
+    return Buffer.concat([pt, decipher.final()])
+  } catch (e) {
+    throw new RangeError('message authentication failed')
+  }
+}
+module.exports.decrypt = decrypt
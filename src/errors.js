@@ -0,0 +1,187 @@
+/**
+ * @file MFKDF Errors
+ * @copyright Multifactor 2022 All Rights Reserved
+ *
+ * @description
+ * Error classes thrown by multi-factor key derivation functions
+ *
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ */
+
+const brand = Symbol.for('mfkdf.error')
+
+function initialize (error, name, code, factor) {
+  Object.defineProperty(error, brand, { value: true })
+  error.name = name
+  error.code = code
+  error.factor = factor
+}
+
+/**
+ * Base class of all errors thrown by MFKDF when deriving or managing keys.
+ * Subclasses that replace a built-in TypeError or RangeError still extend it, but are also instances of MFKDFError.
+ * Invalid arguments are still reported with plain TypeError or RangeError.
+ *
+ * @example
+ * try {
+ *   await mfkdf.derive.key(policy, factors)
+ * } catch (e) {
+ *   if (e instanceof mfkdf.errors.MFKDFError) console.log(e.code, e.factor) // -> ERR_FACTOR_WINDOW_EXPIRED totp
+ * }
+ *
+ * @param {string} message - Error message
+ * @param {string} [code='ERR_MFKDF'] - Machine-readable error code
+ * @param {string} [factor] - ID of the offending factor, if any
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf errors
+ */
+class MFKDFError extends Error {
+  constructor (message, code = 'ERR_MFKDF', factor) {
+    super(message)
+    initialize(this, 'MFKDFError', code, factor)
+  }
+
+  static [Symbol.hasInstance] (instance) {
+    if (this !== MFKDFError) return Function.prototype[Symbol.hasInstance].call(this, instance)
+    return typeof instance === 'object' && instance !== null && instance[brand] === true
+  }
+}
+module.exports.MFKDFError = MFKDFError
+
+/**
+ * Error thrown when too few factors (or shares) are provided to reach the threshold; code ERR_INSUFFICIENT_FACTORS
+ *
+ * @param {string} message - Error message
+ * @param {string} [factor] - ID of the offending factor, if any
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf errors
+ */
+class InsufficientFactorsError extends RangeError {
+  constructor (message, factor) {
+    super(message)
+    initialize(this, 'InsufficientFactorsError', 'ERR_INSUFFICIENT_FACTORS', factor)
+  }
+}
+module.exports.InsufficientFactorsError = InsufficientFactorsError
+
+/**
+ * Error thrown when a stored key policy is malformed; code ERR_INVALID_POLICY
+ *
+ * @param {string} message - Error message
+ * @param {string} [factor] - ID of the offending factor, if any
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf errors
+ */
+class InvalidPolicyError extends TypeError {
+  constructor (message, factor) {
+    super(message)
+    initialize(this, 'InvalidPolicyError', 'ERR_INVALID_POLICY', factor)
+  }
+}
+module.exports.InvalidPolicyError = InvalidPolicyError
+
+/**
+ * Error thrown when a factor is used outside of the window stored in its policy; code ERR_FACTOR_WINDOW_EXPIRED
+ *
+ * @param {string} message - Error message
+ * @param {string} [factor] - ID of the offending factor, if any
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf errors
+ */
+class FactorWindowExpiredError extends RangeError {
+  constructor (message, factor) {
+    super(message)
+    initialize(this, 'FactorWindowExpiredError', 'ERR_FACTOR_WINDOW_EXPIRED', factor)
+  }
+}
+module.exports.FactorWindowExpiredError = FactorWindowExpiredError
+
+/**
+ * Error thrown when a factor material function does not match the factor type in the policy; code ERR_WRONG_FACTOR_TYPE
+ *
+ * @param {string} message - Error message
+ * @param {string} [factor] - ID of the offending factor, if any
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf errors
+ */
+class WrongFactorTypeError extends TypeError {
+  constructor (message, factor) {
+    super(message)
+    initialize(this, 'WrongFactorTypeError', 'ERR_WRONG_FACTOR_TYPE', factor)
+  }
+}
+module.exports.WrongFactorTypeError = WrongFactorTypeError
+
+/**
+ * Error thrown when the factors provided offer more combinations of candidate materials (like TOTP codes with clock skew, or HOTP codes with look-ahead) than derive will try; code ERR_TOO_MANY_CANDIDATES
+ *
+ * @param {string} message - Error message
+ * @param {string} [factor] - ID of the offending factor, if any
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf errors
+ */
+class TooManyCandidatesError extends RangeError {
+  constructor (message, factor) {
+    super(message)
+    initialize(this, 'TooManyCandidatesError', 'ERR_TOO_MANY_CANDIDATES', factor)
+  }
+}
+module.exports.TooManyCandidatesError = TooManyCandidatesError
+
+/**
+ * Error thrown when a key policy fails integrity verification; code ERR_POLICY_INTEGRITY
+ *
+ * @param {string} message - Error message
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf errors
+ */
+class PolicyIntegrityError extends MFKDFError {
+  constructor (message) {
+    super(message, 'ERR_POLICY_INTEGRITY')
+    this.name = 'PolicyIntegrityError'
+  }
+}
+module.exports.PolicyIntegrityError = PolicyIntegrityError
+
+/**
+ * Error thrown when one or more factors fail verification against their check values; code ERR_FACTOR_VERIFICATION
+ *
+ * @param {string} message - Error message
+ * @param {Array.<string>} factors - IDs of the factors that failed verification
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf errors
+ */
+class FactorVerificationError extends MFKDFError {
+  constructor (message, factors) {
+    super(message, 'ERR_FACTOR_VERIFICATION', factors[0])
+    this.name = 'FactorVerificationError'
+    this.factors = factors
+  }
+}
+module.exports.FactorVerificationError = FactorVerificationError
+
+/**
+ * Error thrown when a key operation is cancelled through its AbortSignal; code ERR_ABORTED
+ *
+ * @param {string} message - Error message
+ * @param {*} [reason] - Abort reason of the signal
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf errors
+ */
+class AbortError extends MFKDFError {
+  constructor (message, reason) {
+    super(message, 'ERR_ABORTED')
+    this.name = 'AbortError'
+    this.reason = reason
+  }
+}
+module.exports.AbortError = AbortError
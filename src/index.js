@@ -15,6 +15,9 @@ module.exports = {
   secrets: require('./secrets'),
   policy: require('./policy'),
   auth: require('./auth'),
+  ecies: require('./ecies'),
   stage: require('./stage'),
+  backend: require('./backend'),
+  errors: require('./errors'),
   ...require('./kdf')
 }
@@ -16,11 +16,19 @@ const bcrypt = require('bcryptjs')
 const scrypt = require('scrypt-js')
 const { hkdf } = require('@panva/hkdf')
 const hash = require('hash-wasm')
+const backends = require('./backend')
+
+const argon2types = ['argon2i', 'argon2d', 'argon2id', 'argon2i-v2', 'argon2d-v2', 'argon2id-v2']
 
 /**
  * Single-factor (traditional) key derivation function; produces a derived a key from a single input.
  * Supports a number of underlying KDFs: pbkdf2, scrypt, bcrypt, and argon2 (recommended).
  *
+ * The original argon2i, argon2d, and argon2id types decode the input and salt as UTF-8 before hashing,
+ * which loses entropy when they are not valid UTF-8 (as is the case for random secrets);
+ * they are kept so that existing policies derive identically, while the -v2 types hash the raw bytes.
+ * Salts shorter than the 8-byte minimum of argon2 are expanded with SHA-256 by the -v2 types.
+ *
  * @example
  * // setup kdf configuration
  * const config = await mfkdf.setup.kdf({
@@ -37,22 +45,24 @@ const hash = require('hash-wasm')
  * @param {Buffer|string} salt - KDF salt string
  * @param {number} size - Size of derived key to return, in bytes
  * @param {Object} options - KDF configuration options
- * @param {string} options.type - KDF algorithm to use; hkdf, pbkdf2, bcrypt, scrypt, argon2i, argon2d, or argon2id
+ * @param {string} options.type - KDF algorithm to use; hkdf, pbkdf2, bcrypt, scrypt, argon2i, argon2d, argon2id, argon2i-v2, argon2d-v2, or argon2id-v2
  * @param {Object} options.params - Specify parameters of chosen kdf
  * @param {number} options.params.rounds - Number of rounds to use
  * @param {number} [options.params.digest] - Hash function to use (if using pbkdf2 or hdkf)
  * @param {number} [options.params.blocksize] - Block size to use (if using scrypt)
  * @param {number} [options.params.parallelism] - Parallelism to use (if using scrypt or argon2)
  * @param {number} [options.params.memory] - Memory to use (if using argon2)
+ * @param {string} [backend] - Where to run the KDF; inline or worker, defaulting to the backend set with backend.set
  * @returns A derived key as a Buffer
  * @author Vivek Nair (https://nair.me) <vivek@nair.me>
  * @since 0.0.3
  * @async
  * @memberOf kdfs
  */
-async function kdf (input, salt, size, options) {
+async function kdf (input, salt, size, options, backend = backends.get()) {
   if (typeof input === 'string') input = Buffer.from(input)
   if (typeof salt === 'string') salt = Buffer.from(salt)
+  if (backend !== 'inline') return await backends.run('kdf', [input, salt, size, options], backend)
 
   if (options.type === 'pbkdf2') { // PBKDF2
     return new Promise((resolve, reject) => {
@@ -69,7 +79,7 @@ async function kdf (input, salt, size, options) {
       const salthash = crypto.createHash('sha256').update(salt).digest('base64').replace(/\+/g, '.')
 
       // bcrypt with fixed salt
-      bcrypt.hash(inputhash, '$2a$' + options.params.rounds + '$' + salthash, function (err, hash) {
+      bcrypt.hash(inputhash, '$2a$' + String(options.params.rounds).padStart(2, '0') + '$' + salthash, function (err, hash) {
         /* istanbul ignore if */
         if (err) {
           reject(err)
@@ -89,14 +99,18 @@ async function kdf (input, salt, size, options) {
         resolve(Buffer.from(result))
       })
     })
-  } else if (options.type === 'argon2i' || options.type === 'argon2d' || options.type === 'argon2id') {
+  } else if (argon2types.includes(options.type)) {
     return new Promise((resolve, reject) => {
+      const binary = options.type.endsWith('-v2')
+      const variant = binary ? options.type.slice(0, -3) : options.type
       let argon2 = hash.argon2id
-      if (options.type === 'argon2i') argon2 = hash.argon2i
-      else if (options.type === 'argon2d') argon2 = hash.argon2d
-      argon2({ password: input.toString(), salt: salt.toString(), iterations: options.params.rounds, memorySize: options.params.memory, hashLength: size, parallelism: options.params.parallelism, outputType: 'hex' }).then((result) => {
+      if (variant === 'argon2i') argon2 = hash.argon2i
+      else if (variant === 'argon2d') argon2 = hash.argon2d
+      const password = binary ? input : input.toString()
+      if (binary && salt.length < 8) salt = crypto.createHash('sha256').update(salt).digest()
+      argon2({ password, salt: binary ? salt : salt.toString(), iterations: options.params.rounds, memorySize: options.params.memory, hashLength: size, parallelism: options.params.parallelism, outputType: 'hex' }).then((result) => {
         resolve(Buffer.from(result, 'hex'))
-      })
+      }, reject)
     })
   } if (options.type === 'hkdf') {
     return new Promise((resolve, reject) => {
@@ -105,7 +119,7 @@ async function kdf (input, salt, size, options) {
       })
     })
   } else {
-    throw new RangeError('kdf should be one of pbkdf2, bcrypt, scrypt, argon2i, argon2d, or argon2id (default)')
+    throw new RangeError('kdf should be one of hkdf, pbkdf2, bcrypt, scrypt, argon2i, argon2d, argon2id, argon2i-v2, argon2d-v2, or argon2id-v2 (default)')
   }
 }
 module.exports.kdf = kdf
@@ -0,0 +1,42 @@
+/**
+ * @file Look-Ahead
+ * @copyright Multifactor 2022 All Rights Reserved
+ *
+ * @description
+ * Bound on the combinations of HOTP look-ahead counters that derive may try, counted over the factors of stacked keys too
+ *
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ */
+
+const defaults = require('./defaults')
+
+/**
+ * Count the combinations of HOTP look-ahead counters of a set of policy factors, including those of stacked keys
+ *
+ * @param {Array.<Object>} factors - Factors of a key policy
+ * @returns {number} The product of window + 1 over every HOTP factor
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf lookahead
+ */
+function combinations (factors) {
+  return factors.reduce((count, factor) => {
+    if (factor.type === 'hotp') return count * ((factor.params.window || 0) + 1)
+    if (factor.type === 'stack') return count * combinations(factor.params.factors)
+    return count
+  }, 1)
+}
+module.exports.combinations = combinations
+
+/**
+ * Throw if the HOTP look-ahead windows of a set of policy factors allow more combinations of counters than derive tries by default
+ *
+ * @param {Array.<Object>} factors - Factors of a key policy
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf lookahead
+ */
+function validate (factors) {
+  if (combinations(factors) > defaults.derive.maxTrials) throw new RangeError('hotp look-ahead windows allow more than ' + defaults.derive.maxTrials + ' combinations of counters')
+}
+module.exports.validate = validate
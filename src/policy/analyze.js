@@ -0,0 +1,87 @@
+/**
+ * @file MFKDF Policy Analysis
+ * @copyright Multifactor 2022 All Rights Reserved
+ *
+ * @description
+ * Estimate the strength of policy-based multi-factor derived keys
+ *
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ */
+
+const { weight, cheapest, strength } = require('../secrets/weights')
+
+// approximate work (in hash or 1 KiB block operations) and memory (in bytes) of one kdf evaluation
+function cost (kdf) {
+  const params = kdf.params
+  if (kdf.type === 'hkdf') return { work: 1, memory: 0 }
+  if (kdf.type === 'pbkdf2') return { work: params.rounds, memory: 0 }
+  if (kdf.type === 'bcrypt') return { work: 2 ** params.rounds, memory: 4096 }
+  if (kdf.type === 'scrypt') return { work: params.rounds * params.blocksize * params.parallelism, memory: 128 * params.rounds * params.blocksize }
+  return { work: params.rounds * params.memory, memory: params.memory * 1024 }
+}
+
+function walk (policy, entropies) {
+  const children = policy.factors.map(factor => {
+    if (factor.type === 'stack') return Object.assign(walk(factor.params, entropies), { weight: weight(factor) })
+    if (typeof entropies[factor.id] !== 'number') throw new RangeError('missing entropy of factor: ' + factor.id)
+    return { bits: entropies[factor.id], path: [factor.id], work: 0, memory: 0, weight: weight(factor) }
+  })
+
+  // factors are disjoint, so the weakest set is the cheapest set of factors reaching the threshold
+  const chosen = cheapest(children, policy.threshold)
+  const own = cost(policy.kdf)
+
+  return {
+    bits: Math.min(policy.size * 8, strength(chosen, Array.isArray(policy.commitments))),
+    path: chosen.flatMap(child => child.path),
+    work: chosen.reduce((work, child) => work + child.work, own.work),
+    memory: Math.max(own.memory, ...chosen.map(child => child.memory))
+  }
+}
+
+/**
+ * Analyze the strength of a (policy-based) multi-factor derived key across all stacked keys
+ *
+ * @example
+ * // setup key that can be derived from passwordA AND (passwordB OR passwordC)
+ * const setup = await mfkdf.policy.setup(
+ *   await mfkdf.policy.and(
+ *     await mfkdf.setup.factors.password('Tr0ub4dour', { id: 'passwordA' }),
+ *     await mfkdf.policy.or(
+ *       await mfkdf.setup.factors.password('12345678', { id: 'passwordB' }),
+ *       await mfkdf.setup.factors.password('correct horse battery staple', { id: 'passwordC' })
+ *     )
+ *   )
+ * )
+ *
+ * const analysis = mfkdf.policy.analyze(setup.policy, setup.entropyBits.factors)
+ * analysis.path // -> ['passwordB', 'passwordA']
+ * analysis.factor // -> passwordB
+ *
+ * @param {Object} policy - The key policy to analyze
+ * @param {Object.<string, number>} entropies - Real entropy of each factor by id, in bits; as returned in entropyBits.factors by setup.key
+ * @returns {{bits: number, path: Array.<string>, factor: string, work: number, memory: number, cost: number}} The minimum entropy over all satisfying sets of factors (bits),
+ * the weakest such set (path) and its weakest factor (factor), the log2 of the KDF work needed to test one guess of that set, counting one KDF evaluation for every key on the path (work),
+ * the memory needed to test one guess in bytes (memory), and the log2 of the expected work of an offline brute-force attack, in hash or 1 KiB block operations (cost)
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf policy
+ */
+function analyze (policy, entropies) {
+  if (typeof entropies !== 'object' || entropies === null) throw new TypeError('entropies must be an object')
+
+  const result = walk(policy, entropies)
+  const factor = result.path.reduce((weakest, id) => entropies[id] < entropies[weakest] ? id : weakest)
+  const work = Math.log2(result.work)
+
+  return {
+    bits: result.bits,
+    path: result.path,
+    factor,
+    work,
+    memory: result.memory,
+    // on average, half of the guesses are needed
+    cost: Math.max(0, result.bits - 1) + work
+  }
+}
+module.exports.analyze = analyze
@@ -12,15 +12,16 @@ const validate = require('./validate').validate
 const evaluate = require('./evaluate').evaluate
 const stack = require('../derive/factors/stack').stack
 const deriveKey = require('../derive/key').key
+const { InvalidPolicyError, InsufficientFactorsError } = require('../errors')
 
-function expand (policy, factors) {
+function expand (policy, factors, options) {
   const parsedFactors = {}
   const ids = Object.keys(factors)
 
   for (const factor of policy.factors) {
     if (factor.type === 'stack') {
       if (evaluate(factor.params, ids)) {
-        parsedFactors[factor.id] = stack(expand(factor.params, factors))
+        parsedFactors[factor.id] = stack(expand(factor.params, factors, options), { signal: options.signal })
       }
     } else {
       if (ids.includes(factor.id)) {
@@ -58,19 +59,23 @@ function expand (policy, factors) {
  *
  * @param {Object} policy - The key policy for the key being derived
  * @param {Object.<string, MFKDFFactor>} factors - Factors used to derive this key
+ * @param {Object} [options] - Derivation options
+ * @param {boolean} [options.verify=false] - Whether to reject policies without a valid integrity tag
+ * @param {AbortSignal} [options.signal] - Signal used to cancel derivation, including of stacked keys; checked between phases, rejecting with AbortError
+ * @param {function(Object)} [options.onProgress] - Called with a progress event ({ phase, factor, completed, total }) as derivation of the outer key enters each phase
  * @returns {MFKDFDerivedKey} A multi-factor derived key object
  * @author Vivek Nair (https://nair.me) <vivek@nair.me>
  * @since 0.16.0
  * @async
  * @memberOf policy
  */
-async function derive (policy, factors) {
+async function derive (policy, factors, options = {}) {
   const ids = Object.keys(factors)
-  if (!validate(policy)) throw new TypeError('policy contains duplicate ids')
-  if (!evaluate(policy, ids)) throw new RangeError('insufficient factors to derive key')
+  if (!validate(policy)) throw new InvalidPolicyError('policy contains duplicate ids')
+  if (!evaluate(policy, ids)) throw new InsufficientFactorsError('insufficient factors to derive key')
 
-  const expanded = expand(policy, factors)
+  const expanded = expand(policy, factors, options)
 
-  return await deriveKey(policy, expanded)
+  return await deriveKey(policy, expanded, options)
 }
 module.exports.derive = derive
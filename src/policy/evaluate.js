@@ -8,6 +8,8 @@
  * @author Vivek Nair (https://nair.me) <vivek@nair.me>
  */
 
+const weight = require('../secrets/weights').weight
+
 /**
  * Evaluate a policy-based multi-factor derived key
  *
@@ -41,11 +43,103 @@ function evaluate (policy, factors) {
   let actual = 0
   for (const factor of policy.factors) {
     if (factor.type === 'stack') {
-      if (evaluate(factor.params, factors)) actual++
+      if (evaluate(factor.params, factors)) actual += weight(factor)
     } else {
-      if (factors.includes(factor.id)) actual++
+      if (factors.includes(factor.id)) actual += weight(factor)
     }
   }
   return (actual >= threshold)
 }
 module.exports.evaluate = evaluate
+
+// subsets of items whose weights reach the threshold, without any item beyond the last needed
+function combinations (items, threshold) {
+  if (threshold <= 0) return [[]]
+  if (items.length === 0) return []
+  const [first, ...rest] = items
+  return combinations(rest, threshold - first.weight).map(combination => [first, ...combination]).concat(combinations(rest, threshold))
+}
+
+// policy ids are unique, so sets from different factors never coincide
+function minimize (sets) {
+  return sets.filter(set => !sets.some(other => other.length < set.length && other.every(id => set.includes(id))))
+}
+
+/**
+ * List all minimal sets of factor ids that can derive a policy-based multi-factor derived key
+ *
+ * @example
+ * // setup key that can be derived from passwordA AND (passwordB OR passwordC)
+ * const setup = await mfkdf.policy.setup(
+ *   await mfkdf.policy.and(
+ *     await mfkdf.setup.factors.password('passwordA', { id: 'passwordA' }),
+ *     await mfkdf.policy.or(
+ *       await mfkdf.setup.factors.password('passwordB', { id: 'passwordB' }),
+ *       await mfkdf.setup.factors.password('passwordC', { id: 'passwordC' })
+ *     )
+ *   )
+ * )
+ *
+ * mfkdf.policy.satisfyingSets(setup.policy) // -> [['passwordA', 'passwordB'], ['passwordA', 'passwordC']]
+ *
+ * @param {Object} policy - The key policy for the key being derived
+ * @returns {Array.<Array.<string>>} Sets of factor ids which can derive the key, none of which contains another, smallest first
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf policy
+ */
+function satisfyingSets (policy) {
+  const children = policy.factors.map(factor => ({
+    sets: factor.type === 'stack' ? satisfyingSets(factor.params) : [[factor.id]],
+    weight: weight(factor)
+  }))
+
+  let sets = []
+  for (const combination of combinations(children, policy.threshold)) {
+    // one satisfying set from each chosen factor
+    const product = combination.reduce((sets, child) => sets.flatMap(set => child.sets.map(option => set.concat(option))), [[]])
+    sets = sets.concat(product)
+  }
+
+  return minimize(sets).sort((a, b) => a.length - b.length)
+}
+module.exports.satisfyingSets = satisfyingSets
+
+/**
+ * Suggest the cheapest additional factors needed to derive a policy-based multi-factor derived key
+ *
+ * @example
+ * // setup key that can be derived from passwordA AND (passwordB OR passwordC)
+ * const setup = await mfkdf.policy.setup(
+ *   await mfkdf.policy.and(
+ *     await mfkdf.setup.factors.password('passwordA', { id: 'passwordA' }),
+ *     await mfkdf.policy.or(
+ *       await mfkdf.setup.factors.password('passwordB', { id: 'passwordB' }),
+ *       await mfkdf.setup.factors.password('passwordC', { id: 'passwordC' })
+ *     )
+ *   )
+ * )
+ *
+ * mfkdf.policy.missing(setup.policy, ['passwordC']) // -> ['passwordA']
+ * mfkdf.policy.missing(setup.policy, []) // -> ['passwordA', 'passwordB']
+ * mfkdf.policy.missing(setup.policy, [], { passwordB: 5 }) // -> ['passwordA', 'passwordC']
+ *
+ * @param {Object} policy - The key policy for the key being derived
+ * @param {Array.<string>} factors - Array of factor ids already present
+ * @param {Object.<string, number>} [costs] - Cost of providing each factor, 1 by default
+ * @returns {Array.<string>} Ids of the cheapest set of additional factors which would allow the key to be derived; empty if it already can be
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf policy
+ */
+function missing (policy, factors, costs = {}) {
+  const cost = (ids) => ids.reduce((total, id) => total + (typeof costs[id] === 'number' ? costs[id] : 1), 0)
+
+  let best = null
+  for (const set of satisfyingSets(policy)) {
+    const needed = set.filter(id => !factors.includes(id))
+    if (best === null || cost(needed) < cost(best)) best = needed
+  }
+  return best
+}
+module.exports.missing = missing
@@ -0,0 +1,256 @@
+/**
+ * @file MFKDF Policy Expressions
+ * @copyright Multifactor 2022 All Rights Reserved
+ *
+ * @description
+ * Boolean expression syntax for MFKDF policies
+ *
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ */
+
+const atLeast = require('./logic').atLeast
+
+const word = /^[A-Za-z0-9_.@:+-]+$/
+
+function tokenize (expression) {
+  const tokens = []
+  let position = 0
+
+  while (position < expression.length) {
+    const char = expression[position]
+
+    if (/\s/.test(char)) {
+      position++
+    } else if ('&|(),*'.includes(char)) {
+      tokens.push({ type: char, position })
+      position++
+    } else if (char === '"') {
+      // quoted ids use JSON string syntax
+      let end = position + 1
+      while (end < expression.length && expression[end] !== '"') end += expression[end] === '\\' ? 2 : 1
+      if (end >= expression.length) throw new SyntaxError('unterminated string at position ' + position)
+      let value
+      try {
+        value = JSON.parse(expression.slice(position, end + 1))
+      } catch (e) {
+        throw new SyntaxError('invalid string at position ' + position)
+      }
+      tokens.push({ type: 'id', value, position })
+      position = end + 1
+    } else if (word.test(char)) {
+      let end = position
+      while (end < expression.length && word.test(expression[end])) end++
+      tokens.push({ type: 'word', value: expression.slice(position, end), position })
+      position = end
+    } else {
+      throw new SyntaxError('unexpected character "' + char + '" at position ' + position)
+    }
+  }
+
+  tokens.push({ type: 'end', position })
+  return tokens
+}
+
+function describe (token) {
+  if (token.type === 'end') return 'end of expression'
+  if (token.type === 'id') return JSON.stringify(token.value)
+  if (token.type === 'word') return '"' + token.value + '"'
+  return '"' + token.type + '"'
+}
+
+function parse (expression) {
+  const tokens = tokenize(expression)
+  let index = 0
+
+  const peek = () => tokens[index]
+  const next = () => tokens[index++]
+  const expect = (type, what) => {
+    const token = next()
+    if (token.type !== type) throw new SyntaxError('expected ' + what + ' but found ' + describe(token) + ' at position ' + token.position)
+    return token
+  }
+  const number = () => {
+    const token = expect('word', 'a number')
+    if (!/^[0-9]+$/.test(token.value)) throw new SyntaxError('expected a number but found ' + describe(token) + ' at position ' + token.position)
+    return { value: parseInt(token.value), position: token.position }
+  }
+
+  // weights only make sense for the arguments of atLeast
+  const unweighted = (node) => {
+    if (node.weight !== undefined) throw new SyntaxError('weight at position ' + node.weightPosition + ' is only allowed on atLeast arguments')
+    return node
+  }
+
+  // or := and ('|' and)*
+  const or = () => {
+    const children = [and()]
+    while (peek().type === '|') {
+      next()
+      children.push(and())
+    }
+    return children.length === 1 ? children[0] : { type: 'atLeast', n: 1, children: children.map(unweighted) }
+  }
+
+  // and := primary ('&' primary)*
+  const and = () => {
+    const children = [primary()]
+    while (peek().type === '&') {
+      next()
+      children.push(primary())
+    }
+    return children.length === 1 ? children[0] : { type: 'atLeast', n: children.length, children: children.map(unweighted) }
+  }
+
+  // primary := (id | '(' or ')' | 'atLeast' '(' number (',' or)+ ')') ('*' number)?
+  const primary = () => {
+    const token = next()
+    let node
+
+    if (token.type === '(') {
+      node = unweighted(or())
+      expect(')', '")"')
+    } else if (token.type === 'word' && token.value === 'atLeast' && peek().type === '(') {
+      next()
+      const count = number()
+      const children = []
+      do {
+        expect(',', '","')
+        children.push(or())
+      } while (peek().type === ',')
+      expect(')', '")"')
+
+      const total = children.reduce((total, child) => total + (child.weight || 1), 0)
+      if (count.value < 1 || count.value > total) throw new RangeError('atLeast threshold at position ' + count.position + ' must be between 1 and ' + total)
+      node = { type: 'atLeast', n: count.value, children }
+    } else if (token.type === 'word' || token.type === 'id') {
+      node = { type: 'factor', id: token.value, position: token.position }
+    } else {
+      throw new SyntaxError('expected a factor id but found ' + describe(token) + ' at position ' + token.position)
+    }
+
+    if (peek().type === '*') {
+      next()
+      const weight = number()
+      if (weight.value < 1) throw new RangeError('weight at position ' + weight.position + ' must be positive')
+      node = Object.assign({}, node, { weight: weight.value, weightPosition: weight.position })
+    }
+    return node
+  }
+
+  const node = unweighted(or())
+  const token = peek()
+  if (token.type !== 'end') throw new SyntaxError('unexpected ' + describe(token) + ' at position ' + token.position)
+  return node
+}
+
+async function compile (node, factors) {
+  if (node.type === 'factor') return factors[node.id]
+  const children = []
+  for (const child of node.children) children.push(await compile(child, factors))
+  return await atLeast(node.n, children, node.children.map(child => child.weight || 1))
+}
+
+/**
+ * Create a MFKDF factor from a boolean expression over factor ids, using & (and), | (or), atLeast(n, ...), and parentheses;
+ * arguments of atLeast can be weighted like atLeast(3, hardware * 2, password, recovery), and ids that contain other characters can be written as JSON strings
+ *
+ * @example
+ * // setup key that can be derived from password AND (totp OR hotp OR 2 of 3 recovery codes)
+ * const factors = [
+ *   await mfkdf.setup.factors.password('password'),
+ *   await mfkdf.setup.factors.totp(),
+ *   await mfkdf.setup.factors.hotp(),
+ *   await mfkdf.setup.factors.uuid({ id: 'r1' }),
+ *   await mfkdf.setup.factors.uuid({ id: 'r2' }),
+ *   await mfkdf.setup.factors.uuid({ id: 'r3' })
+ * ]
+ * const setup = await mfkdf.policy.setup(
+ *   await mfkdf.policy.parse('password & (totp | hotp | atLeast(2, r1, r2, r3))', factors)
+ * )
+ *
+ * mfkdf.policy.toExpression(setup.policy) // -> password & (totp | hotp | atLeast(2, r1, r2, r3))
+ *
+ * @param {string} expression - Policy expression
+ * @param {Array.<MFKDFFactor>|Object.<string, MFKDFFactor>} factors - Set-up factors referenced by the expression, found by their ids
+ * @returns {MFKDFFactor} Factor that can be derived with any set of factors satisfying the expression
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @async
+ * @memberOf policy
+ */
+async function parseExpression (expression, factors) {
+  if (typeof expression !== 'string') throw new TypeError('expression must be a string')
+  if (typeof factors !== 'object' || factors === null) throw new TypeError('factors must be an array or object')
+
+  const available = {}
+  for (const factor of Object.values(factors)) available[factor.id] = factor
+
+  const node = parse(expression)
+
+  // every factor must exist and be used at most once, since policy ids must be unique
+  const used = new Set()
+  const check = (node) => {
+    if (node.type === 'atLeast') return node.children.forEach(check)
+    if (!available[node.id]) throw new RangeError('unknown factor "' + node.id + '" at position ' + node.position)
+    if (used.has(node.id)) throw new RangeError('factor "' + node.id + '" at position ' + node.position + ' is used more than once')
+    used.add(node.id)
+  }
+  check(node)
+
+  return await compile(node, available)
+}
+module.exports.parse = parseExpression
+
+function render (policy) {
+  const children = policy.factors.map(factor => {
+    if (factor.type === 'stack') return render(factor.params)
+    return { text: word.test(factor.id) ? factor.id : JSON.stringify(factor.id), precedence: 2 }
+  })
+  const n = children.length
+  const weights = policy.factors.map(factor => factor.weight || 1)
+
+  // precedence: 0 (or), 1 (and), 2 (atom or function call)
+  if (weights.some(weight => weight > 1)) {
+    const args = children.map((child, index) => {
+      if (weights[index] === 1) return child.text
+      return (child.precedence < 2 ? '(' + child.text + ')' : child.text) + ' * ' + weights[index]
+    })
+    return { text: 'atLeast(' + [policy.threshold].concat(args).join(', ') + ')', precedence: 2 }
+  }
+  if (n === 1 && policy.threshold === 1) return children[0]
+  if (policy.threshold === n) {
+    return { text: children.map(child => child.precedence < 2 ? '(' + child.text + ')' : child.text).join(' & '), precedence: 1 }
+  }
+  if (policy.threshold === 1) {
+    return { text: children.map(child => child.precedence < 1 ? '(' + child.text + ')' : child.text).join(' | '), precedence: 0 }
+  }
+  return { text: 'atLeast(' + [policy.threshold].concat(children.map(child => child.text)).join(', ') + ')', precedence: 2 }
+}
+
+/**
+ * Render a key policy as a boolean expression over factor ids, in the syntax accepted by policy.parse
+ *
+ * @example
+ * // setup key that can be derived from passwordA AND (passwordB OR passwordC)
+ * const setup = await mfkdf.policy.setup(
+ *   await mfkdf.policy.and(
+ *     await mfkdf.setup.factors.password('passwordA', { id: 'passwordA' }),
+ *     await mfkdf.policy.or(
+ *       await mfkdf.setup.factors.password('passwordB', { id: 'passwordB' }),
+ *       await mfkdf.setup.factors.password('passwordC', { id: 'passwordC' })
+ *     )
+ *   )
+ * )
+ *
+ * mfkdf.policy.toExpression(setup.policy) // -> passwordA & (passwordB | passwordC)
+ *
+ * @param {Object} policy - Policy used to derive a key
+ * @returns {string} Expression describing which sets of factors can derive the key
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf policy
+ */
+function toExpression (policy) {
+  return render(policy).text
+}
+module.exports.toExpression = toExpression
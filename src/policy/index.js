@@ -8,5 +8,9 @@ module.exports = {
   ...require('./derive'),
   ...require('./evaluate'),
   ...require('./logic'),
-  ...require('./validate')
+  ...require('./expression'),
+  ...require('./analyze'),
+  ...require('./visualize'),
+  ...require('./validate'),
+  ...require('./integrity')
 }
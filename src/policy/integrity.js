@@ -0,0 +1,86 @@
+/**
+ * @file MFKDF Policy Integrity
+ * @copyright Multifactor 2022 All Rights Reserved
+ *
+ * @description
+ * Detect tampering with stored key policies
+ *
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ */
+
+const crypto = require('crypto')
+
+// deterministic JSON serialization with sorted object keys
+function canonicalize (value) {
+  if (Array.isArray(value)) {
+    return '[' + value.map(canonicalize).join(',') + ']'
+  } else if (value !== null && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort()
+    return '{' + keys.map(key => JSON.stringify(key) + ':' + canonicalize(value[key])).join(',') + '}'
+  } else {
+    return JSON.stringify(value)
+  }
+}
+
+/**
+ * Compute the integrity tag of a multi-factor derived key policy
+ *
+ * @example
+ * // setup multi-factor derived key
+ * const setup = await mfkdf.setup.key([ await mfkdf.setup.factors.password('password') ])
+ *
+ * // compute integrity tag of policy
+ * const tag = mfkdf.policy.integrity(setup.policy, setup.key) // -> setup.policy.hmac
+ *
+ * @param {Object} policy - The key policy to compute the integrity tag of
+ * @param {Buffer} key - The key derived from this policy
+ * @returns {string} Base-64 encoded HMAC-SHA256 of the canonicalized policy
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf policy
+ */
+function integrity (policy, key) {
+  if (typeof policy !== 'object' || policy === null) throw new TypeError('policy must be an object')
+  if (!Buffer.isBuffer(key)) throw new TypeError('key must be a buffer')
+
+  const body = Object.assign({}, policy)
+  delete body.hmac
+
+  const integrityKey = crypto.createHmac('sha256', key).update('MFKDF_POLICY_INTEGRITY').digest()
+  return crypto.createHmac('sha256', integrityKey).update(canonicalize(body)).digest('base64')
+}
+module.exports.integrity = integrity
+
+/**
+ * Verify the integrity tag of a multi-factor derived key policy
+ *
+ * @example
+ * // setup multi-factor derived key
+ * const setup = await mfkdf.setup.key([ await mfkdf.setup.factors.password('password') ])
+ *
+ * // verify policy integrity
+ * const valid1 = mfkdf.policy.verifyIntegrity(setup.policy, setup.key) // -> true
+ *
+ * // modify policy
+ * setup.policy.threshold = 2
+ * const valid2 = mfkdf.policy.verifyIntegrity(setup.policy, setup.key) // -> false
+ *
+ * @param {Object} policy - The key policy to verify
+ * @param {Buffer} key - The key derived from this policy
+ * @returns {boolean} Whether the policy carries a valid integrity tag for this key
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf policy
+ */
+function verifyIntegrity (policy, key) {
+  const expected = Buffer.from(integrity(policy, key), 'base64')
+  if (typeof policy.hmac !== 'string') return false
+  const actual = Buffer.from(policy.hmac, 'base64')
+  if (actual.length !== expected.length) return false
+
+  // constant-time comparison
+  let difference = 0
+  for (let i = 0; i < expected.length; i++) difference |= expected[i] ^ actual[i]
+  return difference === 0
+}
+module.exports.verifyIntegrity = verifyIntegrity
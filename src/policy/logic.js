@@ -175,16 +175,23 @@ module.exports.any = any
  * setup.key.toString('hex') // -> e16a227944a65263
  * derive.key.toString('hex') // -> e16a227944a65263
  *
- * @param {number} n - The number of factors to be required
+ * @param {number} n - The number of factors (or points, if weighted) to be required
  * @param {Array.<MFKDFFactor>} factors - The factor inputs to the atLeast(#) policy
+ * @param {Array.<number>} [weights] - Weight of each factor, 1 by default
  * @returns {MFKDFFactor} Factor that can be derived with at least n of the given factors
  * @author Vivek Nair (https://nair.me) <vivek@nair.me>
  * @since 0.16.0
  * @async
  * @memberOf policy
  */
-async function atLeast (n, factors) {
+async function atLeast (n, factors, weights) {
   const id = uuidv4()
-  return await stack(factors, { threshold: n, id })
+  const options = { threshold: n, id }
+  if (weights !== undefined) {
+    if (!Array.isArray(weights) || weights.length !== factors.length) throw new TypeError('weights must be an array with one weight per factor')
+    options.weights = {}
+    for (const [index, factor] of factors.entries()) options.weights[factor.id] = weights[index]
+  }
+  return await stack(factors, options)
 }
 module.exports.atLeast = atLeast
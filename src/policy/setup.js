@@ -41,7 +41,7 @@ const validate = require('./validate').validate
  * @param {number} [options.size=32] - Size of derived key, in bytes
  * @param {number} [options.threshold] - Number of factors required to derive key; factors.length by default (all required)
  * @param {Buffer} [options.salt] - Cryptographic salt; generated via secure PRG by default (recommended)
- * @param {string} [options.kdf='argon2id'] - KDF algorithm to use; pbkdf2, bcrypt, scrypt, argon2i, argon2d, or argon2id
+ * @param {string} [options.kdf='argon2id-v2'] - KDF algorithm to use; hkdf, pbkdf2, bcrypt, scrypt, argon2i, argon2d, argon2id, argon2i-v2, argon2d-v2, or argon2id-v2
  * @param {number} [options.pbkdf2rounds=310000] - Number of rounds to use if using pbkdf2
  * @param {string} [options.pbkdf2digest='sha256'] - Hash function to use if using pbkdf2; sha1, sha256, sha384, or sha512
  * @param {number} [options.bcryptrounds=10] - Number of rounds to use if using bcrypt
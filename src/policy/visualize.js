@@ -0,0 +1,163 @@
+/**
+ * @file MFKDF Policy Visualization
+ * @copyright Multifactor 2022 All Rights Reserved
+ *
+ * @description
+ * Render key policies as Graphviz DOT and Mermaid diagrams
+ *
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ */
+
+const { weight, cheapest, strength } = require('../secrets/weights')
+
+// params worth showing for each factor type
+function details (factor) {
+  const params = factor.params
+  if (factor.type === 'totp') return ['step ' + params.step + 's, window ' + params.window]
+  if (factor.type === 'hotp') return ['counter ' + params.counter + (params.window ? ', window ' + params.window : '')]
+  if (factor.type === 'question') return [params.question]
+  return []
+}
+
+function gate (policy) {
+  const n = policy.factors.length
+  const total = policy.factors.reduce((total, factor) => total + weight(factor), 0)
+  if (n > 1 && policy.threshold === total) return 'AND'
+  if (n > 1 && policy.threshold === 1) return 'OR'
+  return policy.threshold + ' of ' + total + (total === n ? '' : ' points')
+}
+
+function entropy (bits) {
+  return Math.round(bits) + ' bits'
+}
+
+// flatten a policy into nodes (with lines of text) and weighted edges between them
+function graph (policy, entropies) {
+  const nodes = []
+  const edges = []
+
+  const visit = (policy) => {
+    // policy.setup wraps the outermost stack in a 1-of-1 key
+    if (policy.factors.length === 1 && policy.threshold === 1 && policy.factors[0].type === 'stack') return visit(policy.factors[0].params)
+
+    const node = { id: 'n' + nodes.length, gate: true, lines: [gate(policy)] }
+    nodes.push(node)
+
+    const children = policy.factors.map(factor => {
+      edges.push({ from: node.id, to: 'n' + nodes.length, weight: weight(factor) })
+      let child
+      if (factor.type === 'stack') {
+        child = visit(factor.params)
+      } else {
+        child = { id: 'n' + nodes.length, gate: false, lines: [factor.id + ' (' + factor.type + ')'].concat(details(factor)) }
+        nodes.push(child)
+        if (entropies) {
+          if (typeof entropies[factor.id] !== 'number') throw new RangeError('missing entropy of factor: ' + factor.id)
+          child.bits = entropies[factor.id]
+          child.lines.push(entropy(child.bits))
+        }
+      }
+      return { bits: child.bits, weight: weight(factor) }
+    })
+
+    if (entropies) {
+      // the weakest set of children reaching the threshold
+      node.bits = Math.min(policy.size * 8, strength(cheapest(children, policy.threshold), Array.isArray(policy.commitments)))
+      node.lines.push(entropy(node.bits))
+    }
+    return node
+  }
+
+  visit(policy)
+  return { nodes, edges }
+}
+
+function validate (options) {
+  if (typeof options !== 'object' || options === null) throw new TypeError('options must be an object')
+  if (options.entropies !== undefined && (typeof options.entropies !== 'object' || options.entropies === null)) throw new TypeError('entropies must be an object')
+}
+
+/**
+ * Render a key policy as a Graphviz DOT graph, with threshold gates as diamonds and factors as boxes
+ *
+ * @example
+ * // setup key that can be derived from password AND (totp OR hotp)
+ * const setup = await mfkdf.policy.setup(
+ *   await mfkdf.policy.parse('password & (totp | hotp)', [
+ *     await mfkdf.setup.factors.password('password'),
+ *     await mfkdf.setup.factors.totp(),
+ *     await mfkdf.setup.factors.hotp()
+ *   ])
+ * )
+ *
+ * const dot = mfkdf.policy.toDot(setup.policy, { entropies: setup.entropyBits.factors })
+ * // -> digraph policy { ... n0 [shape=diamond, label="AND\n40 bits"]; ... }
+ *
+ * @param {Object} policy - Policy used to derive a key
+ * @param {Object} [options] - Rendering options
+ * @param {Object.<string, number>} [options.entropies] - Real entropy of each factor by id, in bits, as returned in entropyBits.factors by setup.key; annotates each node with its entropy
+ * @returns {string} Graphviz DOT source
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf policy
+ */
+function toDot (policy, options = {}) {
+  validate(options)
+  const { nodes, edges } = graph(policy, options.entropies)
+
+  const lines = ['digraph policy {']
+  for (const node of nodes) {
+    lines.push('  ' + node.id + ' [shape=' + (node.gate ? 'diamond' : 'box') + ', label=' + JSON.stringify(node.lines.join('\n')) + '];')
+  }
+  for (const edge of edges) {
+    lines.push('  ' + edge.from + ' -> ' + edge.to + (edge.weight > 1 ? ' [label="weight ' + edge.weight + '"]' : '') + ';')
+  }
+  lines.push('}')
+  return lines.join('\n')
+}
+module.exports.toDot = toDot
+
+// mermaid escapes characters with entity codes like #34;
+function escape (text) {
+  return text.replace(/[#"<>&]/g, char => '#' + char.charCodeAt(0) + ';')
+}
+
+/**
+ * Render a key policy as a Mermaid flowchart, with threshold gates as hexagons and factors as boxes
+ *
+ * @example
+ * // setup key that can be derived from password AND (totp OR hotp)
+ * const setup = await mfkdf.policy.setup(
+ *   await mfkdf.policy.parse('password & (totp | hotp)', [
+ *     await mfkdf.setup.factors.password('password'),
+ *     await mfkdf.setup.factors.totp(),
+ *     await mfkdf.setup.factors.hotp()
+ *   ])
+ * )
+ *
+ * const mermaid = mfkdf.policy.toMermaid(setup.policy)
+ * // -> flowchart TD ... n0{{"AND"}} ... n0 --> n1 ...
+ *
+ * @param {Object} policy - Policy used to derive a key
+ * @param {Object} [options] - Rendering options
+ * @param {Object.<string, number>} [options.entropies] - Real entropy of each factor by id, in bits, as returned in entropyBits.factors by setup.key; annotates each node with its entropy
+ * @returns {string} Mermaid flowchart source
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf policy
+ */
+function toMermaid (policy, options = {}) {
+  validate(options)
+  const { nodes, edges } = graph(policy, options.entropies)
+
+  const lines = ['flowchart TD']
+  for (const node of nodes) {
+    const label = '"' + node.lines.map(escape).join('<br/>') + '"'
+    lines.push('  ' + node.id + (node.gate ? '{{' + label + '}}' : '[' + label + ']'))
+  }
+  for (const edge of edges) {
+    lines.push('  ' + edge.from + ' -->' + (edge.weight > 1 ? '|"weight ' + edge.weight + '"|' : '') + ' ' + edge.to)
+  }
+  return lines.join('\n')
+}
+module.exports.toMermaid = toMermaid
@@ -0,0 +1,45 @@
+/**
+ * @file Progress
+ * @copyright Multifactor 2022 All Rights Reserved
+ *
+ * @description
+ * Cancellation and progress reporting for long-running key operations
+ *
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ */
+
+const { AbortError } = require('./errors')
+
+/**
+ * Validate the signal and onProgress options of a key operation
+ *
+ * @param {Object} options - Operation options
+ * @param {AbortSignal} [options.signal] - Signal used to cancel the operation
+ * @param {function(Object)} [options.onProgress] - Callback receiving progress events
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf progress
+ */
+function validate (options) {
+  if (options.signal !== undefined && (typeof options.signal !== 'object' || options.signal === null || typeof options.signal.aborted !== 'boolean')) {
+    throw new TypeError('signal must be an AbortSignal')
+  }
+  if (options.onProgress !== undefined && typeof options.onProgress !== 'function') throw new TypeError('onProgress must be a function')
+}
+module.exports.validate = validate
+
+/**
+ * Throw if the operation was cancelled, then report that it is entering the given phase
+ *
+ * @param {Object} options - Operation options
+ * @param {string} phase - Phase being entered; factor, share, combine, kdf, upgrade, or done
+ * @param {Object} [details] - Additional properties of the progress event, like factor, completed, and total
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf progress
+ */
+function checkpoint (options, phase, details) {
+  if (options.signal && options.signal.aborted) throw new AbortError('operation was aborted', options.signal.reason)
+  if (options.onProgress) options.onProgress(Object.assign({ phase }, details))
+}
+module.exports.checkpoint = checkpoint
@@ -0,0 +1,42 @@
+/**
+ * @file Share Check Values
+ * @copyright Multifactor 2022 All Rights Reserved
+ *
+ * @description
+ * Compute short check values to detect incorrect shares before combining
+ *
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ */
+const crypto = require('crypto')
+
+/**
+ * Compute a truncated check value of a factor's share. Each bit of the check value lets an attacker
+ * holding the policy rule out half of the guesses for that factor without attacking the other factors.
+ *
+ * @example
+ * // share secret using 2-of-3 shares
+ * const shares = mfkdf.secrets.share(Buffer.from('hello world'), 2, 3) // -> [Buffer, Buffer, Buffer]
+ *
+ * // compute 8-bit check value of first share
+ * const value = mfkdf.secrets.check(shares[0], Buffer.from('salt'), 'password', 8) // -> 0-255
+ *
+ * @param {Buffer} share - The share to compute a check value for
+ * @param {Buffer} salt - Salt of the key policy
+ * @param {string} id - ID of the factor holding the share
+ * @param {number} bits - Size of the check value, between 1 and 32 bits
+ * @returns {number} The check value
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf secrets
+ */
+function check (share, salt, id, bits) {
+  if (!Buffer.isBuffer(share)) throw new TypeError('share must be a buffer')
+  if (!Buffer.isBuffer(salt)) throw new TypeError('salt must be a buffer')
+  if (typeof id !== 'string') throw new TypeError('id must be a string')
+  if (!Number.isInteger(bits)) throw new TypeError('bits must be an integer')
+  if (bits < 1 || bits > 32) throw new RangeError('bits must be between 1 and 32')
+
+  const digest = crypto.createHmac('sha256', share).update('MFKDF_CHECK').update(salt).update(id).digest()
+  return Math.floor(digest.readUInt32BE(0) / (2 ** (32 - bits)))
+}
+module.exports.check = check
@@ -8,7 +8,9 @@
  * @author Vivek Nair (https://nair.me) <vivek@nair.me>
  */
 const xor = require('buffer-xor')
-const secrets = require('secrets.js-34r7h')
+const shamir = require('./shamir')
+const feldman = require('./feldman')
+const { InsufficientFactorsError } = require('../errors')
 
 /**
  * K-of-N secret combining. Uses bitwise XOR for k=n, Shamir's Secret Sharing for 1 < K < N, and direct secret sharing for K = 1.
@@ -27,12 +29,13 @@ const secrets = require('secrets.js-34r7h')
  * @param {Array.<Buffer>} shares - The secret shares to be combined
  * @param {number} k - The threshold of shares required to reconstruct the secret
  * @param {number} n - The number of shares that were originally generated
+ * @param {Array.<Buffer>} [commitments] - Commitments returned by shareVerifiable; shares that fail verification are ignored
  * @returns {Buffer} The retrieved secret as a Buffer
  * @author Vivek Nair (https://nair.me) <vivek@nair.me>
  * @since 0.8.0
  * @memberOf secrets
  */
-function combine (shares, k, n) {
+function combine (shares, k, n, commitments) {
   if (!Array.isArray(shares)) throw new TypeError('shares must be an array')
   if (shares.length === 0) throw new RangeError('shares must not be empty')
   if (!Number.isInteger(n)) throw new TypeError('n must be an integer')
@@ -40,7 +43,21 @@ function combine (shares, k, n) {
   if (!Number.isInteger(k)) throw new TypeError('k must be an integer')
   if (!(k > 0)) throw new RangeError('k must be positive')
   if (k > n) throw new RangeError('k must be less than or equal to n')
-  if (shares.length < k) throw new RangeError('not enough shares provided to retrieve secret')
+  if (shares.length < k) throw new InsufficientFactorsError('not enough shares provided to retrieve secret')
+
+  if (commitments !== undefined) { // verifiable k-of-n
+    if (!Array.isArray(commitments) || !commitments.every(commitment => Buffer.isBuffer(commitment))) throw new TypeError('commitments must be an array of buffers')
+    if (shares.length !== n) throw new RangeError('provide a shares array of size n; use NULL for unknown shares')
+
+    const points = []
+    for (const [index, share] of shares.entries()) {
+      if (share && feldman.verify(share, index + 1, commitments)) points.push({ x: index + 1, data: share })
+    }
+
+    if (points.length < k) throw new InsufficientFactorsError('not enough valid shares provided to retrieve secret')
+
+    return feldman.combine(points)
+  }
 
   if (k === 1) { // 1-of-n
     return shares.filter(x => Buffer.isBuffer(x))[0]
@@ -53,24 +70,14 @@ function combine (shares, k, n) {
   } else { // k-of-n
     if (shares.length !== n) throw new RangeError('provide a shares array of size n; use NULL for unknown shares')
 
-    const bits = Math.max(Math.ceil(Math.log(n + 1) / Math.LN2), 3)
-    secrets.init(bits)
-
-    const formatted = []
-
+    const points = []
     for (const [index, share] of shares.entries()) {
-      if (share) {
-        let value = Number(bits).toString(36) // bits
-        const maxIdLength = (Math.pow(2, bits) - 1).toString(16).length
-        value += (index + 1).toString(16).padStart(maxIdLength, '0') // id
-        value += share.toString('hex')
-        formatted.push(value)
-      }
+      if (share) points.push({ x: index + 1, data: share })
     }
 
-    if (formatted.length < k) throw new RangeError('not enough shares provided to retrieve secret')
+    if (points.length < k) throw new InsufficientFactorsError('not enough shares provided to retrieve secret')
 
-    return Buffer.from(secrets.combine(formatted), 'hex')
+    return shamir.combine(points, n)
   }
 }
 module.exports.combine = combine
@@ -0,0 +1,161 @@
+/**
+ * @file Feldman's Verifiable Secret Sharing
+ * @copyright Multifactor 2022 All Rights Reserved
+ *
+ * @description
+ * Shamir's Secret Sharing over the order-q subgroup of the 2048-bit MODP group (RFC 3526), with Feldman commitments to each coefficient
+ *
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ */
+const crypto = require('crypto')
+
+// RFC 3526 group 14; p = 2q + 1 is a safe prime, and g = 2 generates the subgroup of prime order q
+const p = BigInt('0x' +
+  'FFFFFFFFFFFFFFFFC90FDAA22168C234C4C6628B80DC1CD129024E088A67CC74' +
+  '020BBEA63B139B22514A08798E3404DDEF9519B3CD3A431B302B0A6DF25F1437' +
+  '4FE1356D6D51C245E485B576625E7EC6F44C42E9A637ED6B0BFF5CB6F406B7ED' +
+  'EE386BFB5A899FA5AE9F24117C4B1FE649286651ECE45B3DC2007CB8A163BF05' +
+  '98DA48361C55D39A69163FA8FD24CF5F83655D23DCA3AD961C62F356208552BB' +
+  '9ED529077096966D670C354E4ABC9804F1746C08CA18217C32905E462E36CE3B' +
+  'E39E772C180E86039B2783A2EC07A28FB5C55DF06F4C52C9DE2BCBF695581718' +
+  '3995497CEA956AE515D2261898FA051015728E5A8AACAA68FFFFFFFFFFFFFFFF')
+const q = (p - 1n) / 2n
+const g = 2n
+
+// size of shares and commitments, in bytes
+const size = 256
+module.exports.size = size
+
+// the secret, after a leading marker byte, must stay below q
+module.exports.maxSecretSize = size - 2
+
+// the first commitment is g raised to the secret, so shorter secrets can be found by a discrete log search
+module.exports.minSecretSize = 32
+
+function pow (base, exponent, modulus) {
+  let result = 1n
+  base %= modulus
+  while (exponent > 0n) {
+    if (exponent & 1n) result = result * base % modulus
+    base = base * base % modulus
+    exponent >>= 1n
+  }
+  return result
+}
+
+function toBigInt (buffer) {
+  return buffer.length === 0 ? 0n : BigInt('0x' + buffer.toString('hex'))
+}
+
+function toBuffer (value) {
+  return Buffer.from(value.toString(16).padStart(size * 2, '0'), 'hex')
+}
+
+function random () {
+  // 64 extra bits make the bias of the reduction negligible
+  return toBigInt(crypto.randomBytes(size + 8)) % q
+}
+
+// the Lagrange coefficient of each point at x = at, mod q
+function lagrange (xs, at) {
+  return xs.map((xi, i) => {
+    let numerator = 1n
+    let denominator = 1n
+    for (const [j, xj] of xs.entries()) {
+      if (i === j) continue
+      numerator = numerator * ((BigInt(at) - BigInt(xj)) % q + q) % q
+      denominator = denominator * ((BigInt(xi) - BigInt(xj)) % q + q) % q
+    }
+    return numerator * pow(denominator, q - 2n, q) % q
+  })
+}
+
+function interpolate (points, at) {
+  const coefficients = lagrange(points.map(point => point.x), at)
+  return points.reduce((sum, point, i) => (sum + toBigInt(point.data) * coefficients[i]) % q, 0n)
+}
+
+/**
+ * Split a secret into n shares, any k of which recover it, and commit to the sharing polynomial
+ *
+ * @param {Buffer} secret - The secret value to be shared
+ * @param {number} k - The threshold of shares required to reconstruct the secret
+ * @param {number} n - The number of shares to generate
+ * @returns {{shares: Array.<Buffer>, commitments: Array.<Buffer>}} The shares at x = 1, 2, ..., n, and g raised to each coefficient
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf secrets
+ */
+function feldmanShare (secret, k, n) {
+  // a leading 1 byte preserves the secret's leading zeros
+  const coefficients = [toBigInt(Buffer.concat([Buffer.from([1]), secret]))]
+  for (let i = 1; i < k; i++) coefficients.push(random())
+
+  const shares = []
+  for (let x = 1n; x <= BigInt(n); x++) {
+    let y = 0n
+    for (let i = coefficients.length - 1; i >= 0; i--) y = (y * x + coefficients[i]) % q
+    shares.push(toBuffer(y))
+  }
+
+  return { shares, commitments: coefficients.map(coefficient => toBuffer(pow(g, coefficient, p))) }
+}
+module.exports.share = feldmanShare
+
+/**
+ * Check a share against the commitments to its sharing polynomial
+ *
+ * @param {Buffer} share - The share to check
+ * @param {number} x - The x coordinate of the share, from 1 to n
+ * @param {Array.<Buffer>} commitments - Commitments to the sharing polynomial
+ * @returns {boolean} Whether the share lies on the committed polynomial
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf secrets
+ */
+function feldmanVerify (share, x, commitments) {
+  const y = toBigInt(share)
+  if (share.length !== size || y >= q) return false
+
+  // g^f(x) = C_0 * C_1^x * C_2^(x^2) * ...
+  let expected = 1n
+  let power = 1n
+  for (const commitment of commitments) {
+    expected = expected * pow(toBigInt(commitment), power, p) % p
+    power = power * BigInt(x) % q
+  }
+  return pow(g, y, p) === expected
+}
+module.exports.verify = feldmanVerify
+
+/**
+ * Recover a secret from shares
+ *
+ * @param {Array.<{x: number, data: Buffer}>} points - The known shares and their x coordinates
+ * @returns {Buffer} The secret
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf secrets
+ */
+function feldmanCombine (points) {
+  const value = toBuffer(interpolate(points, 0))
+
+  // drop everything up to and including the marker byte
+  return value.subarray(value.findIndex(byte => byte !== 0) + 1)
+}
+module.exports.combine = feldmanCombine
+
+/**
+ * Recover all n shares from known shares
+ *
+ * @param {Array.<{x: number, data: Buffer}>} points - The known shares and their x coordinates
+ * @param {number} n - The number of shares that were originally generated
+ * @returns {Array.<Buffer>} The shares at x = 1, 2, ..., n
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf secrets
+ */
+function feldmanRecover (points, n) {
+  return Array.from({ length: n }, (_, i) => toBuffer(interpolate(points, i + 1)))
+}
+module.exports.recover = feldmanRecover
@@ -6,5 +6,8 @@
 module.exports = {
   ...require('./share'),
   ...require('./combine'),
-  ...require('./recover')
+  ...require('./recover'),
+  ...require('./robust'),
+  ...require('./verifiable'),
+  ...require('./check')
 }
@@ -0,0 +1,90 @@
+/**
+ * @file Robust Secret Combining
+ * @copyright Multifactor 2022 All Rights Reserved
+ *
+ * @description
+ * Re-combine a secret from redundant shares, some of which may be incorrect
+ *
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ */
+const defaults = require('../defaults')
+const combine = require('./combine').combine
+const recover = require('./recover').recover
+const { InsufficientFactorsError, TooManyCandidatesError } = require('../errors')
+
+// number of size-k subsets of m items
+function binomial (m, k) {
+  let count = 1
+  for (let i = 0; i < k; i++) count = count * (m - i) / (i + 1)
+  return Math.round(count)
+}
+
+// every size-k subset of items, in lexicographic order
+function * subsets (items, k, start = 0, chosen = []) {
+  if (chosen.length === k) {
+    yield chosen
+    return
+  }
+  for (let i = start; i <= items.length - (k - chosen.length); i++) {
+    yield * subsets(items, k, i + 1, chosen.concat([items[i]]))
+  }
+}
+
+/**
+ * K-of-N secret combining that tolerates incorrect shares. When m > k shares are provided, up to (m - k) / 2 of them may be wrong;
+ * each k-subset of the shares is tried in turn until one determines a sharing that enough of the other shares agree with.
+ * This takes up to (m choose k) attempts, so it rejects with TooManyCandidatesError before starting when there are more than maxTrials.
+ *
+ * @example
+ * // share secret using 2-of-4 shares
+ * const shares = mfkdf.secrets.share(Buffer.from('hello world'), 2, 4) // -> [Buffer, Buffer, Buffer, Buffer]
+ *
+ * // recover secret using 4 shares, one of which is wrong
+ * const { secret, invalid } = mfkdf.secrets.combineRobust([shares[0], Buffer.from(shares[0]), shares[2], shares[3]], 2, 4)
+ * secret.toString() // -> hello world
+ * invalid // -> [1]
+ *
+ * @param {Array.<Buffer>} shares - The secret shares to be combined
+ * @param {number} k - The threshold of shares required to reconstruct the secret
+ * @param {number} n - The number of shares that were originally generated
+ * @param {number} [maxTrials=64] - Maximum number of k-subsets of the shares to try
+ * @returns {{secret: Buffer, invalid: Array.<number>}} The retrieved secret, and the indices of the shares that are inconsistent with it
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf secrets
+ */
+function combineRobust (shares, k, n, maxTrials = defaults.derive.maxTrials) {
+  if (!Array.isArray(shares)) throw new TypeError('shares must be an array')
+  if (shares.length === 0) throw new RangeError('shares must not be empty')
+  if (!Number.isInteger(n)) throw new TypeError('n must be an integer')
+  if (!(n > 0)) throw new RangeError('n must be positive')
+  if (!Number.isInteger(k)) throw new TypeError('k must be an integer')
+  if (!(k > 0)) throw new RangeError('k must be positive')
+  if (k > n) throw new RangeError('k must be less than or equal to n')
+  if (shares.length !== n) throw new RangeError('provide a shares array of size n; use NULL for unknown shares')
+  if (!Number.isInteger(maxTrials)) throw new TypeError('maxTrials must be an integer')
+  if (!(maxTrials > 0)) throw new RangeError('maxTrials must be positive')
+
+  const provided = []
+  for (const [index, share] of shares.entries()) {
+    if (share) provided.push(index)
+  }
+
+  if (provided.length < k) throw new InsufficientFactorsError('not enough shares provided to retrieve secret')
+  const count = binomial(provided.length, k)
+  if (count > maxTrials) throw new TooManyCandidatesError('shares offer ' + count + ' subsets to try, more than maxTrials (' + maxTrials + ')')
+
+  // the sharing is unique as long as at most (m - k) / 2 shares disagree with it
+  const agreement = provided.length - Math.floor((provided.length - k) / 2)
+
+  for (const subset of subsets(provided, k)) {
+    const recovered = recover(shares.map((share, index) => subset.includes(index) ? share : null), k, n)
+    const invalid = provided.filter(index => !recovered[index].equals(shares[index]))
+    if (provided.length - invalid.length >= agreement) {
+      return { secret: combine(shares.map((share, index) => invalid.includes(index) ? null : share), k, n), invalid }
+    }
+  }
+
+  throw new InsufficientFactorsError('too many inconsistent shares provided to retrieve secret')
+}
+module.exports.combineRobust = combineRobust
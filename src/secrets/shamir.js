@@ -0,0 +1,199 @@
+/**
+ * @file Shamir's Secret Sharing
+ * @copyright Multifactor 2022 All Rights Reserved
+ *
+ * @description
+ * Buffer-based Shamir's Secret Sharing over GF(2^bits), byte-compatible with the shares of secrets.js
+ *
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ */
+const crypto = require('crypto')
+
+// primitive polynomials (without the leading term) of the fields used by secrets.js
+const primitives = [null, null, null, 3, 3, 5, 3, 3, 29, 17, 9, 5, 83, 27, 43, 3, 45, 9, 39, 39, 9]
+
+// exp and log tables of each field; these never change once built
+const fields = {}
+
+function field (bits) {
+  if (!fields[bits]) {
+    const size = 2 ** bits
+    const exps = new Uint32Array(size)
+    const logs = new Uint32Array(size)
+    let x = 1
+    for (let i = 0; i < size; i++) {
+      exps[i] = x
+      logs[x] = i
+      x <<= 1
+      if (x >= size) x = (x ^ primitives[bits]) & (size - 1)
+    }
+    fields[bits] = { bits, order: size - 1, exps, logs }
+  }
+  return fields[bits]
+}
+
+/**
+ * Get the field used to share a secret n ways, as chosen by secrets.js; GF(2^8) for 128 to 255 shares, smaller fields for fewer shares, and larger fields for more shares
+ *
+ * @param {number} n - The number of shares
+ * @returns {Object} Exp and log tables of the field
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf secrets
+ */
+function fieldFor (n) {
+  if (n >= 2 ** 20) throw new RangeError('n must be less than 2^20')
+  return field(Math.max(Math.ceil(Math.log2(n + 1)), 3))
+}
+module.exports.fieldFor = fieldFor
+
+// split a big-endian buffer into bits-sized words, least significant first
+function split (buffer, bits) {
+  const words = []
+  let accumulator = 0
+  let count = 0
+  for (let i = buffer.length - 1; i >= 0; i--) {
+    accumulator |= buffer[i] << count
+    count += 8
+    while (count >= bits) {
+      words.push(accumulator & ((1 << bits) - 1))
+      accumulator >>>= bits
+      count -= bits
+    }
+  }
+  if (count > 0) words.push(accumulator)
+  return words
+}
+
+// join bits-sized words, least significant first, into a big-endian buffer of the given length
+function join (words, bits, length) {
+  const buffer = Buffer.alloc(length)
+  let accumulator = 0
+  let count = 0
+  let index = length - 1
+  for (const word of words) {
+    accumulator |= word << count
+    count += bits
+    while (count >= 8 && index >= 0) {
+      buffer[index--] = accumulator & 0xff
+      accumulator >>>= 8
+      count -= 8
+    }
+  }
+  if (index >= 0) buffer[index] = accumulator & 0xff
+  return buffer
+}
+
+// log of the Lagrange basis polynomial of each point at x = at, or null where at is itself a point
+function basis (gf, xs, at) {
+  return xs.map((xi, i) => {
+    if (xs.includes(at)) return at === xi ? null : undefined
+    let log = 0
+    for (const [j, xj] of xs.entries()) {
+      if (i !== j) log += gf.logs[at ^ xj] - gf.logs[xi ^ xj] + gf.order
+    }
+    return log % gf.order
+  })
+}
+
+// evaluate the interpolating polynomial of each word position at x = at
+function interpolate (gf, points, at) {
+  const xs = points.map(point => point.x)
+  const words = points.map(point => split(point.data, gf.bits))
+  const length = Math.max(...words.map(w => w.length))
+  const weights = basis(gf, xs, at)
+
+  const result = []
+  for (let position = 0; position < length; position++) {
+    let sum = 0
+    for (const [i, w] of words.entries()) {
+      const y = w[position] || 0
+      if (weights[i] === null) sum = y
+      else if (weights[i] !== undefined && y !== 0) sum ^= gf.exps[(gf.logs[y] + weights[i]) % gf.order]
+    }
+    result.push(sum)
+  }
+  return result
+}
+
+/**
+ * Split a secret into n shares, any k of which recover it
+ *
+ * @param {Buffer} secret - The secret value to be shared
+ * @param {number} k - The threshold of shares required to reconstruct the secret
+ * @param {number} n - The number of shares to generate
+ * @returns {Array.<Buffer>} The shares at x = 1, 2, ..., n
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf secrets
+ */
+function shamirShare (secret, k, n) {
+  const gf = fieldFor(n)
+
+  // a leading 1 bit marks where the secret starts, preserving its leading zeros, and secrets.js zero-pads this to a multiple of 128 bits
+  const count = Math.ceil(128 * Math.ceil((secret.length * 8 + 1) / 128) / gf.bits)
+  const words = split(Buffer.concat([Buffer.from([1]), secret]), gf.bits)
+  while (words.length < count) words.push(0)
+  const length = Math.ceil(count * gf.bits / 8)
+
+  // each coefficient is drawn uniformly from the whole field, not just from a byte
+  const random = crypto.randomBytes(4 * count * (k - 1))
+  const shares = Array.from({ length: n }, () => [])
+  for (const [position, word] of words.entries()) {
+    const coefficients = [word]
+    for (let i = 0; i < k - 1; i++) coefficients.push(random.readUInt32BE(4 * (position * (k - 1) + i)) & gf.order)
+
+    // Horner's method
+    for (let x = 1; x <= n; x++) {
+      let y = 0
+      for (let i = coefficients.length - 1; i >= 0; i--) {
+        y = (y === 0 ? 0 : gf.exps[(gf.logs[y] + gf.logs[x]) % gf.order]) ^ coefficients[i]
+      }
+      shares[x - 1].push(y)
+    }
+  }
+
+  return shares.map(words => join(words, gf.bits, length))
+}
+module.exports.share = shamirShare
+
+/**
+ * Recover a secret from shares
+ *
+ * @param {Array.<{x: number, data: Buffer}>} points - The known shares and their x coordinates
+ * @param {number} n - The number of shares that were originally generated
+ * @returns {Buffer} The secret
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf secrets
+ */
+function shamirCombine (points, n) {
+  const gf = fieldFor(n)
+  const words = interpolate(gf, points, 0)
+  const value = join(words, gf.bits, Math.ceil(words.length * gf.bits / 8))
+
+  // drop everything up to and including the leading 1 bit
+  const start = value.findIndex(byte => byte !== 0)
+  if (start === -1) return value
+  const marker = 7 - Math.floor(Math.log2(value[start]))
+  const bits = (value.length - start) * 8 - marker - 1
+  return value.subarray(value.length - Math.floor(bits / 8))
+}
+module.exports.combine = shamirCombine
+
+/**
+ * Recover all n shares from known shares
+ *
+ * @param {Array.<{x: number, data: Buffer}>} points - The known shares and their x coordinates
+ * @param {number} n - The number of shares that were originally generated
+ * @returns {Array.<Buffer>} The shares at x = 1, 2, ..., n
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf secrets
+ */
+function shamirRecover (points, n) {
+  const gf = fieldFor(n)
+  const length = Math.min(...points.map(point => point.data.length))
+  return Array.from({ length: n }, (_, i) => join(interpolate(gf, points, i + 1), gf.bits, length))
+}
+module.exports.recover = shamirRecover
@@ -9,7 +9,7 @@
  */
 const crypto = require('crypto')
 const xor = require('buffer-xor')
-const secrets = require('secrets.js-34r7h')
+const shamir = require('./shamir')
 
 /**
  * K-of-N secret sharing. Uses bitwise XOR for k=n, Shamir's Secret Sharing for 1 < K < N, and direct secret sharing for K = 1.
@@ -55,15 +55,7 @@ function share (secret, k, n) {
     shares.push(lastShare)
     return shares
   } else { // k-of-n
-    secrets.init(Math.max(Math.ceil(Math.log(n + 1) / Math.LN2), 3))
-    const shares = secrets.share(secret.toString('hex'), n, k, 0)
-    return shares.map(share => {
-      const components = secrets.extractShareComponents(share)
-
-      if (components.data.length % 2 === 1) components.data = '0' + components.data
-
-      return Buffer.from(components.data, 'hex')
-    })
+    return shamir.share(secret, k, n)
   }
 }
 module.exports.share = share
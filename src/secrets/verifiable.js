@@ -0,0 +1,76 @@
+/**
+ * @file Verifiable Secret Sharing
+ * @copyright Multifactor 2022 All Rights Reserved
+ *
+ * @description
+ * Divide a secret into shares that can each be checked against public commitments
+ *
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ */
+const feldman = require('./feldman')
+
+/**
+ * K-of-N verifiable secret sharing, using Feldman's scheme over the 2048-bit MODP group of RFC 3526.
+ * Each share is 256 bytes, and the commitments let anyone check a share without learning the secret, as long as the secret is at least 32 random bytes;
+ * they also let an attacker holding them check guesses of a single share, like a full-length check value.
+ *
+ * @example
+ * // share secret using 2-of-3 verifiable shares
+ * const secret = crypto.randomBytes(32)
+ * const { shares, commitments } = mfkdf.secrets.shareVerifiable(secret, 2, 3)
+ *
+ * // check the second share
+ * mfkdf.secrets.verifyShare(shares[1], 2, commitments) // -> true
+ *
+ * // recover secret using 2 shares, ignoring shares that fail verification
+ * mfkdf.secrets.combine([shares[0], Buffer.alloc(256), shares[2]], 2, 3, commitments).equals(secret) // -> true
+ *
+ * @param {Buffer} secret - The secret value to be shared, of 32 to 254 bytes
+ * @param {number} k - The threshold of shares required to reconstruct the secret
+ * @param {number} n - The number of shares to generate
+ * @returns {{shares: Array.<Buffer>, commitments: Array.<Buffer>}} An array of N shares, and k commitments to the sharing polynomial
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf secrets
+ */
+function shareVerifiable (secret, k, n) {
+  if (!Buffer.isBuffer(secret)) throw new TypeError('secret must be a buffer')
+  if (secret.length < feldman.minSecretSize) throw new RangeError('secret must be at least ' + feldman.minSecretSize + ' bytes')
+  if (secret.length > feldman.maxSecretSize) throw new RangeError('secret must be at most ' + feldman.maxSecretSize + ' bytes')
+  if (!Number.isInteger(n)) throw new TypeError('n must be an integer')
+  if (!(n > 0)) throw new RangeError('n must be positive')
+  if (!Number.isInteger(k)) throw new TypeError('k must be an integer')
+  if (!(k > 0)) throw new RangeError('k must be positive')
+  if (k > n) throw new RangeError('k must be less than or equal to n')
+
+  return feldman.share(secret, k, n)
+}
+module.exports.shareVerifiable = shareVerifiable
+
+/**
+ * Check a verifiable share against the commitments published when the secret was shared
+ *
+ * @example
+ * // share secret using 2-of-3 verifiable shares
+ * const { shares, commitments } = mfkdf.secrets.shareVerifiable(crypto.randomBytes(32), 2, 3)
+ *
+ * mfkdf.secrets.verifyShare(shares[0], 1, commitments) // -> true
+ * mfkdf.secrets.verifyShare(shares[0], 2, commitments) // -> false
+ *
+ * @param {Buffer} share - The share to check
+ * @param {number} index - Position of the share, from 1 to n
+ * @param {Array.<Buffer>} commitments - Commitments returned by shareVerifiable
+ * @returns {boolean} Whether the share is valid
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf secrets
+ */
+function verifyShare (share, index, commitments) {
+  if (!Buffer.isBuffer(share)) throw new TypeError('share must be a buffer')
+  if (!Number.isInteger(index)) throw new TypeError('index must be an integer')
+  if (!(index > 0)) throw new RangeError('index must be positive')
+  if (!Array.isArray(commitments) || !commitments.every(commitment => Buffer.isBuffer(commitment))) throw new TypeError('commitments must be an array of buffers')
+
+  return feldman.verify(share, index, commitments)
+}
+module.exports.verifyShare = verifyShare
@@ -0,0 +1,134 @@
+/**
+ * @file Weighted Shares
+ * @copyright Multifactor 2022 All Rights Reserved
+ *
+ * @description
+ * Layout of the shares held by weighted factors, which hold one share per point of weight
+ *
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ */
+const backends = require('../backend')
+const xor = require('buffer-xor')
+
+/**
+ * Get the weight of a policy factor
+ *
+ * @param {Object} factor - Factor of a key policy
+ * @returns {number} Number of shares held by the factor
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf secrets
+ */
+function weight (factor) {
+  return typeof factor.weight === 'number' ? factor.weight : 1
+}
+module.exports.weight = weight
+
+/**
+ * Get the indices of the shares held by each factor of a key policy
+ *
+ * @param {Array.<Object>} factors - Factors of a key policy
+ * @returns {Array.<Array.<number>>} Indices of the shares of each factor
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf secrets
+ */
+function indices (factors) {
+  let next = 0
+  return factors.map(factor => Array.from({ length: weight(factor) }, () => next++))
+}
+module.exports.indices = indices
+
+/**
+ * Stretch the material of a factor into one value per share held by the factor;
+ * the first value is the material itself, so unweighted factors are unchanged
+ *
+ * @param {Buffer} material - HKDF-stretched factor material
+ * @param {number} weight - Number of shares held by the factor
+ * @param {number} size - Size of the key, in bytes
+ * @param {string} [backend] - Where to run the HKDF stretching; inline or worker, defaulting to the backend set with backend.set
+ * @returns {Array.<Buffer>} Stretched material for each share
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf secrets
+ * @async
+ */
+async function stretch (material, weight, size, backend) {
+  const stretched = [material]
+  for (let i = 1; i < weight; i++) stretched.push(await backends.run('hkdf', ['sha512', material, '', 'MFKDF_SHARE_' + i, size], backend))
+  return stretched
+}
+module.exports.stretch = stretch
+
+/**
+ * XOR a share or pad with stretched factor material, which is left-padded with zeros to the length of the share
+ *
+ * @param {Buffer} value - Share or pad
+ * @param {Buffer} stretched - Stretched factor material
+ * @returns {Buffer} Pad or share
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf secrets
+ */
+function mask (value, stretched) {
+  if (Buffer.byteLength(value) > Buffer.byteLength(stretched)) stretched = Buffer.concat([Buffer.alloc(Buffer.byteLength(value) - Buffer.byteLength(stretched)), stretched])
+  return xor(value, stretched)
+}
+module.exports.mask = mask
+
+/**
+ * Recover the stretched factor material from a pad and its share
+ *
+ * @param {Buffer} pad - Pad of the factor's first share
+ * @param {Buffer} share - First share of the factor
+ * @param {number} size - Size of the key, in bytes
+ * @returns {Buffer} HKDF-stretched factor material
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf secrets
+ */
+function unmask (pad, share, size) {
+  const stretched = xor(pad, share)
+  return Buffer.byteLength(stretched) > size ? stretched.subarray(Buffer.byteLength(stretched) - size) : stretched
+}
+module.exports.unmask = unmask
+
+/**
+ * Find the set of items with the lowest total bits whose weights reach a threshold
+ *
+ * @param {Array.<{bits: number, weight: number}>} items - Items to choose from
+ * @param {number} threshold - Total weight required
+ * @returns {Array.<Object>} The cheapest items, weakest first
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf secrets
+ */
+function cheapest (items, threshold) {
+  // best[points] is the cheapest set with at least that many points
+  const best = [{ bits: 0, items: [] }]
+  for (const item of items.slice().sort((a, b) => a.bits - b.bits)) {
+    for (let points = threshold; points > 0; points--) {
+      const from = best[Math.max(0, points - item.weight)]
+      if (from && (!best[points] || from.bits + item.bits < best[points].bits)) {
+        best[points] = { bits: from.bits + item.bits, items: from.items.concat([item]) }
+      }
+    }
+  }
+  return best[threshold].items
+}
+module.exports.cheapest = cheapest
+
+/**
+ * Total entropy of a set of factors; with verifiable shares, each factor of the set can be guessed on its own, so only the strongest one counts
+ *
+ * @param {Array.<{bits: number}>} items - The set of factors
+ * @param {boolean} verifiable - Whether the policy publishes share commitments
+ * @returns {number} The entropy of the set in bits
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf secrets
+ */
+function strength (items, verifiable) {
+  return verifiable ? Math.max(...items.map(item => item.bits)) : items.reduce((bits, item) => bits + item.bits, 0)
+}
+module.exports.strength = strength
@@ -41,6 +41,7 @@ function mod (n, m) {
  * @param {Buffer} [options.secret] - HOTP secret to use; randomly generated by default
  * @param {Buffer} [options.issuer='MFKDF'] - OTPAuth issuer string
  * @param {Buffer} [options.label='mfkdf.com'] - OTPAuth label string
+ * @param {number} [options.window=0] - Number of counters to look ahead for tokens that were used without logging in, less than 64; costs log2(window + 1) bits of entropy
  * @returns {MFKDFFactor} MFKDF factor information
  * @author Vivek Nair (https://nair.me) <vivek@nair.me>
  * @since 0.12.0
@@ -57,6 +58,10 @@ async function hotp (options) {
   if (options.digits > 8) throw new RangeError('digits must be at most 8')
   if (!['sha1', 'sha256', 'sha512'].includes(options.hash)) throw new RangeError('unrecognized hash function')
   if (!Buffer.isBuffer(options.secret) && typeof options.secret !== 'undefined') throw new TypeError('secret must be a buffer')
+  if (!Number.isInteger(options.window)) throw new TypeError('window must be an interger')
+  if (options.window < 0) throw new RangeError('window must be positive')
+  // derive tries every counter in the window
+  if (options.window >= defaults.derive.maxTrials) throw new RangeError('window must be less than ' + defaults.derive.maxTrials)
 
   const target = await random(0, (10 ** options.digits) - 1)
   const buffer = Buffer.allocUnsafe(4)
@@ -66,27 +71,38 @@ async function hotp (options) {
     type: 'hotp',
     id: options.id,
     data: buffer,
-    entropy: Math.log2(10 ** options.digits),
+    entropy: Math.log2((10 ** options.digits) / (options.window + 1)),
     params: async ({ key }) => {
       if (typeof options.secret === 'undefined') options.secret = crypto.randomBytes(Buffer.byteLength(key))
 
-      const code = parseInt(speakeasy.hotp({
-        secret: options.secret.toString('hex'),
-        encoding: 'hex',
-        counter: 1,
-        algorithm: options.hash,
-        digits: options.digits
-      }))
+      const offsets = Buffer.allocUnsafe(4 * (options.window + 1))
+
+      for (let i = 0; i <= options.window; i++) {
+        const code = parseInt(speakeasy.hotp({
+          secret: options.secret.toString('hex'),
+          encoding: 'hex',
+          counter: 1 + i,
+          algorithm: options.hash,
+          digits: options.digits
+        }))
 
-      const offset = mod(target - code, 10 ** options.digits)
+        offsets.writeUInt32BE(mod(target - code, 10 ** options.digits), 4 * i)
+      }
 
-      return {
+      const params = {
         hash: options.hash,
         digits: options.digits,
         pad: xor(options.secret, key.slice(0, Buffer.byteLength(options.secret))).toString('base64'),
         counter: 1,
-        offset
+        offset: offsets.readUInt32BE(0)
       }
+
+      if (options.window > 0) {
+        params.window = options.window
+        params.offsets = offsets.subarray(4).toString('base64')
+      }
+
+      return params
     },
     output: async () => {
       return {
@@ -14,4 +14,5 @@ module.exports = {
   ...require("./question"),
   ...require("./ooba"),
   ...require("./qrcode"),
+  ...require("./webauthn"),
 };
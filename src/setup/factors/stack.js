@@ -36,9 +36,10 @@ const setupKey = require('../key').key
  * @param {Object} [options] - Configuration options
  * @param {string} [options.id='stack'] - Unique identifier for this factor
  * @param {number} [options.size=32] - Size of derived key, in bytes
- * @param {number} [options.threshold] - Number of factors required to derive key; factors.length by default (all required)
+ * @param {number} [options.threshold] - Number of factors (or points, if weighted) required to derive key; all factors required by default
+ * @param {Object.<string, number>} [options.weights] - Weight of each factor by id, 1 by default
  * @param {Buffer} [options.salt] - Cryptographic salt; generated via secure PRG by default (recommended)
- * @param {string} [options.kdf='pbkdf2'] - KDF algorithm to use; pbkdf2, bcrypt, scrypt, argon2i, argon2d, or argon2id
+ * @param {string} [options.kdf='pbkdf2'] - KDF algorithm to use; hkdf, pbkdf2, bcrypt, scrypt, argon2i, argon2d, argon2id, argon2i-v2, argon2d-v2, or argon2id-v2
  * @param {number} [options.pbkdf2rounds=1] - Number of rounds to use if using pbkdf2
  * @param {string} [options.pbkdf2digest='sha256'] - Hash function to use if using pbkdf2; sha1, sha256, sha384, or sha512
  * @param {number} [options.bcryptrounds=10] - Number of rounds to use if using bcrypt
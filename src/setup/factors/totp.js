@@ -12,6 +12,7 @@ const crypto = require('crypto')
 const xor = require('buffer-xor')
 const speakeasy = require('speakeasy')
 const random = require('random-number-csprng')
+const packed = require('../../offsets')
 
 function mod (n, m) {
   return ((n % m) + m) % m
@@ -47,6 +48,7 @@ function mod (n, m) {
  * @param {number} [options.time] - Current time for TOTP; defaults to Date.now()
  * @param {number} [options.window=87600] - Maximum window between logins, in number of steps (1 month by default)
  * @param {number} [options.step=30] - TOTP step size
+ * @param {string} [options.encoding='packed'] - Offset encoding; packed for a bit-packed rolling window, or uint32 (roughly 60% larger) for policies that must derive with mfkdf before 1.5.0
  * @returns {MFKDFFactor} MFKDF factor information
  * @author Vivek Nair (https://nair.me) <vivek@nair.me>
  * @since 0.13.0
@@ -66,6 +68,7 @@ async function totp (options) {
   if (!Number.isInteger(options.window)) throw new TypeError('window must be an interger')
   if (options.window < 0) throw new RangeError('window must be positive')
   if (!['sha1', 'sha256', 'sha512'].includes(options.hash)) throw new RangeError('unrecognized hash function')
+  if (!['uint32', 'packed'].includes(options.encoding)) throw new RangeError('unrecognized offset encoding')
   if (!Buffer.isBuffer(options.secret) && typeof options.secret !== 'undefined') throw new TypeError('secret must be a buffer')
   if (typeof options.time === 'undefined') options.time = Date.now()
   if (!Number.isInteger(options.time)) throw new TypeError('time must be an integer')
@@ -84,7 +87,9 @@ async function totp (options) {
       if (typeof options.secret === 'undefined') options.secret = crypto.randomBytes(Buffer.byteLength(key))
 
       const time = options.time
-      const offsets = Buffer.allocUnsafe(4 * options.window)
+      const offsets = options.encoding === 'packed'
+        ? packed.alloc(options.window, options.digits)
+        : Buffer.allocUnsafe(4 * options.window)
 
       for (let i = 0; i < options.window; i++) {
         const counter = Math.floor(time / (options.step * 1000)) + i
@@ -100,18 +105,24 @@ async function totp (options) {
 
         const offset = mod(target - code, 10 ** options.digits)
 
-        offsets.writeUInt32BE(offset, 4 * i)
+        if (options.encoding === 'packed') packed.write(offsets, counter % options.window, options.digits, offset)
+        else offsets.writeUInt32BE(offset, 4 * i)
       }
 
-      return {
+      const params = {
         start: time,
         hash: options.hash,
         digits: options.digits,
         step: options.step,
         window: options.window,
-        pad: xor(options.secret, key.slice(0, Buffer.byteLength(options.secret))).toString('base64'),
-        offsets: offsets.toString('base64')
+        pad: xor(options.secret, key.slice(0, Buffer.byteLength(options.secret))).toString('base64')
       }
+
+      // packed offsets live in a different field so older versions fail loudly instead of misreading them
+      if (options.encoding === 'packed') params.packed = offsets.toString('base64')
+      else params.offsets = offsets.toString('base64')
+
+      return params
     },
     output: async () => {
       return {
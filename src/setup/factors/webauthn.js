@@ -0,0 +1,98 @@
+/**
+ * @file MFKDF WebAuthn Factor Setup
+ * @copyright Multifactor 2022 All Rights Reserved
+ *
+ * @description
+ * Setup a WebAuthn PRF (hmac-secret) factor for multi-factor key derivation
+ *
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ */
+const defaults = require('../../defaults')
+const crypto = require('crypto')
+const xor = require('buffer-xor')
+
+/**
+ * Setup a FIDO2-compatible MFKDF WebAuthn PRF (hmac-secret) factor
+ *
+ * @example
+ * // evaluate prf extension on a random salt (in browser, using an existing passkey)
+ * const salt = crypto.randomBytes(32)
+ * const assertion = await navigator.credentials.get({ publicKey: {
+ *   challenge, allowCredentials: [{ type: 'public-key', id: credentialId }],
+ *   extensions: { prf: { eval: { first: salt } } }
+ * } })
+ * const response = Buffer.from(assertion.getClientExtensionResults().prf.results.first)
+ *
+ * // setup key with webauthn factor
+ * const setup = await mfkdf.setup.key([
+ *   await mfkdf.setup.factors.webauthn({ credentialId, salt, response })
+ * ], {size: 8})
+ *
+ * // later... evaluate prf extension on the current and next salts in a single ceremony
+ * const params = setup.policy.factors[0].params
+ * const assertion2 = await navigator.credentials.get({ publicKey: {
+ *   challenge, allowCredentials: [{ type: 'public-key', id: Buffer.from(params.credentialId, 'hex') }],
+ *   extensions: { prf: { eval: { first: Buffer.from(params.salt, 'hex'), second: Buffer.from(params.next, 'hex') } } }
+ * } })
+ * const results = assertion2.getClientExtensionResults().prf.results
+ *
+ * // derive key with webauthn factor
+ * const derive = await mfkdf.derive.key(setup.policy, {
+ *   webauthn: mfkdf.derive.factors.webauthn({
+ *     first: Buffer.from(results.first),
+ *     second: Buffer.from(results.second)
+ *   })
+ * })
+ *
+ * setup.key.toString('hex') // -> 01d0c7236adf2516
+ * derive.key.toString('hex') // -> 01d0c7236adf2516
+ *
+ * @param {Object} options - Configuration options
+ * @param {string} [options.id='webauthn'] - Unique identifier for this factor
+ * @param {Buffer} options.credentialId - ID of the WebAuthn credential used for this factor
+ * @param {Buffer} options.salt - PRF input used to produce the response
+ * @param {Buffer} options.response - 32-byte PRF output of the authenticator for the given salt
+ * @returns {MFKDFFactor} MFKDF factor information
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @async
+ * @memberof setup.factors
+ */
+async function webauthn (options) {
+  options = Object.assign(Object.assign({}, defaults.webauthn), options)
+
+  if (typeof options.id !== 'string') throw new TypeError('id must be a string')
+  if (options.id.length === 0) throw new RangeError('id cannot be empty')
+
+  if (!Buffer.isBuffer(options.credentialId)) throw new TypeError('credentialId must be a buffer')
+  if (Buffer.byteLength(options.credentialId) === 0) throw new RangeError('credentialId cannot be empty')
+
+  if (!Buffer.isBuffer(options.salt)) throw new TypeError('salt must be a buffer')
+  if (Buffer.byteLength(options.salt) === 0) throw new RangeError('salt cannot be empty')
+
+  if (!Buffer.isBuffer(options.response)) throw new TypeError('response must be a buffer')
+  if (Buffer.byteLength(options.response) !== 32) throw new RangeError('response must be 32 bytes')
+
+  const target = crypto.randomBytes(32)
+
+  return {
+    type: 'webauthn',
+    id: options.id,
+    data: target,
+    entropy: 256,
+    params: async ({ key }) => {
+      const next = crypto.randomBytes(32)
+      const pad = xor(options.response, target)
+      return {
+        credentialId: options.credentialId.toString('hex'),
+        salt: options.salt.toString('hex'),
+        next: next.toString('hex'),
+        pad: pad.toString('hex')
+      }
+    },
+    output: async () => {
+      return { credentialId: options.credentialId }
+    }
+  }
+}
+module.exports.webauthn = webauthn
@@ -9,6 +9,8 @@
  */
 
 const defaults = require('../defaults')
+const crypto = require('crypto')
+const derive = require('../kdf').kdf
 
 /**
  * Validate and setup a KDF configuration for a multi-factor derived key
@@ -25,8 +27,13 @@ const defaults = require('../defaults')
  * const key = await mfkdf.kdf('password', 'salt', 8, config);
  * key.toString('hex') // -> 0394a2ede332c9a1
  *
- * @param {Object} [options] - KDF configuration options
- * @param {string} [options.kdf='argon2id'] - KDF algorithm to use; hkdf, pbkdf2, bcrypt, scrypt, argon2i, argon2d, or argon2id
+ * // use libsodium-style preset parameters
+ * const moderate = mfkdf.setup.kdf({ kdf: 'argon2id-v2', preset: 'moderate' })
+ * // -> { type: 'argon2id-v2', params: { rounds: 3, memory: 262144, parallelism: 1 } }
+ *
+ * @param {Object} [options] - KDF configuration options; to benchmark this machine instead, use setup.kdf.calibrate
+ * @param {string} [options.preset] - Named parameter preset to start from; interactive, moderate, or sensitive
+ * @param {string} [options.kdf='argon2id-v2'] - KDF algorithm to use; hkdf, pbkdf2, bcrypt, scrypt, argon2i, argon2d, argon2id, argon2i-v2, argon2d-v2, or argon2id-v2
  * @param {string} [options.hkdfdigest='sha256'] - Hash function to use if using hkdf; sha1, sha256, sha384, or sha512
  * @param {number} [options.pbkdf2rounds=310000] - Number of rounds to use if using pbkdf2
  * @param {string} [options.pbkdf2digest='sha256'] - Hash function to use if using pbkdf2; sha1, sha256, sha384, or sha512
@@ -42,8 +49,25 @@ const defaults = require('../defaults')
  * @since 0.7.0
  * @memberOf setup
  */
-function kdf (options) {
-  options = Object.assign(Object.assign({}, defaults.kdf), options)
+function kdf (options = {}) {
+  if (typeof options.targetMs !== 'undefined') throw new TypeError('targetMs is only supported by setup.kdf.calibrate')
+  return configure(resolve(options))
+}
+module.exports.kdf = kdf
+
+// apply the defaults and any named preset to the given options
+function resolve (options) {
+  let preset = {}
+  if (typeof options.preset !== 'undefined') {
+    if (typeof options.preset !== 'string') throw new TypeError('preset must be a string')
+    if (!Object.prototype.hasOwnProperty.call(defaults.kdfPresets, options.preset)) throw new RangeError('preset must be one of interactive, moderate, or sensitive')
+    preset = defaults.kdfPresets[options.preset]
+  }
+
+  return Object.assign(Object.assign(Object.assign({}, defaults.kdf), preset), options)
+}
+
+function configure (options) {
   if (typeof options.kdf !== 'string') throw new TypeError('kdf must be a string')
   const config = {
     type: options.kdf,
@@ -85,7 +109,7 @@ function kdf (options) {
     if (!(Number.isInteger(options.scryptparallelism))) throw new TypeError('scryptparallelism must be an integer')
     if (!(options.scryptparallelism > 0)) throw new RangeError('scryptparallelism must be positive')
     config.params.parallelism = options.scryptparallelism
-  } else if (options.kdf === 'argon2i' || options.kdf === 'argon2d' || options.kdf === 'argon2id') {
+  } else if (['argon2i', 'argon2d', 'argon2id', 'argon2i-v2', 'argon2d-v2', 'argon2id-v2'].includes(options.kdf)) {
     // argon2 rounds
     if (!(Number.isInteger(options.argon2time))) throw new TypeError('argon2time must be an integer')
     if (!(options.argon2time > 0)) throw new RangeError('argon2time must be positive')
@@ -101,8 +125,86 @@ function kdf (options) {
     if (!(options.argon2parallelism > 0)) throw new RangeError('argon2parallelism must be positive')
     config.params.parallelism = options.argon2parallelism
   } else {
-    throw new RangeError('kdf must be one of pbkdf2, bcrypt, scrypt, argon2i, argon2d, or argon2id')
+    throw new RangeError('kdf must be one of hkdf, pbkdf2, bcrypt, scrypt, argon2i, argon2d, argon2id, argon2i-v2, argon2d-v2, or argon2id-v2')
   }
   return config
 }
-module.exports.kdf = kdf
+
+// time a single key derivation with the given configuration, in milliseconds
+async function measure (config) {
+  const start = Date.now()
+  await derive('password', crypto.randomBytes(16), 32, config)
+  return Math.max(Date.now() - start, 1)
+}
+
+/**
+ * Benchmark this machine and set up a KDF configuration whose derivations take about the given time
+ *
+ * @example
+ * // calibrate argon2id parameters to take about 500ms on this machine, with at most 64 MiB of memory
+ * const config = await mfkdf.setup.kdf.calibrate({ kdf: 'argon2id-v2', targetMs: 500, maxMemory: 65536 })
+ * // -> { type: 'argon2id-v2', params: { rounds: 4, memory: 65536, parallelism: 1 } }
+ *
+ * @param {Object} options - KDF configuration options, as for setup.kdf
+ * @param {number} options.targetMs - Time each derivation should take on this machine, in milliseconds
+ * @param {number} [options.maxMemory] - Memory limit in KiB when calibrating argon2 or scrypt; defaults to the configured memory
+ * @returns {object} A KDF configuration as a JSON object
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf setup.kdf
+ * @async
+ */
+async function calibrate (options = {}) {
+  options = resolve(options)
+  if (typeof options.targetMs !== 'number') throw new TypeError('targetMs must be a number')
+  if (!(options.targetMs > 0)) throw new RangeError('targetMs must be positive')
+  if (typeof options.maxMemory !== 'undefined' && !Number.isInteger(options.maxMemory)) throw new TypeError('maxMemory must be an integer')
+  if (options.maxMemory <= 0) throw new RangeError('maxMemory must be positive')
+  const config = configure(options)
+  const target = options.targetMs
+  let elapsed
+
+  if (config.type === 'hkdf') {
+    throw new RangeError('hkdf has no cost parameters to calibrate')
+  } else if (config.type === 'pbkdf2') {
+    // cost is linear in rounds; scale up until the timing is meaningful, then extrapolate
+    config.params.rounds = 1000
+    elapsed = await measure(config)
+    while (elapsed * 8 < target) {
+      config.params.rounds *= 2
+      elapsed = await measure(config)
+    }
+    config.params.rounds = Math.max(1, Math.floor(config.params.rounds * target / elapsed))
+  } else if (config.type === 'bcrypt') {
+    // each round doubles the cost
+    config.params.rounds = 4
+    elapsed = await measure(config)
+    while (config.params.rounds < 31 && elapsed * 2 <= target) {
+      config.params.rounds++
+      elapsed = await measure(config)
+    }
+  } else if (config.type === 'scrypt') {
+    // cost and memory (128 * N * r bytes) are linear in N, which must be a power of two
+    const maxMemory = options.maxMemory || 128 * config.params.rounds * config.params.blocksize / 1024
+    const maxCost = maxMemory * 1024 / (128 * config.params.blocksize)
+    config.params.rounds = 1024
+    elapsed = await measure(config)
+    while (config.params.rounds * 2 <= maxCost && elapsed * 2 <= target) {
+      config.params.rounds *= 2
+      elapsed = await measure(config)
+    }
+  } else { // argon2
+    // use as much memory as allowed without a single pass exceeding the target, then add passes
+    config.params.rounds = 1
+    config.params.memory = options.maxMemory || config.params.memory
+    elapsed = await measure(config)
+    while (elapsed > target && config.params.memory >= 16 * config.params.parallelism) {
+      config.params.memory = Math.floor(config.params.memory / 2)
+      elapsed = await measure(config)
+    }
+    config.params.rounds = Math.max(1, Math.floor(target / elapsed))
+  }
+
+  return config
+}
+kdf.calibrate = calibrate
@@ -12,10 +12,16 @@ const kdfSetup = require('./kdf').kdf
 const kdf = require('../kdf').kdf
 const crypto = require('crypto')
 const { v4: uuidv4 } = require('uuid')
-const { hkdf } = require('@panva/hkdf')
+const backend = require('../backend')
 const share = require('../secrets/share').share
-const xor = require('buffer-xor')
+const { shareVerifiable } = require('../secrets/verifiable')
+const feldman = require('../secrets/feldman')
 const MFKDFDerivedKey = require('../classes/MFKDFDerivedKey')
+const integrity = require('../policy/integrity').integrity
+const check = require('../secrets/check').check
+const progress = require('../progress')
+const lookahead = require('../lookahead')
+const { stretch, mask, cheapest, strength } = require('../secrets/weights')
 
 /**
  * Validate and setup a configuration for a multi-factor derived key
@@ -41,9 +47,13 @@ const MFKDFDerivedKey = require('../classes/MFKDFDerivedKey')
  * @param {Object} [options] - Configuration options
  * @param {string} [options.id] - Unique identifier for this key; random UUIDv4 generated by default
  * @param {number} [options.size=32] - Size of derived key, in bytes
- * @param {number} [options.threshold] - Number of factors required to derive key; factors.length by default (all required)
+ * @param {number} [options.threshold] - Number of factors (or points, if weighted) required to derive key; all factors required by default
+ * @param {Object.<string, number>} [options.weights] - Weight of each factor by id, 1 by default; a factor of weight w holds w shares and counts w points towards the threshold
  * @param {Buffer} [options.salt] - Cryptographic salt; generated via secure PRG by default (recommended)
- * @param {string} [options.kdf='argon2id'] - KDF algorithm to use; hkdf, pbkdf2, bcrypt, scrypt, argon2i, argon2d, or argon2id
+ * @param {string} [options.preset] - Named KDF parameter preset to start from; interactive, moderate, or sensitive
+ * @param {number} [options.targetMs] - Calibrate the KDF parameters to take about this long on this machine
+ * @param {number} [options.maxMemory] - Memory limit in KiB when calibrating argon2 or scrypt
+ * @param {string} [options.kdf='argon2id-v2'] - KDF algorithm to use; hkdf, pbkdf2, bcrypt, scrypt, argon2i, argon2d, argon2id, argon2i-v2, argon2d-v2, or argon2id-v2
  * @param {string} [options.hkdfdigest='sha256'] - Hash function to use if using hkdf; one of sha1, sha256, sha384, or sha512
  * @param {number} [options.pbkdf2rounds=310000] - Number of rounds to use if using pbkdf2
  * @param {string} [options.pbkdf2digest='sha256'] - Hash function to use if using pbkdf2; one of sha1, sha256, sha384, or sha512
@@ -54,7 +64,12 @@ const MFKDFDerivedKey = require('../classes/MFKDFDerivedKey')
  * @param {number} [options.argon2time=2] - Iterations to use if using argon2
  * @param {number} [options.argon2mem=24576] - Memory to use if using argon2
  * @param {number} [options.argon2parallelism=1] - Parallelism to use if using argon2
- * @returns {MFKDFDerivedKey} A multi-factor derived key object
+ * @param {string} [options.backend] - Where to run the KDF and HKDF stretching; inline or worker, defaulting to the backend set with backend.set
+ * @param {number} [options.checkBits=0] - Size of per-factor check values used to report incorrect factors on derive; each bit leaks one bit of every factor
+ * @param {boolean} [options.verifiable=false] - Use Feldman verifiable secret sharing, publishing commitments that let derive reject each incorrect share; like full-length check values, this lets every factor be guessed independently, and requires a key size of at least 32 bytes
+ * @param {AbortSignal} [options.signal] - Signal used to cancel setup; checked between phases, rejecting with AbortError
+ * @param {function(Object)} [options.onProgress] - Called with a progress event ({ phase, factor, completed, total }) as setup enters each phase; kdf, share, factor, or done
+ * @returns {MFKDFDerivedKey} A multi-factor derived key object; its entropyBits property holds the theoretical and real entropy of the key, and the real entropy and weight of each factor (including those of stacked keys) by id
  * @author Vivek Nair (https://nair.me) <vivek@nair.me>
  * @since 0.8.0
  * @async
@@ -65,9 +80,10 @@ async function key (factors, options) {
   if (factors.length === 0) throw new RangeError('factors must not be empty')
 
   options = Object.assign(Object.assign({}, defaults.key), options)
+  progress.validate(options)
 
   const policy = {
-    $schema: 'https://mfkdf.com/schema/v1.0.0/policy.json'
+    $schema: 'https://mfkdf.com/schema/v1.1.0/policy.json'
   }
 
   // id
@@ -81,11 +97,22 @@ async function key (factors, options) {
   if (!(options.size > 0)) throw new RangeError('key size must be positive')
   policy.size = options.size
 
+  // weights
+  if (options.weights === undefined) options.weights = {}
+  if (typeof options.weights !== 'object' || options.weights === null) throw new TypeError('weights must be an object')
+  for (const [id, weight] of Object.entries(options.weights)) {
+    if (!Number.isInteger(weight)) throw new TypeError('weight must be an integer')
+    if (!(weight > 0)) throw new RangeError('weight must be positive')
+    if (!factors.some(factor => factor.id === id)) throw new RangeError('weight given for unknown factor: ' + id)
+  }
+  const weights = factors.map(factor => options.weights[factor.id] || 1)
+  const total = weights.reduce((a, b) => a + b, 0)
+
   // threshold
-  if (options.threshold === undefined) options.threshold = factors.length
+  if (options.threshold === undefined) options.threshold = total
   if (!Number.isInteger(options.threshold)) throw new TypeError('threshold must be an integer')
   if (!(options.threshold > 0)) throw new RangeError('threshold must be positive')
-  if (!(options.threshold <= factors.length)) throw new RangeError('threshold cannot be greater than number of factors')
+  if (!(options.threshold <= total)) throw new RangeError('threshold cannot be greater than number of factors')
   policy.threshold = options.threshold
 
   // salt
@@ -94,7 +121,20 @@ async function key (factors, options) {
   policy.salt = options.salt.toString('base64')
 
   // kdf
-  policy.kdf = kdfSetup(options)
+  policy.kdf = typeof options.targetMs === 'undefined' ? kdfSetup(options) : await kdfSetup.calibrate(options)
+
+  // check values
+  if (options.checkBits === undefined) options.checkBits = 0
+  if (!Number.isInteger(options.checkBits)) throw new TypeError('checkBits must be an integer')
+  if (options.checkBits < 0 || options.checkBits > 32) throw new RangeError('checkBits must be between 0 and 32')
+  if (options.checkBits > 0) policy.checkBits = options.checkBits
+
+  // verifiable secret sharing
+  if (options.verifiable === undefined) options.verifiable = false
+  if (typeof options.verifiable !== 'boolean') throw new TypeError('verifiable must be a boolean')
+  if (options.verifiable && policy.size > feldman.maxSecretSize) throw new RangeError('key size must be at most ' + feldman.maxSecretSize + ' bytes when verifiable')
+  // the commitments would reveal shorter secrets
+  if (options.verifiable && policy.size < feldman.minSecretSize) throw new RangeError('key size must be at least ' + feldman.minSecretSize + ' bytes when verifiable')
 
   // check factor correctness
   for (const factor of factors) {
@@ -120,47 +160,81 @@ async function key (factors, options) {
 
   // generate secret key material
   const secret = crypto.randomBytes(policy.size)
-  const key = await kdf(secret, Buffer.from(policy.salt, 'base64'), policy.size, policy.kdf)
-  const shares = share(secret, policy.threshold, factors.length)
+  progress.checkpoint(options, 'kdf')
+  const key = await kdf(secret, Buffer.from(policy.salt, 'base64'), policy.size, policy.kdf, options.backend)
+  progress.checkpoint(options, 'share')
+  let shares
+  if (options.verifiable) {
+    const sharing = shareVerifiable(secret, policy.threshold, total)
+    shares = sharing.shares
+    policy.commitments = sharing.commitments.map(commitment => commitment.toString('base64'))
+  } else {
+    shares = share(secret, policy.threshold, total)
+  }
+  // verifiable shares are longer than the key, so factor material is stretched to their size
+  const padSize = options.verifiable ? feldman.size : policy.size
 
   // process factors
   policy.factors = []
   const outputs = {}
   const theoreticalEntropy = []
   const realEntropy = []
+  const factorEntropy = {}
+  const factorWeights = {}
+  let offset = 0
 
   for (const [index, factor] of factors.entries()) {
-    // stretch to key length via HKDF/SHA-512
-    const share = shares[index]
+    progress.checkpoint(options, 'factor', { factor: factor.id, completed: index, total: factors.length })
 
-    theoreticalEntropy.push(factor.data.byteLength * 8)
-    realEntropy.push(factor.entropy)
+    // a factor of weight w holds the next w shares
+    const weight = weights[index]
+    const factorShares = shares.slice(offset, offset + weight)
+    offset += weight
 
-    let stretched = Buffer.from(await hkdf('sha512', factor.data, '', '', policy.size))
-    if (Buffer.byteLength(share) > policy.size) stretched = Buffer.concat([Buffer.alloc(Buffer.byteLength(share) - policy.size), stretched])
+    // check values (and commitments) let each factor be guessed independently
+    theoreticalEntropy.push({ bits: Math.max(0, factor.data.byteLength * 8 - options.checkBits), weight })
+    realEntropy.push({ bits: Math.max(0, factor.entropy - options.checkBits), weight })
+    factorEntropy[factor.id] = Math.max(0, factor.entropy - options.checkBits)
+    factorWeights[factor.id] = weight
+
+    // stretch to key length via HKDF/SHA-512
+    const stretched = await stretch(await backend.run('hkdf', ['sha512', factor.data, '', '', padSize], options.backend), weight, padSize, options.backend)
+    const pads = factorShares.map((share, i) => mask(share, stretched[i]).toString('base64'))
 
-    const pad = xor(share, stretched)
     const params = await factor.params({ key })
     outputs[factor.id] = await factor.output()
+    // include the factors of stacked keys, for policy.analyze
+    if (factor.type === 'stack') {
+      Object.assign(factorEntropy, outputs[factor.id].entropyBits.factors)
+      Object.assign(factorWeights, outputs[factor.id].entropyBits.weights)
+    }
     policy.factors.push({
       id: factor.id,
       type: factor.type,
-      pad: pad.toString('base64'),
+      pad: pads[0],
       params
     })
+    if (weight > 1) Object.assign(policy.factors[index], { weight, pads: pads.slice(1) })
+    if (policy.checkBits) policy.factors[index].check = check(factorShares[0], options.salt, factor.id, policy.checkBits)
   }
 
-  const result = new MFKDFDerivedKey(policy, key, secret, shares, outputs)
+  // derive tries every combination of hotp look-ahead counters
+  lookahead.validate(policy.factors)
 
-  theoreticalEntropy.sort((a, b) => a - b)
-  const theoretical = theoreticalEntropy.slice(0, policy.threshold).reduce((a, b) => a + b, 0)
+  policy.hmac = integrity(policy, key)
+  progress.checkpoint(options, 'done')
+
+  const result = new MFKDFDerivedKey(policy, key, secret, shares, outputs)
 
-  realEntropy.sort((a, b) => a - b)
-  const real = realEntropy.slice(0, policy.threshold).reduce((a, b) => a + b, 0)
+  // weakest set of factors reaching the threshold; with commitments, its factors are guessed one at a time
+  const theoretical = strength(cheapest(theoreticalEntropy, policy.threshold), options.verifiable)
+  const real = strength(cheapest(realEntropy, policy.threshold), options.verifiable)
 
   result.entropyBits = {
     theoretical: Math.min(policy.size * 8, theoretical),
-    real: Math.min(policy.size * 8, real)
+    real: Math.min(policy.size * 8, real),
+    factors: factorEntropy,
+    weights: factorWeights
   }
 
   return result
@@ -0,0 +1,49 @@
+/**
+ * @file Signatures
+ * @copyright Multifactor 2022 All Rights Reserved
+ *
+ * @description
+ * WebCrypto parameters for the supported signature methods
+ *
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ */
+
+const rsa = {
+  key: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+  signature: { name: 'RSASSA-PKCS1-v1_5' }
+}
+
+const algorithms = {
+  ed25519: {
+    key: { name: 'Ed25519' },
+    signature: { name: 'Ed25519' }
+  },
+  p256: {
+    key: { name: 'ECDSA', namedCurve: 'P-256' },
+    signature: { name: 'ECDSA', hash: 'SHA-256' }
+  },
+  p384: {
+    key: { name: 'ECDSA', namedCurve: 'P-384' },
+    signature: { name: 'ECDSA', hash: 'SHA-384' }
+  },
+  rsa1024: rsa,
+  rsa2048: rsa,
+  rsa3072: rsa
+}
+
+/**
+ * Get the WebCrypto key import and signature parameters for a signature method
+ *
+ * @param {string} method - Signature method; ed25519, p256, p384, rsa1024, rsa2048, or rsa3072
+ * @returns {Object} Key import parameters (key) and signature parameters (signature)
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ * @since 1.5.0
+ * @memberOf signatures
+ */
+function algorithm (method) {
+  if (typeof method !== 'string') throw new TypeError('method must be a string')
+  method = method.toLowerCase()
+  if (Object.prototype.hasOwnProperty.call(algorithms, method)) return algorithms[method]
+  throw new RangeError('unknown signature method: ' + method)
+}
+module.exports.algorithm = algorithm
@@ -0,0 +1,11 @@
+/**
+ * @file Worker
+ * @copyright Multifactor 2022 All Rights Reserved
+ *
+ * @description
+ * Worker thread entry point for the worker backend
+ *
+ * @author Vivek Nair (https://nair.me) <vivek@nair.me>
+ */
+
+require('./backend').serve(require('worker_threads').parentPort)
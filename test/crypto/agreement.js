@@ -0,0 +1,169 @@
+/* eslint no-unused-expressions: "off" */
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+chai.should()
+
+const mfkdf = require('../../src')
+const { suite, test } = require('mocha')
+const crypto = require('crypto')
+
+suite('agreement', () => {
+  suite('deriveSharedSecret', () => {
+    for (const method of ['x25519', 'p256ecdh']) {
+      test(method, async () => {
+        const alice = await mfkdf.setup.key([
+          await mfkdf.setup.factors.password('password1', { id: 'password1' })
+        ])
+        const bob = await mfkdf.setup.key([
+          await mfkdf.setup.factors.password('password2', { id: 'password2' })
+        ])
+
+        const alicePublic = (await alice.getAsymmetricKeyPair(method)).publicKey
+        const bobPublic = (await bob.getAsymmetricKeyPair(method)).publicKey
+
+        const a = await alice.deriveSharedSecret(bobPublic, 'chat', method)
+        const b = await bob.deriveSharedSecret(alicePublic, 'chat', method)
+        a.length.should.equal(32)
+        a.toString('hex').should.equal(b.toString('hex'))
+
+        if (method === 'x25519') {
+          const d = await alice.deriveSharedSecret(bobPublic)
+          d.toString('hex').should.not.equal(a.toString('hex'))
+        }
+
+        const c = await alice.deriveSharedSecret(bobPublic, 'file', method, 64)
+        c.length.should.equal(64)
+        c.subarray(0, 32).toString('hex').should.not.equal(a.toString('hex'))
+      })
+    }
+
+    test('deterministic', async () => {
+      const setup = await mfkdf.setup.key([
+        await mfkdf.setup.factors.password('password1', { id: 'password1' })
+      ])
+      const derive = await mfkdf.derive.key(setup.policy, {
+        password1: mfkdf.derive.factors.password('password1')
+      })
+
+      for (const method of ['x25519', 'p256ecdh']) {
+        const a = await setup.getAsymmetricKeyPair(method)
+        const b = await derive.getAsymmetricKeyPair(method)
+        Buffer.from(a.publicKey).toString('hex').should.equal(Buffer.from(b.publicKey).toString('hex'))
+        Buffer.from(a.privateKey).toString('hex').should.equal(Buffer.from(b.privateKey).toString('hex'))
+      }
+
+      const ecdsa = await setup.getAsymmetricKeyPair('p256')
+      const ecdh = await setup.getAsymmetricKeyPair('p256ecdh')
+      Buffer.from(ecdsa.publicKey).toString('hex').should.not.equal(Buffer.from(ecdh.publicKey).toString('hex'))
+    })
+
+    test('node', async () => {
+      const setup = await mfkdf.setup.key([
+        await mfkdf.setup.factors.password('password1', { id: 'password1' })
+      ])
+      const { publicKey } = await setup.getAsymmetricKeyPair('x25519')
+
+      const peer = crypto.generateKeyPairSync('x25519')
+      const shared = crypto.diffieHellman({
+        privateKey: peer.privateKey,
+        publicKey: crypto.createPublicKey({ key: Buffer.from(publicKey), format: 'der', type: 'spki' })
+      })
+
+      const raw = await mfkdf.ecies.agree(
+        (await setup.getAsymmetricKeyPair('x25519')).privateKey,
+        peer.publicKey.export({ format: 'der', type: 'spki' })
+      )
+      raw.toString('hex').should.equal(shared.toString('hex'))
+    })
+
+    test('errors', async () => {
+      const setup = await mfkdf.setup.key([
+        await mfkdf.setup.factors.password('password1', { id: 'password1' })
+      ])
+      const { publicKey } = await setup.getAsymmetricKeyPair('x25519')
+
+      await setup.deriveSharedSecret(publicKey, 12345).should.be.rejectedWith(TypeError)
+      await setup.deriveSharedSecret(publicKey, 'chat', 'x25519', 'big').should.be.rejectedWith(TypeError)
+      await setup.deriveSharedSecret(publicKey, 'chat', 'x25519', 0).should.be.rejectedWith(RangeError)
+      await setup.deriveSharedSecret(publicKey, 'chat', 'rsa1024').should.be.rejectedWith(RangeError)
+      await mfkdf.ecies.agree(publicKey, publicKey, 12345).should.be.rejectedWith(TypeError)
+      await mfkdf.ecies.agree(publicKey, publicKey, 'ed25519').should.be.rejectedWith(RangeError)
+    })
+  })
+
+  suite('ecies', () => {
+    for (const method of ['x25519', 'p256ecdh']) {
+      test(method, async () => {
+        const setup = await mfkdf.setup.key([
+          await mfkdf.setup.factors.password('password1', { id: 'password1' })
+        ])
+        const { publicKey } = await setup.getAsymmetricKeyPair(method)
+
+        const ct = await mfkdf.ecies.encrypt('hello world', publicKey, method)
+        const pt = await setup.decrypt(ct, method)
+        pt.toString().should.equal('hello world')
+
+        const derive = await mfkdf.derive.key(setup.policy, {
+          password1: mfkdf.derive.factors.password('password1')
+        })
+        const pt2 = await derive.decrypt(ct, method)
+        pt2.toString().should.equal('hello world')
+
+        const ct2 = await setup.encrypt('hello world', method)
+        const pt3 = await derive.decrypt(ct2, method)
+        pt3.toString().should.equal('hello world')
+      })
+    }
+
+    test('aad', async () => {
+      const setup = await mfkdf.setup.key([
+        await mfkdf.setup.factors.password('password1', { id: 'password1' })
+      ])
+      const { privateKey, publicKey } = await setup.getAsymmetricKeyPair('x25519')
+
+      const ct = await mfkdf.ecies.encrypt(Buffer.from('hello world'), publicKey, 'x25519', 'context')
+      const pt = await mfkdf.ecies.decrypt(ct, privateKey, 'x25519', 'context')
+      pt.toString().should.equal('hello world')
+
+      await mfkdf.ecies.decrypt(ct, privateKey, 'x25519', 'other').should.be.rejectedWith(RangeError)
+      await mfkdf.ecies.decrypt(ct, privateKey, 'x25519').should.be.rejectedWith(RangeError)
+    })
+
+    test('tamper', async () => {
+      const setup = await mfkdf.setup.key([
+        await mfkdf.setup.factors.password('password1', { id: 'password1' })
+      ])
+      const other = await mfkdf.setup.key([
+        await mfkdf.setup.factors.password('password2', { id: 'password2' })
+      ])
+      const { publicKey } = await setup.getAsymmetricKeyPair('x25519')
+
+      const ct = await mfkdf.ecies.encrypt('hello world', publicKey)
+      await other.decrypt(ct, 'x25519').should.be.rejectedWith(RangeError)
+
+      const tampered = Buffer.from(ct)
+      tampered[tampered.length - 1] ^= 1
+      await setup.decrypt(tampered, 'x25519').should.be.rejectedWith(RangeError)
+
+      const corrupted = Buffer.from(ct)
+      corrupted[0] ^= 0xff
+      await setup.decrypt(corrupted, 'x25519').should.be.rejectedWith(RangeError)
+
+      await setup.decrypt(ct.subarray(0, 40), 'x25519').should.be.rejectedWith(RangeError)
+    })
+
+    test('errors', async () => {
+      const setup = await mfkdf.setup.key([
+        await mfkdf.setup.factors.password('password1', { id: 'password1' })
+      ])
+      const { privateKey, publicKey } = await setup.getAsymmetricKeyPair('x25519')
+
+      await mfkdf.ecies.encrypt(12345, publicKey).should.be.rejectedWith(TypeError)
+      await mfkdf.ecies.encrypt('hello world', publicKey, 'x25519', 12345).should.be.rejectedWith(TypeError)
+      await mfkdf.ecies.encrypt('hello world', publicKey, 'rsa1024').should.be.rejectedWith(RangeError)
+      await mfkdf.ecies.decrypt('hello world', privateKey).should.be.rejectedWith(TypeError)
+      await mfkdf.ecies.decrypt(Buffer.alloc(100), privateKey, 'x25519', 12345).should.be.rejectedWith(TypeError)
+    })
+  })
+})
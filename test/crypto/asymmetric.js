@@ -6,6 +6,7 @@ chai.should()
 
 const mfkdf = require('../../src')
 const { suite, test } = require('mocha')
+const crypto = require('crypto')
 
 suite('asymmetric', () => {
   suite('encryption', () => {
@@ -73,11 +74,67 @@ suite('asymmetric', () => {
       await setup.getAsymmetricKeyPair('ed25519')
     })
 
+    test('ed25519/sign', async () => {
+      const setup = await mfkdf.setup.key([
+        await mfkdf.setup.factors.uuid({ id: 'uuid1', uuid: '9b1deb4d-3b7d-4bad-9bdd-2b0d7b3dcb6d' })
+      ])
+      const signature = await setup.sign('hello world', 'ed25519')
+      signature.length.should.equal(64)
+      const validity = await setup.verify('hello world', signature, 'ed25519')
+      validity.should.be.true
+      const invalidity = await setup.verify('hello world!', signature, 'ed25519')
+      invalidity.should.be.false
+
+      const { publicKey } = await setup.getAsymmetricKeyPair('ed25519')
+      const key = crypto.createPublicKey({ key: Buffer.from(publicKey), format: 'der', type: 'spki' })
+      crypto.verify(null, Buffer.from('hello world'), key, signature).should.be.true
+    })
+
+    for (const [method, size, hash] of [['p256', 64, 'sha256'], ['p384', 96, 'sha384']]) {
+      test(method + '/sign', async () => {
+        const setup = await mfkdf.setup.key([
+          await mfkdf.setup.factors.uuid({ id: 'uuid1', uuid: '9b1deb4d-3b7d-4bad-9bdd-2b0d7b3dcb6d' })
+        ])
+        const signature = await setup.sign('hello world', method)
+        signature.length.should.equal(size)
+        const validity = await setup.verify('hello world', signature, method)
+        validity.should.be.true
+        const invalidity = await setup.verify('hello world!', signature, method)
+        invalidity.should.be.false
+
+        // ieee-p1363 (r || s) signatures, as used by JWS ES256 and ES384
+        const { publicKey } = await setup.getAsymmetricKeyPair(method)
+        const key = crypto.createPublicKey({ key: Buffer.from(publicKey), format: 'der', type: 'spki' })
+        crypto.verify(hash, Buffer.from('hello world'), { key, dsaEncoding: 'ieee-p1363' }, signature).should.be.true
+      })
+    }
+
+    test('deterministic', async () => {
+      const setup = await mfkdf.setup.key([
+        await mfkdf.setup.factors.uuid({ id: 'uuid1', uuid: '9b1deb4d-3b7d-4bad-9bdd-2b0d7b3dcb6d' })
+      ])
+      const derive = await mfkdf.derive.key(setup.policy, {
+        uuid1: mfkdf.derive.factors.uuid('9b1deb4d-3b7d-4bad-9bdd-2b0d7b3dcb6d')
+      })
+
+      for (const method of ['ed25519', 'p256', 'p384']) {
+        const a = await setup.getAsymmetricKeyPair(method)
+        const b = await derive.getAsymmetricKeyPair(method)
+        Buffer.from(a.publicKey).toString('hex').should.equal(Buffer.from(b.publicKey).toString('hex'))
+        Buffer.from(a.privateKey).toString('hex').should.equal(Buffer.from(b.privateKey).toString('hex'))
+
+        const signature = await derive.sign('hello world', method)
+        const validity = await setup.verify('hello world', signature, method)
+        validity.should.be.true
+      }
+    })
+
     test('unknown', async () => {
       const setup = await mfkdf.setup.key([
         await mfkdf.setup.factors.uuid({ id: 'uuid1', uuid: '9b1deb4d-3b7d-4bad-9bdd-2b0d7b3dcb6d' })
       ])
       setup.getAsymmetricKeyPair('unknown').should.be.rejectedWith(RangeError)
+      await setup.sign('hello world', 'unknown').should.be.rejectedWith(RangeError)
     })
 
     test('errors', async () => {
@@ -31,6 +31,11 @@ suite('encrypt', () => {
       const key1 = await setup.getSymmetricKey()
       const key2 = await setup.getSymmetricKey('aes256')
       key1.toString('hex').should.equal(key2.toString('hex'))
+
+      const key3 = await setup.getSymmetricKey('chacha20')
+      const key4 = await setup.getSymmetricKey('chacha20', true)
+      key3.should.have.length(32)
+      key3.toString('hex').should.not.equal(key4.toString('hex'))
     })
   })
 
@@ -194,4 +199,163 @@ suite('encrypt', () => {
     const plaintext = await derive.decrypt(ciphertext, '3des', 'ECB')
     plaintext.toString().should.equal('hello world')
   })
+
+  test('AES256-GCM', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.uuid({ id: 'uuid1', uuid: '9b1deb4d-3b7d-4bad-9bdd-2b0d7b3dcb6d' })
+    ])
+
+    const ciphertext = await setup.encrypt(Buffer.from('hello world'), 'aes256', 'GCM')
+    ciphertext.subarray(0, 5).toString().should.equal('MFKDF')
+
+    const derive = await mfkdf.derive.key(setup.policy, {
+      uuid1: mfkdf.derive.factors.uuid('9b1deb4d-3b7d-4bad-9bdd-2b0d7b3dcb6d')
+    })
+
+    const plaintext1 = await derive.decrypt(ciphertext, 'aes256', 'GCM')
+    plaintext1.toString().should.equal('hello world')
+
+    const plaintext2 = await derive.decrypt(ciphertext)
+    plaintext2.toString().should.equal('hello world')
+  })
+
+  test('AES192-GCM', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.uuid({ id: 'uuid1', uuid: '9b1deb4d-3b7d-4bad-9bdd-2b0d7b3dcb6d' })
+    ])
+
+    const ciphertext = await setup.encrypt('hello world', 'aes192', 'GCM')
+    const plaintext = await setup.decrypt(ciphertext, 'aes192', 'GCM')
+    plaintext.toString().should.equal('hello world')
+  })
+
+  test('AES128-GCM', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.uuid({ id: 'uuid1', uuid: '9b1deb4d-3b7d-4bad-9bdd-2b0d7b3dcb6d' })
+    ])
+
+    const ciphertext = await setup.encrypt('hello world', 'aes128', 'gcm')
+    const plaintext = await setup.decrypt(ciphertext, 'aes128', 'gcm')
+    plaintext.toString().should.equal('hello world')
+  })
+
+  test('ChaCha20-Poly1305', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.uuid({ id: 'uuid1', uuid: '9b1deb4d-3b7d-4bad-9bdd-2b0d7b3dcb6d' })
+    ])
+
+    const ciphertext = await setup.encrypt('hello world', 'chacha20', 'POLY1305')
+
+    const derive = await mfkdf.derive.key(setup.policy, {
+      uuid1: mfkdf.derive.factors.uuid('9b1deb4d-3b7d-4bad-9bdd-2b0d7b3dcb6d')
+    })
+
+    const plaintext1 = await derive.decrypt(ciphertext, 'chacha20', 'POLY1305')
+    plaintext1.toString().should.equal('hello world')
+
+    const plaintext2 = await derive.decrypt(ciphertext)
+    plaintext2.toString().should.equal('hello world')
+  })
+
+  suite('aead', () => {
+    test('aad', async () => {
+      const setup = await mfkdf.setup.key([
+        await mfkdf.setup.factors.uuid({ id: 'uuid1', uuid: '9b1deb4d-3b7d-4bad-9bdd-2b0d7b3dcb6d' })
+      ])
+
+      const ciphertext1 = await setup.encrypt('hello world', 'aes256', 'GCM', false, 'context')
+      const plaintext1 = await setup.decrypt(ciphertext1, 'aes256', 'GCM', false, Buffer.from('context'))
+      plaintext1.toString().should.equal('hello world')
+
+      await setup.decrypt(ciphertext1, 'aes256', 'GCM').should.be.rejectedWith(RangeError)
+      await setup.decrypt(ciphertext1, 'aes256', 'GCM', false, 'other').should.be.rejectedWith(RangeError)
+
+      const ciphertext2 = await setup.encrypt('hello world', 'chacha20', 'POLY1305', false, Buffer.from('context'))
+      const plaintext2 = await setup.decrypt(ciphertext2, 'chacha20', 'POLY1305', false, 'context')
+      plaintext2.toString().should.equal('hello world')
+
+      await setup.decrypt(ciphertext2, 'chacha20', 'POLY1305', false, 'other').should.be.rejectedWith(RangeError)
+    })
+
+    test('auth', async () => {
+      const setup = await mfkdf.setup.key([
+        await mfkdf.setup.factors.uuid({ id: 'uuid1', uuid: '9b1deb4d-3b7d-4bad-9bdd-2b0d7b3dcb6d' })
+      ])
+
+      // authentication keys are separate from encryption keys
+      const ciphertext1 = await setup.encrypt('hello world', 'aes256', 'GCM', true, 'context')
+      const plaintext1 = await setup.decrypt(ciphertext1, 'aes256', 'GCM', true, 'context')
+      plaintext1.toString().should.equal('hello world')
+      await setup.decrypt(ciphertext1, 'aes256', 'GCM', false, 'context').should.be.rejectedWith(RangeError)
+
+      const ciphertext2 = await setup.encrypt('hello world', 'chacha20', 'POLY1305', true)
+      const plaintext2 = await setup.decrypt(ciphertext2, 'chacha20', 'POLY1305', true)
+      plaintext2.toString().should.equal('hello world')
+      await setup.decrypt(ciphertext2).should.be.rejectedWith(RangeError)
+
+      const ciphertext3 = await setup.encrypt('hello world', 'aes128', 'CBC', true)
+      const plaintext3 = await setup.decrypt(ciphertext3, 'aes128', 'CBC', true)
+      plaintext3.toString().should.equal('hello world')
+
+      const ciphertext4 = await setup.encrypt('hello world', 'x25519', 'CBC', true)
+      const plaintext4 = await setup.decrypt(ciphertext4, 'x25519', 'CBC', true)
+      plaintext4.toString().should.equal('hello world')
+      await setup.decrypt(ciphertext4, 'x25519').should.be.rejectedWith(RangeError)
+    })
+
+    test('tampering', async () => {
+      const setup = await mfkdf.setup.key([
+        await mfkdf.setup.factors.uuid({ id: 'uuid1', uuid: '9b1deb4d-3b7d-4bad-9bdd-2b0d7b3dcb6d' })
+      ])
+
+      const ciphertext = await setup.encrypt('hello world', 'aes256', 'GCM')
+
+      for (const index of [7, 9, 21, ciphertext.length - 20, ciphertext.length - 1]) {
+        const tampered = Buffer.from(ciphertext)
+        tampered[index] ^= 1
+        await setup.decrypt(tampered).should.be.rejectedWith(RangeError)
+      }
+    })
+
+    test('uniqueness', async () => {
+      const setup = await mfkdf.setup.key([
+        await mfkdf.setup.factors.uuid({ id: 'uuid1', uuid: '9b1deb4d-3b7d-4bad-9bdd-2b0d7b3dcb6d' })
+      ])
+
+      const ciphertext1 = await setup.encrypt('hello world', 'aes256', 'GCM')
+      const ciphertext2 = await setup.encrypt('hello world', 'aes256', 'GCM')
+      ciphertext1.toString('hex').should.not.equal(ciphertext2.toString('hex'))
+    })
+
+    test('errors', async () => {
+      const setup = await mfkdf.setup.key([
+        await mfkdf.setup.factors.uuid({ id: 'uuid1', uuid: '9b1deb4d-3b7d-4bad-9bdd-2b0d7b3dcb6d' })
+      ])
+
+      await setup.encrypt('hello world', 'aes256', 'CBC', false, 'context').should.be.rejectedWith(RangeError)
+      await setup.encrypt('hello world', 'aes256', 'GCM', false, 12345).should.be.rejectedWith(TypeError)
+      await setup.encrypt('hello world', 'chacha20', 'GCM').should.be.rejectedWith(RangeError)
+      await setup.encrypt('hello world', '3des', 'GCM').should.be.rejectedWith(RangeError)
+      await setup.decrypt(Buffer.from('hello world'), 'aes256', 'GCM').should.be.rejectedWith(RangeError)
+      await setup.decrypt(Buffer.from('hello world'), 'aes256', 'GCM', false, 12345).should.be.rejectedWith(TypeError)
+
+      // associated data is never silently dropped for ciphertexts without an AEAD header
+      const legacy = await setup.encrypt('hello world', 'aes256', 'CBC')
+      await setup.decrypt(legacy, 'aes256', 'CBC', false, 'context').should.be.rejectedWith(TypeError)
+      await setup.decrypt(await setup.encrypt('hello world', 'aes128', 'ECB'), 'aes128', 'ECB', false, 'context').should.be.rejectedWith(TypeError)
+      ;(await setup.decrypt(legacy, 'aes256', 'CBC')).toString().should.equal('hello world')
+
+      const ciphertext = await setup.encrypt('hello world', 'aes256', 'GCM')
+      await setup.decrypt(ciphertext.subarray(0, 30), 'aes256', 'GCM').should.be.rejectedWith(RangeError)
+      await setup.decrypt(ciphertext.subarray(0, 4), 'aes256', 'GCM').should.be.rejectedWith(RangeError)
+
+      const version = Buffer.from(ciphertext)
+      version[5] = 2
+      await setup.decrypt(version, 'aes256', 'GCM').should.be.rejectedWith(RangeError)
+
+      const nonce = Buffer.from(ciphertext)
+      nonce[8] = 16
+      await setup.decrypt(nonce, 'aes256', 'GCM').should.be.rejectedWith(RangeError)
+    })
+  })
 })
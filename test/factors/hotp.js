@@ -32,6 +32,106 @@ suite('factors/hotp', () => {
     derive2.key.toString('hex').should.equal(derive3.key.toString('hex'))
   })
 
+  test('window', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.hotp({
+        secret: Buffer.from('hello world'),
+        window: 3
+      })
+    ])
+
+    setup.policy.factors[0].params.window.should.equal(3)
+
+    // token pressed once without logging in
+    const derive1 = await mfkdf.derive.key(setup.policy, {
+      hotp: mfkdf.derive.factors.hotp(891649)
+    })
+    derive1.policy.factors[0].params.counter.should.equal(3)
+
+    const derive2 = await mfkdf.derive.key(derive1.policy, {
+      hotp: mfkdf.derive.factors.hotp(795484)
+    })
+    derive2.policy.factors[0].params.counter.should.equal(4)
+
+    const derive3 = await mfkdf.derive.key(setup.policy, {
+      hotp: mfkdf.derive.factors.hotp(365287)
+    })
+    derive3.policy.factors[0].params.counter.should.equal(2)
+
+    const derive4 = await mfkdf.derive.key(derive2.policy, {
+      hotp: mfkdf.derive.factors.hotp(365287)
+    })
+
+    setup.key.toString('hex').should.equal(derive1.key.toString('hex'))
+    setup.key.toString('hex').should.equal(derive2.key.toString('hex'))
+    setup.key.toString('hex').should.equal(derive3.key.toString('hex'))
+    setup.key.toString('hex').should.not.equal(derive4.key.toString('hex'))
+  })
+
+  test('window/entropy', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.hotp({ window: 3 })
+    ])
+
+    setup.entropyBits.real.should.equal(Math.log2(10 ** 6 / 4))
+  })
+
+  test('window/untagged', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.hotp({
+        secret: Buffer.from('hello world'),
+        window: 3
+      })
+    ])
+
+    // without the integrity tag, derive cannot tell which counter is correct
+    const policy = JSON.parse(JSON.stringify(setup.policy))
+    delete policy.hmac
+    await mfkdf.derive.key(policy, {
+      hotp: mfkdf.derive.factors.hotp(891649)
+    }).should.be.rejectedWith(mfkdf.errors.PolicyIntegrityError)
+  })
+
+  test('window/factors', async () => {
+    // 8 * 8 combinations of counters are allowed, but not 8 * 9
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.hotp({ id: 'hotp1', window: 7 }),
+      await mfkdf.setup.factors.hotp({ id: 'hotp2', window: 7 })
+    ], { kdf: 'pbkdf2', pbkdf2rounds: 1000 })
+
+    await mfkdf.setup.key([
+      await mfkdf.setup.factors.hotp({ id: 'hotp1', window: 7 }),
+      await mfkdf.setup.factors.hotp({ id: 'hotp2', window: 8 })
+    ], { kdf: 'pbkdf2', pbkdf2rounds: 1000 }).should.be.rejectedWith(RangeError)
+
+    const policy = JSON.stringify(setup.policy)
+    await setup.reconstitute(['hotp2'], [await mfkdf.setup.factors.hotp({ id: 'hotp3', window: 8 })]).should.be.rejectedWith(RangeError)
+    JSON.stringify(setup.policy).should.equal(policy)
+  })
+
+  test('window/stack', async () => {
+    // hotp factors of stacked keys count towards the same bound
+    const stack = async (window) => await mfkdf.setup.factors.stack([
+      await mfkdf.setup.factors.hotp({ id: 'hotp2', window })
+    ], { kdf: 'pbkdf2', pbkdf2rounds: 1000 })
+
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.hotp({ id: 'hotp1', window: 7 }),
+      await stack(7)
+    ], { kdf: 'pbkdf2', pbkdf2rounds: 1000 })
+
+    await mfkdf.setup.key([
+      await mfkdf.setup.factors.hotp({ id: 'hotp1', window: 7 }),
+      await stack(8)
+    ], { kdf: 'pbkdf2', pbkdf2rounds: 1000 }).should.be.rejectedWith(RangeError)
+
+    const policy = JSON.stringify(setup.policy)
+    await setup.reconstitute([], [await mfkdf.setup.factors.stack([
+      await mfkdf.setup.factors.hotp({ id: 'hotp3', window: 1 })
+    ], { id: 'stack2', kdf: 'pbkdf2', pbkdf2rounds: 1000 })]).should.be.rejectedWith(RangeError)
+    JSON.stringify(setup.policy).should.equal(policy)
+  })
+
   test('defaults', async () => {
     await mfkdf.setup.key([
       await mfkdf.setup.factors.hotp()
@@ -87,6 +187,24 @@ suite('factors/hotp', () => {
       }).should.be.rejectedWith(RangeError)
     })
 
+    test('window/type', async () => {
+      mfkdf.setup.factors.hotp({
+        window: 'hello'
+      }).should.be.rejectedWith(TypeError)
+    })
+
+    test('window/range', async () => {
+      mfkdf.setup.factors.hotp({
+        window: -1
+      }).should.be.rejectedWith(RangeError)
+    })
+
+    test('window/high', async () => {
+      await mfkdf.setup.factors.hotp({
+        window: 64
+      }).should.be.rejectedWith(RangeError)
+    })
+
     test('secret/type', async () => {
       mfkdf.setup.factors.hotp({
         secret: 'hello'
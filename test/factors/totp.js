@@ -40,6 +40,34 @@ suite('factors/totp', () => {
   })
 
   test('static', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.totp({
+        secret: Buffer.from('hello world'),
+        time: 1650430806597,
+        encoding: 'uint32'
+      })
+    ])
+    setup.policy.factors[0].params.should.have.property('offsets')
+
+    const derive1 = await mfkdf.derive.key(setup.policy, {
+      totp: mfkdf.derive.factors.totp(528258, { time: 1650430943604 })
+    })
+
+    const derive2 = await mfkdf.derive.key(derive1.policy, {
+      totp: mfkdf.derive.factors.totp(99922, { time: 1650430991083 })
+    })
+
+    const derive3 = await mfkdf.derive.key(derive1.policy, {
+      totp: mfkdf.derive.factors.totp(398884, { time: 1650431018392 })
+    })
+
+    derive1.key.toString('hex').should.equal(setup.key.toString('hex'))
+    derive2.key.toString('hex').should.equal(setup.key.toString('hex'))
+    derive3.key.toString('hex').should.equal(setup.key.toString('hex'))
+  })
+
+  test('packed', async () => {
+    // packed offsets are the default
     const setup = await mfkdf.setup.key([
       await mfkdf.setup.factors.totp({
         secret: Buffer.from('hello world'),
@@ -47,6 +75,9 @@ suite('factors/totp', () => {
       })
     ])
 
+    setup.policy.factors[0].params.should.have.property('packed')
+    setup.policy.factors[0].params.should.not.have.property('offsets')
+
     const derive1 = await mfkdf.derive.key(setup.policy, {
       totp: mfkdf.derive.factors.totp(528258, { time: 1650430943604 })
     })
@@ -59,11 +90,176 @@ suite('factors/totp', () => {
       totp: mfkdf.derive.factors.totp(398884, { time: 1650431018392 })
     })
 
+    derive1.policy.factors[0].params.should.have.property('packed')
     derive1.key.toString('hex').should.equal(setup.key.toString('hex'))
     derive2.key.toString('hex').should.equal(setup.key.toString('hex'))
     derive3.key.toString('hex').should.equal(setup.key.toString('hex'))
   })
 
+  test('migration', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.totp({
+        secret: Buffer.from('hello world'),
+        time: 1650430806597,
+        window: 1000,
+        encoding: 'uint32'
+      })
+    ])
+
+    const derive1 = await mfkdf.derive.key(setup.policy, {
+      totp: mfkdf.derive.factors.totp(528258, { time: 1650430943604, encoding: 'packed' })
+    })
+    derive1.policy.factors[0].params.should.have.property('packed')
+    derive1.policy.factors[0].params.should.not.have.property('offsets')
+
+    const derive2 = await mfkdf.derive.key(derive1.policy, {
+      totp: mfkdf.derive.factors.totp(99922, { time: 1650430991083, window: 500 })
+    })
+    derive2.policy.factors[0].params.window.should.equal(500)
+    derive2.policy.factors[0].params.should.have.property('packed')
+
+    const derive3 = await mfkdf.derive.key(derive2.policy, {
+      totp: mfkdf.derive.factors.totp(398884, { time: 1650431018392, encoding: 'uint32', window: 2000 })
+    })
+    derive3.policy.factors[0].params.window.should.equal(2000)
+    derive3.policy.factors[0].params.should.have.property('offsets')
+
+    const derive4 = await mfkdf.derive.key(derive3.policy, {
+      totp: mfkdf.derive.factors.totp(398884, { time: 1650431018392 })
+    })
+
+    derive1.key.toString('hex').should.equal(setup.key.toString('hex'))
+    derive2.key.toString('hex').should.equal(setup.key.toString('hex'))
+    derive3.key.toString('hex').should.equal(setup.key.toString('hex'))
+    derive4.key.toString('hex').should.equal(setup.key.toString('hex'))
+  })
+
+  test('size', async () => {
+    const sizes = {}
+    for (const encoding of ['uint32', 'packed']) {
+      const setup = await mfkdf.setup.key([
+        await mfkdf.setup.factors.totp({ window: 8760, encoding })
+      ])
+      sizes[encoding] = JSON.stringify(setup.policy).length
+      if (encoding === 'packed') {
+        // 20 bits per offset, against a lower bound of log2(10^6) = 19.93
+        Buffer.from(setup.policy.factors[0].params.packed, 'base64').should.have.length(8760 * 20 / 8)
+      }
+    }
+    sizes.packed.should.be.below(sizes.uint32 * 0.65)
+  })
+
+  test('skew', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.totp({
+        secret: Buffer.from('hello world'),
+        time: 1650430806597
+      })
+    ])
+
+    // phone clock one step behind, then one step ahead
+    const derive1 = await mfkdf.derive.key(setup.policy, {
+      totp: mfkdf.derive.factors.totp(528258, { time: 1650430943604 + 30000, skew: 1 })
+    })
+    derive1.policy.factors[0].params.start.should.equal(Math.floor(1650430943604 / 30000) * 30000)
+
+    const derive2 = await mfkdf.derive.key(derive1.policy, {
+      totp: mfkdf.derive.factors.totp(99922, { time: 1650430991083 - 30000, skew: 1 })
+    })
+
+    const derive3 = await mfkdf.derive.key(derive2.policy, {
+      totp: mfkdf.derive.factors.totp(398884, { time: 1650431018392, skew: 2 })
+    })
+    derive3.policy.factors[0].params.start.should.equal(1650431018392)
+
+    const derive4 = await mfkdf.derive.key(setup.policy, {
+      totp: mfkdf.derive.factors.totp(528258, { time: 1650430943604 + 30000 })
+    })
+
+    derive1.key.toString('hex').should.equal(setup.key.toString('hex'))
+    derive2.key.toString('hex').should.equal(setup.key.toString('hex'))
+    derive3.key.toString('hex').should.equal(setup.key.toString('hex'))
+    derive4.key.toString('hex').should.not.equal(setup.key.toString('hex'))
+
+    const derive5 = await mfkdf.derive.key(setup.policy, {
+      totp: mfkdf.derive.factors.totp(123456, { time: 1650430943604, skew: 1 })
+    })
+    derive5.key.toString('hex').should.not.equal(setup.key.toString('hex'))
+  })
+
+  test('skew/threshold', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password'),
+      await mfkdf.setup.factors.totp({
+        secret: Buffer.from('hello world'),
+        time: 1650430806597
+      })
+    ], { threshold: 1 })
+
+    const derive1 = await mfkdf.derive.key(setup.policy, {
+      password: mfkdf.derive.factors.password('password'),
+      totp: mfkdf.derive.factors.totp(528258, { time: 1650430943604 - 30000, skew: 1 })
+    })
+
+    const derive2 = await mfkdf.derive.key(derive1.policy, {
+      totp: mfkdf.derive.factors.totp(99922, { time: 1650430991083 })
+    })
+
+    derive1.key.toString('hex').should.equal(setup.key.toString('hex'))
+    derive2.key.toString('hex').should.equal(setup.key.toString('hex'))
+  })
+
+  test('skew/untagged', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.totp({
+        secret: Buffer.from('hello world'),
+        time: 1650430806597
+      })
+    ])
+
+    const policy = JSON.parse(JSON.stringify(setup.policy))
+    delete policy.hmac
+
+    // without the integrity tag, derive cannot tell which step is correct
+    await mfkdf.derive.key(policy, {
+      totp: mfkdf.derive.factors.totp(528258, { time: 1650430943604 + 30000, skew: 1 })
+    }).should.be.rejectedWith(mfkdf.errors.PolicyIntegrityError)
+
+    const derive = await mfkdf.derive.key(policy, {
+      totp: mfkdf.derive.factors.totp(528258, { time: 1650430943604 })
+    })
+    derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+  })
+
+  test('skew/trials', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.totp({ secret: Buffer.from('hello world'), time: 1650430806597, id: 'totp1' }),
+      await mfkdf.setup.factors.totp({ secret: Buffer.from('hello world'), time: 1650430806597, id: 'totp2' })
+    ], { kdf: 'pbkdf2', pbkdf2rounds: 1000 })
+
+    const factors = (skew) => ({
+      totp1: mfkdf.derive.factors.totp(528258, { time: 1650430943604, skew }),
+      totp2: mfkdf.derive.factors.totp(528258, { time: 1650430943604, skew })
+    })
+
+    // 9 combinations of candidates
+    const derive = await mfkdf.derive.key(setup.policy, factors(1), { maxTrials: 9 })
+    derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+
+    // rejected before running the kdf
+    const events = []
+    const error = await mfkdf.derive.key(setup.policy, factors(1), { maxTrials: 8, onProgress: (event) => events.push(event.phase) })
+      .should.be.rejectedWith(mfkdf.errors.TooManyCandidatesError)
+    error.code.should.equal('ERR_TOO_MANY_CANDIDATES')
+    events.should.not.include('kdf')
+
+    // 81 combinations, more than the default
+    await mfkdf.derive.key(setup.policy, factors(4)).should.be.rejectedWith(RangeError)
+
+    await mfkdf.derive.key(setup.policy, factors(1), { maxTrials: 'many' }).should.be.rejectedWith(TypeError)
+    await mfkdf.derive.key(setup.policy, factors(1), { maxTrials: 0 }).should.be.rejectedWith(RangeError)
+  })
+
   test('defaults', async () => {
     await mfkdf.setup.key([
       await mfkdf.setup.factors.totp()
@@ -90,6 +286,54 @@ suite('factors/totp', () => {
       }).should.be.rejectedWith(RangeError)
     })
 
+    test('code/window/packed', async () => {
+      const setup = await mfkdf.setup.key([
+        await mfkdf.setup.factors.totp({
+          secret: Buffer.from('hello world'),
+          time: 1650430806597,
+          encoding: 'packed'
+        })
+      ])
+
+      await mfkdf.derive.key(setup.policy, {
+        totp: mfkdf.derive.factors.totp(528258, { time: 1750430943604 })
+      }).should.be.rejectedWith(RangeError)
+
+      await mfkdf.derive.key(setup.policy, {
+        totp: mfkdf.derive.factors.totp(528258, { time: 1550430943604 })
+      }).should.be.rejectedWith(RangeError)
+    })
+
+    test('skew/type', async () => {
+      (() => {
+        mfkdf.derive.factors.totp(12345, { skew: 'hello' })
+      }).should.throw(TypeError)
+    })
+
+    test('skew/range', async () => {
+      (() => {
+        mfkdf.derive.factors.totp(12345, { skew: -1 })
+      }).should.throw(RangeError)
+    })
+
+    test('encoding/range', async () => {
+      (() => {
+        mfkdf.derive.factors.totp(12345, { encoding: 'hello' })
+      }).should.throw(RangeError)
+    })
+
+    test('window/type', async () => {
+      (() => {
+        mfkdf.derive.factors.totp(12345, { window: 'hello' })
+      }).should.throw(TypeError)
+    })
+
+    test('window/range', async () => {
+      (() => {
+        mfkdf.derive.factors.totp(12345, { window: 0 })
+      }).should.throw(RangeError)
+    })
+
     test('time/type', async () => {
       (() => {
         mfkdf.derive.factors.totp(12345, { time: 'hello' })
@@ -185,5 +429,11 @@ suite('factors/totp', () => {
         window: -1
       }).should.be.rejectedWith(RangeError)
     })
+
+    test('encoding/range', async () => {
+      mfkdf.setup.factors.totp({
+        encoding: 'hello'
+      }).should.be.rejectedWith(RangeError)
+    })
   })
 })
@@ -0,0 +1,184 @@
+/* eslint no-unused-expressions: "off" */
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+chai.should()
+
+const mfkdf = require('../../src')
+const { suite, test } = require('mocha')
+
+const crypto = require('crypto')
+
+// software stand-in for a FIDO2 authenticator supporting the prf (hmac-secret) extension
+function authenticator () {
+  const credentialId = crypto.randomBytes(16)
+  const credRandom = crypto.randomBytes(32)
+  const prf = (salt) => {
+    const input = crypto.createHash('sha256').update(Buffer.concat([Buffer.from('WebAuthn PRF'), Buffer.from([0]), salt])).digest()
+    return crypto.createHmac('sha256', credRandom).update(input).digest()
+  }
+  return {
+    credentialId,
+    evaluate: (params) => {
+      return {
+        first: prf(Buffer.from(params.salt, 'hex')),
+        second: prf(Buffer.from(params.next, 'hex'))
+      }
+    },
+    prf
+  }
+}
+
+suite('factors/webauthn', () => {
+  test('dynamic', async () => {
+    const device = authenticator()
+    const salt = crypto.randomBytes(32)
+
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.webauthn({ credentialId: device.credentialId, salt, response: device.prf(salt) })
+    ])
+
+    setup.outputs.webauthn.credentialId.toString('hex').should.equal(device.credentialId.toString('hex'))
+    setup.policy.factors[0].params.credentialId.should.equal(device.credentialId.toString('hex'))
+    setup.policy.factors[0].params.salt.should.equal(salt.toString('hex'))
+
+    const derive1 = await mfkdf.derive.key(setup.policy, {
+      webauthn: mfkdf.derive.factors.webauthn(device.evaluate(setup.policy.factors[0].params))
+    })
+
+    derive1.policy.factors[0].params.salt.should.equal(setup.policy.factors[0].params.next)
+    derive1.policy.factors[0].params.next.should.not.equal(setup.policy.factors[0].params.next)
+
+    const derive2 = await mfkdf.derive.key(derive1.policy, {
+      webauthn: mfkdf.derive.factors.webauthn(device.evaluate(derive1.policy.factors[0].params))
+    })
+
+    derive2.outputs.webauthn.credentialId.toString('hex').should.equal(device.credentialId.toString('hex'))
+    setup.key.toString('hex').should.equal(derive1.key.toString('hex'))
+    setup.key.toString('hex').should.equal(derive2.key.toString('hex'))
+  })
+
+  test('threshold', async () => {
+    const device = authenticator()
+    const salt = crypto.randomBytes(32)
+
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password'),
+      await mfkdf.setup.factors.webauthn({ id: 'passkey', credentialId: device.credentialId, salt, response: device.prf(salt) })
+    ], { threshold: 1 })
+
+    const derive1 = await mfkdf.derive.key(setup.policy, {
+      passkey: mfkdf.derive.factors.webauthn(device.evaluate(setup.policy.factors[1].params))
+    })
+
+    const derive2 = await mfkdf.derive.key(derive1.policy, {
+      password: mfkdf.derive.factors.password('password')
+    })
+
+    const derive3 = await mfkdf.derive.key(derive2.policy, {
+      passkey: mfkdf.derive.factors.webauthn(device.evaluate(derive2.policy.factors[1].params))
+    })
+
+    setup.key.toString('hex').should.equal(derive1.key.toString('hex'))
+    setup.key.toString('hex').should.equal(derive2.key.toString('hex'))
+    setup.key.toString('hex').should.equal(derive3.key.toString('hex'))
+  })
+
+  test('invalid', async () => {
+    const device = authenticator()
+    const other = authenticator()
+    const salt = crypto.randomBytes(32)
+
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.webauthn({ credentialId: device.credentialId, salt, response: device.prf(salt) })
+    ])
+
+    const derive1 = await mfkdf.derive.key(setup.policy, {
+      webauthn: mfkdf.derive.factors.webauthn(other.evaluate(setup.policy.factors[0].params))
+    })
+
+    const derive2 = await mfkdf.derive.key(setup.policy, {
+      webauthn: mfkdf.derive.factors.webauthn(device.evaluate(setup.policy.factors[0].params))
+    })
+
+    const derive3 = await mfkdf.derive.key(setup.policy, {
+      webauthn: mfkdf.derive.factors.webauthn(device.evaluate(derive2.policy.factors[0].params))
+    })
+
+    setup.key.toString('hex').should.not.equal(derive1.key.toString('hex'))
+    setup.key.toString('hex').should.equal(derive2.key.toString('hex'))
+    setup.key.toString('hex').should.not.equal(derive3.key.toString('hex'))
+  })
+
+  suite('errors', async () => {
+    const credentialId = crypto.randomBytes(16)
+    const salt = crypto.randomBytes(32)
+    const response = crypto.randomBytes(32)
+
+    test('id/type', async () => {
+      mfkdf.setup.factors.webauthn({ id: 12345, credentialId, salt, response }).should.be.rejectedWith(TypeError)
+    })
+
+    test('id/range', async () => {
+      mfkdf.setup.factors.webauthn({ id: '', credentialId, salt, response }).should.be.rejectedWith(RangeError)
+    })
+
+    test('credentialId/type', async () => {
+      mfkdf.setup.factors.webauthn({ credentialId: 'hello', salt, response }).should.be.rejectedWith(TypeError)
+    })
+
+    test('credentialId/range', async () => {
+      mfkdf.setup.factors.webauthn({ credentialId: Buffer.alloc(0), salt, response }).should.be.rejectedWith(RangeError)
+    })
+
+    test('salt/type', async () => {
+      mfkdf.setup.factors.webauthn({ credentialId, salt: 12345, response }).should.be.rejectedWith(TypeError)
+    })
+
+    test('salt/range', async () => {
+      mfkdf.setup.factors.webauthn({ credentialId, salt: Buffer.alloc(0), response }).should.be.rejectedWith(RangeError)
+    })
+
+    test('response/type', async () => {
+      mfkdf.setup.factors.webauthn({ credentialId, salt, response: 12345 }).should.be.rejectedWith(TypeError)
+    })
+
+    test('response/range', async () => {
+      mfkdf.setup.factors.webauthn({ credentialId, salt, response: Buffer.from('12345') }).should.be.rejectedWith(RangeError)
+    })
+
+    test('results/type', async () => {
+      (() => {
+        mfkdf.derive.factors.webauthn(12345)
+      }).should.throw(TypeError);
+
+      (() => {
+        mfkdf.derive.factors.webauthn(null)
+      }).should.throw(TypeError)
+    })
+
+    test('first/type', async () => {
+      (() => {
+        mfkdf.derive.factors.webauthn({ first: 12345, second: response })
+      }).should.throw(TypeError)
+    })
+
+    test('first/range', async () => {
+      (() => {
+        mfkdf.derive.factors.webauthn({ first: Buffer.from('12345'), second: response })
+      }).should.throw(RangeError)
+    })
+
+    test('second/type', async () => {
+      (() => {
+        mfkdf.derive.factors.webauthn({ first: response, second: 12345 })
+      }).should.throw(TypeError)
+    })
+
+    test('second/range', async () => {
+      (() => {
+        mfkdf.derive.factors.webauthn({ first: response, second: Buffer.from('12345') })
+      }).should.throw(RangeError)
+    })
+  })
+})
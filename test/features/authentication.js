@@ -40,6 +40,12 @@ suite('authentication', () => {
     encKey = await key.getAsymmetricKeyPair('ed25519', false)
     authKey.publicKey.toString('hex').should.not.equal(encKey.publicKey.toString('hex'))
 
+    for (const type of ['x25519', 'p256ecdh']) {
+      authKey = await key.getAsymmetricKeyPair(type, true)
+      encKey = await key.getAsymmetricKeyPair(type, false)
+      Buffer.from(authKey.publicKey).toString('hex').should.not.equal(Buffer.from(encKey.publicKey).toString('hex'))
+    }
+
     authKey = await key.getAsymmetricKeyPair('rsa1024', true)
     encKey = await key.getAsymmetricKeyPair('rsa1024', false)
     authKey.publicKey.toString('hex').should.not.equal(encKey.publicKey.toString('hex'))
@@ -84,6 +90,23 @@ suite('authentication', () => {
       valid.should.be.true
     })
 
+    test('ISO97982PassUnilateralAuthAsymmetric/methods', async () => {
+      const key = await mfkdf.setup.key([
+        await mfkdf.setup.factors.password('password1', { id: 'password1' })
+      ])
+
+      const challenge = Buffer.from('hello world')
+      const identity = Buffer.from('bob')
+
+      for (const method of ['ed25519', 'p256', 'p384']) {
+        const response = await key.ISO97982PassUnilateralAuthAsymmetric(challenge, identity, method)
+        const authKey = await key.ISO9798AsymmetricKey(method)
+
+        const valid = await mfkdf.auth.VerifyISO97982PassUnilateralAuthAsymmetric(challenge, identity, response, authKey, method)
+        valid.should.be.true
+      }
+    })
+
     test('ISO97982PassUnilateralAuthCCF', async () => {
       const key = await mfkdf.setup.key([
         await mfkdf.setup.factors.password('password1', { id: 'password1' })
@@ -127,6 +150,22 @@ suite('authentication', () => {
       valid.should.be.true
     })
 
+    test('ISO97981PassUnilateralAuthAsymmetric/methods', async () => {
+      const key = await mfkdf.setup.key([
+        await mfkdf.setup.factors.password('password1', { id: 'password1' })
+      ])
+
+      const identity = Buffer.from('bob')
+
+      for (const method of ['ed25519', 'p256']) {
+        const response = await key.ISO97981PassUnilateralAuthAsymmetric(identity, method)
+        const authKey = await key.ISO9798AsymmetricKey(method)
+
+        const valid = await mfkdf.auth.VerifyISO97981PassUnilateralAuthAsymmetric(identity, response, authKey, 5, method)
+        valid.should.be.true
+      }
+    })
+
     test('ISO97981PassUnilateralAuthCCF', async () => {
       const key = await mfkdf.setup.key([
         await mfkdf.setup.factors.password('password1', { id: 'password1' })
@@ -181,6 +220,30 @@ suite('authentication', () => {
       valid.should.be.false
     })
 
+    test('ISO97982PassUnilateralAuthAsymmetric/methods', async () => {
+      const key = await mfkdf.setup.key([
+        await mfkdf.setup.factors.password('password1', { id: 'password1' })
+      ])
+
+      const key2 = await mfkdf.setup.key([
+        await mfkdf.setup.factors.password('password2', { id: 'password2' })
+      ])
+
+      const challenge = Buffer.from('hello world')
+      const identity = Buffer.from('bob')
+
+      for (const method of ['ed25519', 'p256']) {
+        const response = await key.ISO97982PassUnilateralAuthAsymmetric(challenge, identity, method)
+        const authKey = await key2.ISO9798AsymmetricKey(method)
+
+        const valid = await mfkdf.auth.VerifyISO97982PassUnilateralAuthAsymmetric(challenge, identity, response, authKey, method)
+        valid.should.be.false
+      }
+
+      await mfkdf.auth.VerifyISO97982PassUnilateralAuthAsymmetric(challenge, identity, Buffer.alloc(64), Buffer.alloc(32), 'dsa').should.be.rejectedWith(RangeError)
+      await mfkdf.auth.VerifyISO97982PassUnilateralAuthAsymmetric(challenge, identity, Buffer.alloc(64), Buffer.alloc(32), 256).should.be.rejectedWith(TypeError)
+    })
+
     test('ISO97982PassUnilateralAuthCCF', async () => {
       const key = await mfkdf.setup.key([
         await mfkdf.setup.factors.password('password1', { id: 'password1' })
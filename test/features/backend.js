@@ -0,0 +1,271 @@
+/* eslint no-unused-expressions: "off" */
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+chai.should()
+
+const mfkdf = require('../../src')
+const { stretch } = require('../../src/secrets/weights')
+const { suite, test, afterEach } = require('mocha')
+const { EventEmitter } = require('events')
+
+// a Web Worker run on this thread by the given backend module, which only exchanges structured clones
+function webWorker (backend, urls) {
+  return class {
+    constructor (url) {
+      urls.push(url)
+      this.scope = new EventTarget()
+      this.scope.postMessage = (data) => setImmediate(() => this.onmessage({ data: structuredClone(data) }))
+      backend.serve(this.scope)
+    }
+
+    postMessage (data) {
+      this.scope.dispatchEvent(new MessageEvent('message', { data: structuredClone(data) }))
+    }
+
+    terminate () {}
+  }
+}
+
+suite('backend', () => {
+  afterEach(async () => {
+    mfkdf.backend.set('inline')
+    await mfkdf.backend.terminate()
+  })
+
+  test('kdf', async () => {
+    const configs = [
+      mfkdf.setup.kdf({ kdf: 'hkdf' }),
+      mfkdf.setup.kdf({ kdf: 'pbkdf2', pbkdf2rounds: 1000 }),
+      mfkdf.setup.kdf({ kdf: 'bcrypt', bcryptrounds: 4 }),
+      mfkdf.setup.kdf({ kdf: 'scrypt', scryptcost: 1024 }),
+      mfkdf.setup.kdf({ kdf: 'argon2id' }),
+      mfkdf.setup.kdf({ kdf: 'argon2id-v2' })
+    ]
+
+    for (const config of configs) {
+      const inline = await mfkdf.kdf(Buffer.from('ff00fe80', 'hex'), 'somesalt', 32, config, 'inline')
+      const worker = await mfkdf.kdf(Buffer.from('ff00fe80', 'hex'), 'somesalt', 32, config, 'worker')
+      worker.toString('hex').should.equal(inline.toString('hex'))
+    }
+  })
+
+  test('key', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' }),
+      await mfkdf.setup.factors.hotp({ secret: Buffer.from('hello world') })
+    ], { backend: 'worker' })
+
+    const inline = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('password1'),
+      hotp: mfkdf.derive.factors.hotp(365287)
+    })
+    inline.key.toString('hex').should.equal(setup.key.toString('hex'))
+
+    const worker = await mfkdf.derive.key(inline.policy, {
+      password1: mfkdf.derive.factors.password('password1'),
+      hotp: mfkdf.derive.factors.hotp(891649)
+    }, { backend: 'worker' })
+    worker.key.toString('hex').should.equal(setup.key.toString('hex'))
+  })
+
+  test('global', async () => {
+    mfkdf.backend.get().should.equal('inline')
+    mfkdf.backend.set('worker', { threads: 2 })
+    mfkdf.backend.get().should.equal('worker')
+
+    const config = mfkdf.setup.kdf({ kdf: 'pbkdf2', pbkdf2rounds: 1000 })
+    const expected = await mfkdf.kdf('password', 'somesalt', 32, config, 'inline')
+
+    // more jobs than workers are queued
+    const results = await Promise.all([1, 2, 3, 4, 5].map(() => mfkdf.kdf('password', 'somesalt', 32, config)))
+    for (const result of results) result.toString('hex').should.equal(expected.toString('hex'))
+
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' })
+    ], { kdf: 'pbkdf2', pbkdf2rounds: 1000 })
+    const derive = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('password1')
+    }, { backend: 'inline' })
+    derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+
+    mfkdf.backend.set()
+    mfkdf.backend.get().should.equal('inline')
+  })
+
+  test('errors', async () => {
+    await mfkdf.kdf('password', 'somesalt', 32, { type: 'foo', params: {} }, 'worker').should.be.rejectedWith(RangeError)
+    await mfkdf.kdf('password', 'somesalt', 32, mfkdf.setup.kdf({ argon2mem: 1 }), 'worker').should.be.rejectedWith(Error)
+    await mfkdf.kdf('password', 'somesalt', 32, mfkdf.setup.kdf({}), 'gpu').should.be.rejectedWith(RangeError)
+    await mfkdf.kdf('password', 'somesalt', 32, mfkdf.setup.kdf({}), 1).should.be.rejectedWith(TypeError);
+
+    (() => mfkdf.backend.set('gpu')).should.throw(RangeError);
+    (() => mfkdf.backend.set(1)).should.throw(TypeError);
+    (() => mfkdf.backend.set('worker', { threads: 'many' })).should.throw(TypeError);
+    (() => mfkdf.backend.set('worker', { threads: 0 })).should.throw(RangeError);
+    (() => mfkdf.backend.set('worker', { url: 1 })).should.throw(TypeError)
+
+    // browsers need the url of a worker script when mfkdf was not loaded from one
+    await mfkdf.backend.terminate()
+    global.window = { Worker: webWorker(mfkdf.backend, []) }
+    try {
+      await mfkdf.kdf('password', 'somesalt', 32, mfkdf.setup.kdf({}), 'worker').should.be.rejectedWith(RangeError)
+    } finally {
+      delete global.window
+    }
+  })
+
+  test('web', async () => {
+    const urls = []
+    global.window = { Worker: webWorker(mfkdf.backend, urls) }
+    try {
+      mfkdf.backend.set('worker', { threads: 2, url: 'mfkdf.worker.js' })
+
+      for (const config of [mfkdf.setup.kdf({ kdf: 'pbkdf2', pbkdf2rounds: 1000 }), mfkdf.setup.kdf({ kdf: 'argon2id' })]) {
+        const inline = await mfkdf.kdf(Buffer.from('ff00fe80', 'hex'), 'somesalt', 32, config, 'inline')
+        const worker = await mfkdf.kdf(Buffer.from('ff00fe80', 'hex'), 'somesalt', 32, config)
+        worker.toString('hex').should.equal(inline.toString('hex'))
+      }
+
+      // weighted shares are stretched on the workers too
+      const setup = await mfkdf.setup.key([
+        await mfkdf.setup.factors.password('password1', { id: 'password1' }),
+        await mfkdf.setup.factors.password('password2', { id: 'password2' })
+      ], { threshold: 2, weights: { password1: 2 }, kdf: 'pbkdf2', pbkdf2rounds: 1000 })
+      const derive = await mfkdf.derive.key(setup.policy, {
+        password1: mfkdf.derive.factors.password('password1')
+      }, { backend: 'inline' })
+      derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+
+      const stretched = await stretch(Buffer.from('material'), 3, 32)
+      const inline = await stretch(Buffer.from('material'), 3, 32, 'inline')
+      stretched.map(value => value.toString('hex')).should.deep.equal(inline.map(value => value.toString('hex')))
+
+      urls.should.deep.equal(['mfkdf.worker.js', 'mfkdf.worker.js'])
+    } finally {
+      delete global.window
+    }
+  })
+
+  test('web/blob', async () => {
+    // a copy of the backend loaded from a script tag, which its default worker loads in turn
+    const path = require.resolve('../../src/backend')
+    const cached = require.cache[path]
+    delete require.cache[path]
+    global.document = { currentScript: { src: 'https://example.com/mfkdf.js' } }
+    let backend
+    try {
+      backend = require('../../src/backend')
+    } finally {
+      delete global.document
+      require.cache[path] = cached
+    }
+
+    const urls = []
+    const blobs = []
+    global.window = {
+      Worker: webWorker(backend, urls),
+      Blob: require('buffer').Blob,
+      URL: { createObjectURL: (blob) => { blobs.push(blob); return 'blob:mfkdf' } }
+    }
+    try {
+      backend.set('worker', { threads: 2 })
+      const args = ['sha256', Buffer.from('input'), '', '', 16]
+      const results = await Promise.all([1, 2, 3].map(() => backend.run('hkdf', args)))
+      const inline = await backend.run('hkdf', args, 'inline')
+      for (const result of results) result.toString('hex').should.equal(inline.toString('hex'))
+
+      urls.should.deep.equal(['blob:mfkdf', 'blob:mfkdf'])
+      blobs.should.have.length(1)
+      ;(await blobs[0].text()).should.equal('importScripts("https://example.com/mfkdf.js");mfkdf.backend.serve(self)')
+    } finally {
+      await backend.terminate()
+      delete global.window
+    }
+  })
+
+  test('errors/classes', async () => {
+    const workerThreads = require('worker_threads')
+    const Worker = workerThreads.Worker
+    const thrown = []
+
+    // a worker thread whose jobs fail with the next thrown error
+    workerThreads.Worker = class extends EventEmitter {
+      constructor () {
+        super()
+        this.port = new EventEmitter()
+        this.port.postMessage = (message) => this.emit('message', message)
+        mfkdf.backend.serve(this.port)
+      }
+
+      postMessage ({ id }) {
+        const config = { get type () { throw thrown.shift() } }
+        this.port.emit('message', { id, method: 'kdf', args: [Buffer.from('password'), Buffer.from('somesalt'), 16, config] })
+      }
+
+      ref () {}
+      unref () {}
+      async terminate () {}
+    }
+
+    try {
+      const fail = async (error) => {
+        thrown.push(error)
+        return await mfkdf.kdf('password', 'somesalt', 16, {}, 'worker').should.be.rejected
+      }
+
+      const verification = await fail(new mfkdf.errors.FactorVerificationError('message', ['password1', 'password2']))
+      verification.should.be.instanceOf(mfkdf.errors.FactorVerificationError)
+      verification.code.should.equal('ERR_FACTOR_VERIFICATION')
+      verification.factors.should.deep.equal(['password1', 'password2'])
+
+      const policy = await fail(new mfkdf.errors.InvalidPolicyError('message', 'password1'))
+      policy.should.be.instanceOf(mfkdf.errors.InvalidPolicyError)
+      policy.should.be.instanceOf(TypeError)
+      policy.factor.should.equal('password1')
+      policy.message.should.equal('message')
+
+      const custom = await fail(new mfkdf.errors.MFKDFError('message', 'ERR_CUSTOM'))
+      custom.should.be.instanceOf(mfkdf.errors.MFKDFError)
+      custom.code.should.equal('ERR_CUSTOM')
+
+      const range = await fail(new RangeError('message'))
+      range.should.be.instanceOf(RangeError)
+      range.should.not.be.instanceOf(mfkdf.errors.MFKDFError)
+
+      const other = await fail(Object.assign(new Error('message'), { name: 'constructor' }))
+      other.constructor.should.equal(Error)
+    } finally {
+      workerThreads.Worker = Worker
+    }
+  })
+
+  test('terminate', async () => {
+    const config = mfkdf.setup.kdf({ kdf: 'pbkdf2', pbkdf2rounds: 1000 })
+    const pending = [1, 2].map(() => mfkdf.kdf('password', 'somesalt', 32, config, 'worker').should.be.rejectedWith('backend terminated'))
+    await mfkdf.backend.terminate()
+    await Promise.all(pending)
+
+    const result = await mfkdf.kdf('password', 'somesalt', 32, config, 'worker')
+    result.toString('hex').should.equal((await mfkdf.kdf('password', 'somesalt', 32, config, 'inline')).toString('hex'))
+  })
+
+  test('serve', async () => {
+    const port = new EventEmitter()
+    const messages = []
+    port.postMessage = (message) => {
+      messages.push(message)
+      port.emit('reply')
+    }
+    mfkdf.backend.serve(port)
+
+    port.emit('message', { id: 1, method: 'hkdf', args: ['sha256', Buffer.from('input'), '', '', 16] })
+    await new Promise((resolve) => port.once('reply', resolve))
+    messages[0].id.should.equal(1)
+    Buffer.from(messages[0].result).toString('hex').should.equal((await mfkdf.kdf('input', '', 16, { type: 'hkdf', params: { digest: 'sha256' } })).toString('hex'))
+
+    port.emit('message', { id: 2, method: 'kdf', args: [Buffer.from('password'), Buffer.from('somesalt'), 16, { type: 'foo', params: {} }] })
+    await new Promise((resolve) => port.once('reply', resolve))
+    messages[1].should.deep.equal({ id: 2, error: { name: 'RangeError', message: messages[1].error.message } })
+  })
+})
@@ -0,0 +1,134 @@
+/* eslint no-unused-expressions: "off" */
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+chai.should()
+
+const mfkdf = require('../../src')
+const { suite, test } = require('mocha')
+
+suite('check', () => {
+  test('setup', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' }),
+      await mfkdf.setup.factors.password('password2', { id: 'password2' })
+    ], { checkBits: 8 })
+
+    setup.policy.checkBits.should.equal(8)
+    setup.policy.factors[0].check.should.be.below(256)
+    setup.policy.factors[1].check.should.be.below(256)
+
+    const plain = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' })
+    ])
+    plain.policy.should.not.have.property('checkBits')
+    plain.policy.factors[0].should.not.have.property('check')
+  })
+
+  test('incorrect', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' }),
+      await mfkdf.setup.factors.password('password2', { id: 'password2' }),
+      await mfkdf.setup.factors.password('password3', { id: 'password3' })
+    ], { threshold: 2, checkBits: 32 })
+
+    const derive = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('password1'),
+      password2: mfkdf.derive.factors.password('password2')
+    })
+    derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+
+    const error = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('wrong'),
+      password2: mfkdf.derive.factors.password('password2'),
+      password3: mfkdf.derive.factors.password('wrong')
+    }).should.be.rejectedWith(mfkdf.errors.FactorVerificationError)
+    error.factors.should.deep.equal(['password1', 'password3'])
+  })
+
+  test('ignoreInvalid', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' }),
+      await mfkdf.setup.factors.hotp({ secret: Buffer.from('hello world') }),
+      await mfkdf.setup.factors.password('password3', { id: 'password3' })
+    ], { threshold: 2, checkBits: 32 })
+
+    const derive = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('password1'),
+      hotp: mfkdf.derive.factors.hotp(123456),
+      password3: mfkdf.derive.factors.password('password3')
+    }, { ignoreInvalid: true })
+    derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+
+    // skipped factors are not updated
+    derive.policy.factors[1].params.counter.should.equal(1)
+
+    const error = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('password1'),
+      hotp: mfkdf.derive.factors.hotp(123456)
+    }, { ignoreInvalid: true }).should.be.rejectedWith(mfkdf.errors.FactorVerificationError)
+    error.factors.should.deep.equal(['hotp'])
+  })
+
+  test('skew', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.totp({
+        secret: Buffer.from('hello world'),
+        time: 1650430806597
+      })
+    ], { checkBits: 16 })
+
+    const policy = JSON.parse(JSON.stringify(setup.policy))
+    delete policy.hmac
+
+    // check values identify the matching step even without an integrity tag
+    const derive = await mfkdf.derive.key(policy, {
+      totp: mfkdf.derive.factors.totp(528258, { time: 1650430943604 + 30000, skew: 1 })
+    })
+    derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+  })
+
+  test('reconstitution', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' }),
+      await mfkdf.setup.factors.password('password2', { id: 'password2' }),
+      await mfkdf.setup.factors.password('password3', { id: 'password3' })
+    ], { checkBits: 32 })
+
+    await setup.setThreshold(2)
+    await setup.recoverFactor(await mfkdf.setup.factors.password('password4', { id: 'password2' }))
+
+    const derive = await mfkdf.derive.key(setup.policy, {
+      password2: mfkdf.derive.factors.password('password4'),
+      password3: mfkdf.derive.factors.password('password3')
+    })
+    derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+
+    await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('password1'),
+      password2: mfkdf.derive.factors.password('password2')
+    }).should.be.rejectedWith(mfkdf.errors.FactorVerificationError)
+  })
+
+  test('entropy', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.uuid({ uuid: '9b1deb4d-3b7d-4bad-9bdd-2b0d7b3dcb6d' })
+    ], { checkBits: 8 })
+
+    setup.entropyBits.real.should.equal(122 - 8)
+  })
+
+  suite('errors', () => {
+    test('checkBits/type', async () => {
+      await mfkdf.setup.key([
+        await mfkdf.setup.factors.password('password1')
+      ], { checkBits: 'hello' }).should.be.rejectedWith(TypeError)
+    })
+
+    test('checkBits/range', async () => {
+      await mfkdf.setup.key([
+        await mfkdf.setup.factors.password('password1')
+      ], { checkBits: 33 }).should.be.rejectedWith(RangeError)
+    })
+  })
+})
@@ -81,4 +81,88 @@ suite('entropy', () => {
 
     Math.floor(setup.entropyBits.real).should.equal(Math.floor(Math.log2(10 ** 8) * 2))
   })
+
+  suite('analyze', () => {
+    test('policy', async () => {
+      const setup = await mfkdf.policy.setup(
+        await mfkdf.policy.and(
+          await mfkdf.setup.factors.password('Tr0ub4dour&3', { id: 'password1' }),
+          await mfkdf.policy.or(
+            await mfkdf.setup.factors.password('12345678', { id: 'password2' }),
+            await mfkdf.setup.factors.uuid({ id: 'recovery' })
+          )
+        ), { kdf: 'pbkdf2', pbkdf2rounds: 1000 }
+      )
+      const entropies = setup.entropyBits.factors
+      entropies.password2.should.equal(Math.log2(4))
+      entropies.recovery.should.equal(122)
+
+      const analysis = mfkdf.policy.analyze(setup.policy, entropies)
+      analysis.path.should.deep.equal(['password2', 'password1'])
+      analysis.factor.should.equal('password2')
+      analysis.bits.should.equal(entropies.password1 + entropies.password2)
+      Math.floor(analysis.bits).should.equal(Math.floor(setup.entropyBits.real))
+
+      // pbkdf2 at the top, hkdf for both stacked keys
+      analysis.work.should.equal(Math.log2(1000 + 2))
+      analysis.memory.should.equal(0)
+      analysis.cost.should.equal(analysis.bits - 1 + analysis.work)
+    })
+
+    test('weakest', async () => {
+      const factors = {}
+      for (const id of ['a', 'b', 'c']) factors[id] = await mfkdf.setup.factors.password('password', { id })
+      const setup = await mfkdf.policy.setup(await mfkdf.policy.parse('a & (b & c)', factors), { kdf: 'hkdf' })
+
+      const analysis = mfkdf.policy.analyze(setup.policy, { a: 20, b: 5, c: 30 })
+      analysis.path.should.deep.equal(['a', 'b', 'c'])
+      analysis.factor.should.equal('b')
+      analysis.bits.should.equal(55)
+    })
+
+    test('kdf', async () => {
+      const factors = [await mfkdf.setup.factors.password('password1', { id: 'password1' })]
+      const expected = {
+        hkdf: { work: 0, memory: 0 },
+        pbkdf2: { work: Math.log2(310000), memory: 0 },
+        bcrypt: { work: 10, memory: 4096 },
+        scrypt: { work: Math.log2(16384 * 8), memory: 128 * 16384 * 8 },
+        'argon2id-v2': { work: Math.log2(2 * 24576), memory: 24576 * 1024 }
+      }
+
+      for (const [type, { work, memory }] of Object.entries(expected)) {
+        const policy = JSON.parse(JSON.stringify((await mfkdf.setup.key(factors, { kdf: 'hkdf' })).policy))
+        policy.kdf = mfkdf.setup.kdf({ kdf: type })
+        const analysis = mfkdf.policy.analyze(policy, { password1: 20 })
+        analysis.work.should.equal(work)
+        analysis.memory.should.equal(memory)
+        analysis.cost.should.equal(19 + work)
+      }
+    })
+
+    test('threshold', async () => {
+      const setup = await mfkdf.setup.key([
+        await mfkdf.setup.factors.password('12345678', { id: 'password1' }),
+        await mfkdf.setup.factors.password('ABCDEFGH', { id: 'password2' }),
+        await mfkdf.setup.factors.uuid({ id: 'recovery' })
+      ], { threshold: 2, size: 8, kdf: 'hkdf', checkBits: 1 })
+      setup.entropyBits.factors.should.deep.equal({ password1: 1, password2: Math.log2(33) - 1, recovery: 121 })
+
+      const analysis = mfkdf.policy.analyze(setup.policy, setup.entropyBits.factors)
+      analysis.path.should.deep.equal(['password1', 'password2'])
+      analysis.bits.should.equal(setup.entropyBits.real)
+
+      // capped at the key size
+      mfkdf.policy.analyze(setup.policy, { password1: 50, password2: 60, recovery: 70 }).bits.should.equal(64)
+      mfkdf.policy.analyze(setup.policy, { password1: 0, password2: 0, recovery: 0 }).cost.should.equal(0)
+    })
+
+    test('invalid', async () => {
+      const setup = await mfkdf.setup.key([
+        await mfkdf.setup.factors.password('password1', { id: 'password1' })
+      ], { kdf: 'hkdf' })
+      ;(() => mfkdf.policy.analyze(setup.policy)).should.throw(TypeError);
+      (() => mfkdf.policy.analyze(setup.policy, {})).should.throw(RangeError)
+    })
+  })
 })
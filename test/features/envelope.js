@@ -64,6 +64,50 @@ suite('enveloping', () => {
     key14.export({ format: 'jwk' }).should.deep.equal(key24.export({ format: 'jwk' }))
   })
 
+  test('authenticated', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' })
+    ])
+
+    await setup.addEnvelopedSecret('key1', Buffer.from('12345678'))
+    await setup.addEnvelopedSecret('key2', Buffer.from('87654321'))
+
+    // swapping ciphertexts between envelopes is detected
+    const policy = JSON.parse(JSON.stringify(setup.policy))
+    const value = policy.secrets[0].value
+    policy.secrets[0].value = policy.secrets[1].value
+    policy.secrets[1].value = value
+
+    const derive = await mfkdf.derive.key(policy, {
+      password1: mfkdf.derive.factors.password('password1')
+    })
+
+    await derive.getEnvelopedSecret('key1').should.be.rejectedWith(RangeError)
+
+    // modifying ciphertexts is detected
+    const ct = Buffer.from(value, 'base64')
+    ct[ct.length - 1] ^= 1
+    derive.policy.secrets[1].value = ct.toString('base64')
+    await derive.getEnvelopedSecret('key2').should.be.rejectedWith(RangeError)
+  })
+
+  test('legacy', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' })
+    ])
+
+    // enveloped secret created with AES-256-CBC by previous versions
+    const ct = await setup.encrypt(Buffer.from('12345678'))
+    setup.policy.secrets = [{ id: 'key', value: ct.toString('base64'), type: 'raw' }]
+
+    const derive = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('password1')
+    })
+
+    const output = await derive.getEnvelopedSecret('key')
+    output.toString().should.equal('12345678')
+  })
+
   suite('errors', () => {
     suite('addEnvelopedSecret', () => {
       test('id/type', async () => {
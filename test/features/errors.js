@@ -0,0 +1,164 @@
+/* eslint no-unused-expressions: "off" */
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+chai.should()
+
+const mfkdf = require('../../src')
+const { suite, test } = require('mocha')
+
+const { MFKDFError, InsufficientFactorsError, InvalidPolicyError, FactorWindowExpiredError, WrongFactorTypeError, PolicyIntegrityError, FactorVerificationError, TooManyCandidatesError } = mfkdf.errors
+
+suite('errors', () => {
+  test('hierarchy', () => {
+    const errors = [
+      [new InsufficientFactorsError('message', 'id'), RangeError, 'ERR_INSUFFICIENT_FACTORS'],
+      [new InvalidPolicyError('message', 'id'), TypeError, 'ERR_INVALID_POLICY'],
+      [new FactorWindowExpiredError('message', 'id'), RangeError, 'ERR_FACTOR_WINDOW_EXPIRED'],
+      [new WrongFactorTypeError('message', 'id'), TypeError, 'ERR_WRONG_FACTOR_TYPE'],
+      [new PolicyIntegrityError('message'), Error, 'ERR_POLICY_INTEGRITY'],
+      [new FactorVerificationError('message', ['id']), Error, 'ERR_FACTOR_VERIFICATION'],
+      [new TooManyCandidatesError('message', 'id'), RangeError, 'ERR_TOO_MANY_CANDIDATES']
+    ]
+
+    for (const [error, base, code] of errors) {
+      error.should.be.instanceOf(MFKDFError)
+      error.should.be.instanceOf(base)
+      error.should.be.instanceOf(error.constructor)
+      error.name.should.equal(error.constructor.name)
+      error.code.should.equal(code)
+      error.message.should.equal('message')
+    }
+
+    errors[0][0].factor.should.equal('id')
+    errors[4][0].should.not.be.instanceOf(FactorVerificationError)
+
+    const base = new MFKDFError('message')
+    base.code.should.equal('ERR_MFKDF')
+    base.name.should.equal('MFKDFError')
+    base.should.be.instanceOf(Error);
+
+    (new RangeError('message')).should.not.be.instanceOf(MFKDFError);
+    (null instanceof MFKDFError).should.be.false
+  })
+
+  test('derive/insufficient', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' }),
+      await mfkdf.setup.factors.password('password2', { id: 'password2' })
+    ])
+
+    const error = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('password1'),
+      password3: mfkdf.derive.factors.password('password3')
+    }).should.be.rejectedWith(InsufficientFactorsError)
+    error.code.should.equal('ERR_INSUFFICIENT_FACTORS')
+  })
+
+  test('derive/policy', async () => {
+    const error = await mfkdf.derive.key({ factors: [] }, {}).should.be.rejectedWith(InvalidPolicyError)
+    error.code.should.equal('ERR_INVALID_POLICY')
+  })
+
+  test('derive/type', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' })
+    ])
+
+    const error = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.uuid('9b1deb4d-3b7d-4bad-9bdd-2b0d7b3dcb6d')
+    }).should.be.rejectedWith(WrongFactorTypeError)
+    error.factor.should.equal('password1')
+  })
+
+  test('derive/window', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.totp({
+        id: 'phone',
+        secret: Buffer.from('hello world'),
+        time: 1650430806597,
+        window: 10
+      })
+    ])
+
+    const error = await mfkdf.derive.key(setup.policy, {
+      phone: mfkdf.derive.factors.totp(528258, { time: 1750430943604 })
+    }).should.be.rejectedWith(FactorWindowExpiredError)
+    error.factor.should.equal('phone')
+    error.code.should.equal('ERR_FACTOR_WINDOW_EXPIRED')
+  })
+
+  test('derive/other', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' })
+    ])
+
+    const error = await mfkdf.derive.key(setup.policy, {
+      password1: async () => { throw new TypeError('message') }
+    }).should.be.rejectedWith(TypeError)
+    error.should.not.be.instanceOf(MFKDFError)
+    error.should.not.have.property('factor')
+  })
+
+  test('stack', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.stack([
+        await mfkdf.setup.factors.password('password1', { id: 'password1' }),
+        await mfkdf.setup.factors.password('password2', { id: 'password2' })
+      ], { id: 'stack' }),
+      await mfkdf.setup.factors.password('password3', { id: 'password3' })
+    ], { threshold: 1 })
+
+    const error = await mfkdf.derive.key(setup.policy, {
+      stack: mfkdf.derive.factors.stack({
+        password1: mfkdf.derive.factors.password('password1')
+      })
+    }).should.be.rejectedWith(InsufficientFactorsError)
+    error.factor.should.equal('stack')
+  })
+
+  test('policy', async () => {
+    const setup = await mfkdf.policy.setup(
+      await mfkdf.policy.and(
+        await mfkdf.setup.factors.password('password1', { id: 'password1' }),
+        await mfkdf.setup.factors.password('password2', { id: 'password2' })
+      )
+    )
+
+    await mfkdf.policy.derive(setup.policy, {
+      password1: mfkdf.derive.factors.password('password1')
+    }).should.be.rejectedWith(InsufficientFactorsError)
+
+    const policy = JSON.parse(JSON.stringify(setup.policy))
+    policy.factors[0].params.factors[1].id = 'password1'
+    await mfkdf.policy.derive(policy, {
+      password1: mfkdf.derive.factors.password('password1')
+    }).should.be.rejectedWith(InvalidPolicyError)
+  })
+
+  test('setup', async () => {
+    // an impossible threshold is an invalid argument, not a missing factor
+    const error1 = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1')
+    ], { threshold: 2 }).should.be.rejectedWith(RangeError)
+    error1.should.not.be.instanceOf(MFKDFError)
+
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' })
+    ])
+    const error2 = await setup.setThreshold(2).should.be.rejectedWith(RangeError)
+    error2.should.not.be.instanceOf(MFKDFError)
+  })
+
+  test('secrets', () => {
+    const shares = mfkdf.secrets.share(Buffer.from('hello world'), 2, 3);
+
+    (() => {
+      mfkdf.secrets.combine([shares[0], null, null], 2, 3)
+    }).should.throw(InsufficientFactorsError);
+
+    (() => {
+      mfkdf.secrets.recover([shares[0], null, null], 2, 3)
+    }).should.throw(InsufficientFactorsError)
+  })
+})
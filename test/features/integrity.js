@@ -0,0 +1,204 @@
+/* eslint no-unused-expressions: "off" */
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+chai.should()
+
+const mfkdf = require('../../src')
+const { suite, test } = require('mocha')
+
+suite('integrity', () => {
+  test('setup', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' }),
+      await mfkdf.setup.factors.password('password2', { id: 'password2' })
+    ], { threshold: 1 })
+
+    setup.policy.hmac.should.be.a('string')
+    mfkdf.policy.verifyIntegrity(setup.policy, setup.key).should.be.true
+    mfkdf.policy.integrity(setup.policy, setup.key).should.equal(setup.policy.hmac)
+
+    const json = JSON.parse(JSON.stringify(setup.policy))
+    mfkdf.policy.verifyIntegrity(json, setup.key).should.be.true
+
+    const reordered = Object.fromEntries(Object.entries(json).reverse())
+    mfkdf.policy.verifyIntegrity(reordered, setup.key).should.be.true
+
+    mfkdf.policy.verifyIntegrity(setup.policy, Buffer.alloc(32)).should.be.false
+  })
+
+  test('tampering', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' }),
+      await mfkdf.setup.factors.hotp({ secret: Buffer.from('hello world') }),
+      await mfkdf.setup.factors.totp({ secret: Buffer.from('hello world'), time: 1650430806597, window: 3 })
+    ], { threshold: 2 })
+
+    const modifications = [
+      (policy) => { policy.threshold = 1 },
+      (policy) => { policy.kdf.params.rounds = 1 },
+      (policy) => { policy.salt = Buffer.alloc(32).toString('base64') },
+      (policy) => { policy.factors[0].pad = Buffer.alloc(32).toString('base64') },
+      (policy) => { policy.factors[1].params.offset += 1 },
+      (policy) => { policy.factors[2].params.offsets = Buffer.alloc(12).toString('base64') },
+      (policy) => { policy.factors.pop() },
+      (policy) => { policy.secrets = [] },
+      (policy) => { policy.hmac = Buffer.alloc(32).toString('base64') },
+      (policy) => { policy.hmac = 'AAAA' },
+      (policy) => { delete policy.hmac }
+    ]
+
+    for (const modify of modifications) {
+      const policy = JSON.parse(JSON.stringify(setup.policy))
+      modify(policy)
+      mfkdf.policy.verifyIntegrity(policy, setup.key).should.be.false
+    }
+  })
+
+  test('derive', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' }),
+      await mfkdf.setup.factors.hmacsha1()
+    ], { threshold: 1 })
+
+    const derive1 = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('password1')
+    }, { verify: true })
+
+    derive1.key.toString('hex').should.equal(setup.key.toString('hex'))
+    mfkdf.policy.verifyIntegrity(derive1.policy, derive1.key).should.be.true
+
+    const tampered = JSON.parse(JSON.stringify(derive1.policy))
+    tampered.factors[1].params.pad = Buffer.alloc(20).toString('hex')
+
+    await mfkdf.derive.key(tampered, {
+      password1: mfkdf.derive.factors.password('password1')
+    }, { verify: true }).should.be.rejectedWith(mfkdf.errors.PolicyIntegrityError)
+
+    derive1.integrity.should.be.true
+    const derive2 = await mfkdf.derive.key(tampered, {
+      password1: mfkdf.derive.factors.password('password1')
+    })
+    derive2.key.toString('hex').should.equal(setup.key.toString('hex'))
+    derive2.integrity.should.be.false
+
+    // the tampered policy is not re-tagged, so it stays detectable after an ordinary derive
+    derive2.policy.hmac.should.equal(tampered.hmac)
+    mfkdf.policy.verifyIntegrity(derive2.policy, derive2.key).should.be.false
+    await mfkdf.derive.key(derive2.policy, {
+      password1: mfkdf.derive.factors.password('password1')
+    }, { verify: true }).should.be.rejectedWith(mfkdf.errors.PolicyIntegrityError)
+  })
+
+  test('untagged', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' })
+    ])
+
+    const policy = JSON.parse(JSON.stringify(setup.policy))
+    delete policy.hmac
+
+    await mfkdf.derive.key(policy, {
+      password1: mfkdf.derive.factors.password('password1')
+    }, { verify: true }).should.be.rejectedWith(mfkdf.errors.PolicyIntegrityError)
+
+    // untagged policies are tagged, but were not verified
+    const derive = await mfkdf.derive.key(policy, {
+      password1: mfkdf.derive.factors.password('password1')
+    })
+    derive.integrity.should.be.false
+    mfkdf.policy.verifyIntegrity(derive.policy, setup.key).should.be.true
+  })
+
+  test('incorrect factors', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' })
+    ])
+
+    await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('password2')
+    }, { verify: true }).should.be.rejectedWith(mfkdf.errors.PolicyIntegrityError)
+  })
+
+  test('reconstitution', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' }),
+      await mfkdf.setup.factors.password('password2', { id: 'password2' }),
+      await mfkdf.setup.factors.password('password3', { id: 'password3' })
+    ])
+
+    await setup.setThreshold(2)
+    mfkdf.policy.verifyIntegrity(setup.policy, setup.key).should.be.true
+
+    await setup.recoverFactor(await mfkdf.setup.factors.password('password4', { id: 'password2' }))
+    mfkdf.policy.verifyIntegrity(setup.policy, setup.key).should.be.true
+
+    const derive = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('password1'),
+      password2: mfkdf.derive.factors.password('password4')
+    }, { verify: true })
+    derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+  })
+
+  test('envelope', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' })
+    ])
+
+    await setup.addEnvelopedSecret('secret1', Buffer.from('hello'))
+    await setup.addEnvelopedSecret('secret2', Buffer.from('world'))
+    mfkdf.policy.verifyIntegrity(setup.policy, setup.key).should.be.true
+
+    setup.removeEnvelopedSecret('secret1')
+    mfkdf.policy.verifyIntegrity(setup.policy, setup.key).should.be.true
+
+    const derive = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('password1')
+    }, { verify: true })
+    const secret = await derive.getEnvelopedSecret('secret2')
+    secret.toString().should.equal('world')
+  })
+
+  test('policy', async () => {
+    const setup = await mfkdf.policy.setup(
+      await mfkdf.policy.and(
+        await mfkdf.setup.factors.password('passwordA', { id: 'passwordA' }),
+        await mfkdf.policy.or(
+          await mfkdf.setup.factors.password('passwordB', { id: 'passwordB' }),
+          await mfkdf.setup.factors.password('passwordC', { id: 'passwordC' })
+        )
+      )
+    )
+
+    const derive = await mfkdf.policy.derive(setup.policy, {
+      passwordA: mfkdf.derive.factors.password('passwordA'),
+      passwordC: mfkdf.derive.factors.password('passwordC')
+    }, { verify: true })
+    derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+
+    // nested stack policies are covered by the outer tag
+    const tampered = JSON.parse(JSON.stringify(setup.policy))
+    tampered.factors[0].params.factors[1].params.threshold = 2
+    mfkdf.policy.verifyIntegrity(tampered, setup.key).should.be.false
+  })
+
+  suite('errors', () => {
+    test('policy/type', () => {
+      (() => {
+        mfkdf.policy.integrity(null, Buffer.alloc(32))
+      }).should.throw(TypeError)
+    })
+
+    test('key/type', () => {
+      (() => {
+        mfkdf.policy.verifyIntegrity({}, 'key')
+      }).should.throw(TypeError)
+    })
+
+    test('name', () => {
+      const error = new mfkdf.errors.PolicyIntegrityError('message')
+      error.should.be.instanceOf(Error)
+      error.name.should.equal('PolicyIntegrityError')
+    })
+  })
+})
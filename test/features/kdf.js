@@ -6,6 +6,7 @@ chai.should()
 
 const mfkdf = require('../../src')
 const { suite, test } = require('mocha')
+const crypto = require('crypto')
 
 suite('kdf', () => {
   test('types', async () => {
@@ -150,6 +151,69 @@ suite('kdf', () => {
     key.toString('hex').should.equal('5c12c6873b938cd8467b677d23e525389e3ff7ed62b4ad9e285e1191244f40ca')
   })
 
+  test('argon2i-v2', async () => {
+    const key = await mfkdf.kdf('password', 'somesalt', 32, mfkdf.setup.kdf({ kdf: 'argon2i-v2' }))
+    key.toString('hex').should.equal('7357892df510f136a0688ceab37bbaf7ba695de590065072717fa6728961c92a')
+    const binary = await mfkdf.kdf(Buffer.from('ff00fe80c0c1f5deadbeef', 'hex'), Buffer.from('8081828384858687', 'hex'), 32, mfkdf.setup.kdf({ kdf: 'argon2i-v2' }))
+    binary.toString('hex').should.equal('cceb452d75ccd2daeecd2cbc26e2d62436969e4d6d086ec2f16d047112654f88')
+  })
+
+  test('argon2d-v2', async () => {
+    const key = await mfkdf.kdf('password', 'somesalt', 32, mfkdf.setup.kdf({ kdf: 'argon2d-v2' }))
+    key.toString('hex').should.equal('423b0dcc7bbfe16fa8ee7a2e2ebd8891873d726f9dfe70890a7197a5503a2848')
+    const binary = await mfkdf.kdf(Buffer.from('ff00fe80c0c1f5deadbeef', 'hex'), Buffer.from('8081828384858687', 'hex'), 32, mfkdf.setup.kdf({ kdf: 'argon2d-v2' }))
+    binary.toString('hex').should.equal('50fad739ced9f2a4c59e88229f208184505e20b0f89450a40e24549ca711dfe3')
+  })
+
+  test('argon2id-v2', async () => {
+    const key = await mfkdf.kdf('password', 'somesalt', 32, mfkdf.setup.kdf({ kdf: 'argon2id-v2' }))
+    key.toString('hex').should.equal('5cddd5b69d1fe5d83bc3e04e9122f05d9b2128a194cb739baf74679875c4b3a1')
+    const binary = await mfkdf.kdf(Buffer.from('ff00fe80c0c1f5deadbeef', 'hex'), Buffer.from('8081828384858687', 'hex'), 32, mfkdf.setup.kdf({ kdf: 'argon2id-v2' }))
+    binary.toString('hex').should.equal('1561d536da0ff8bd883f1cb90df991eb0042aab6a48a26b42e4f784b01cf1a2b')
+  })
+
+  test('argon2id/binary', async () => {
+    // legacy argon2 decodes input as utf-8, so distinct invalid sequences collide
+    const binary = await mfkdf.kdf(Buffer.from('ff00fe80c0c1f5deadbeef', 'hex'), Buffer.from('8081828384858687', 'hex'), 32, mfkdf.setup.kdf({ kdf: 'argon2id' }))
+    binary.toString('hex').should.equal('1fa58b00cb15479aaf55207ecbdf3fa75b8640d4e6118616b2c55f88974480ca')
+
+    const a = await mfkdf.kdf(Buffer.from('ff', 'hex'), 'somesalt', 32, mfkdf.setup.kdf({ kdf: 'argon2id' }))
+    const b = await mfkdf.kdf(Buffer.from('fe', 'hex'), 'somesalt', 32, mfkdf.setup.kdf({ kdf: 'argon2id' }))
+    a.toString('hex').should.equal(b.toString('hex'))
+
+    const c = await mfkdf.kdf(Buffer.from('ff', 'hex'), 'somesalt', 32, mfkdf.setup.kdf({ kdf: 'argon2id-v2' }))
+    const d = await mfkdf.kdf(Buffer.from('fe', 'hex'), 'somesalt', 32, mfkdf.setup.kdf({ kdf: 'argon2id-v2' }))
+    c.toString('hex').should.not.equal(d.toString('hex'))
+  })
+
+  test('argon2id-v2/salt', async () => {
+    const key = await mfkdf.kdf('password', Buffer.from('12345678', 'base64'), 32, mfkdf.setup.kdf({ kdf: 'argon2id-v2' }))
+    const expanded = await mfkdf.kdf('password', crypto.createHash('sha256').update(Buffer.from('12345678', 'base64')).digest(), 32, mfkdf.setup.kdf({ kdf: 'argon2id-v2' }))
+    key.toString('hex').should.equal(expanded.toString('hex'))
+  })
+
+  test('argon2id/invalid', async () => {
+    await mfkdf.kdf('password', 'somesalt', 32, mfkdf.setup.kdf({ kdf: 'argon2id-v2', argon2mem: 1 })).should.be.rejected
+  })
+
+  test('argon2id/policy', async () => {
+    const legacy = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1')
+    ], { kdf: 'argon2id' })
+    legacy.policy.kdf.type.should.equal('argon2id')
+
+    const derived = await mfkdf.derive.key(legacy.policy, { password: mfkdf.derive.factors.password('password1') })
+    derived.key.toString('hex').should.equal(legacy.key.toString('hex'))
+
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1')
+    ])
+    setup.policy.kdf.type.should.equal('argon2id-v2')
+
+    const derive = await mfkdf.derive.key(setup.policy, { password: mfkdf.derive.factors.password('password1') })
+    derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+  })
+
   test('default', async () => {
     const key = await mfkdf.kdf('password', 'somesalt', 32, mfkdf.setup.kdf({}))
     key.toString('hex').should.equal('5cddd5b69d1fe5d83bc3e04e9122f05d9b2128a194cb739baf74679875c4b3a1')
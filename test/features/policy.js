@@ -290,4 +290,195 @@ suite('policy', () => {
       }).should.be.rejectedWith(RangeError)
     })
   })
+
+  suite('expression', () => {
+    test('parse', async () => {
+      const factors = [
+        await mfkdf.setup.factors.password('password', { id: 'password' }),
+        await mfkdf.setup.factors.hotp({ secret: Buffer.from('hello world') }),
+        await mfkdf.setup.factors.uuid({ id: 'r1', uuid: '9b1deb4d-3b7d-4bad-9bdd-2b0d7b3dcb6d' }),
+        await mfkdf.setup.factors.uuid({ id: 'r2', uuid: '6ec0bd7f-11c0-43da-975e-2a8ad9ebae0b' }),
+        await mfkdf.setup.factors.uuid({ id: 'r3', uuid: '1b9d6bcd-bbfd-4b2d-9b5d-ab8dfbbd4bed' })
+      ]
+      const setup = await mfkdf.policy.setup(await mfkdf.policy.parse('password & (hotp | atLeast(2, r1, r2, r3))', factors))
+
+      mfkdf.policy.toExpression(setup.policy).should.equal('password & (hotp | atLeast(2, r1, r2, r3))')
+      mfkdf.policy.evaluate(setup.policy, ['password', 'hotp']).should.be.true
+      mfkdf.policy.evaluate(setup.policy, ['password', 'r1']).should.be.false
+      mfkdf.policy.evaluate(setup.policy, ['hotp', 'r1', 'r2']).should.be.false
+
+      const derive = await mfkdf.policy.derive(setup.policy, {
+        password: mfkdf.derive.factors.password('password'),
+        r1: mfkdf.derive.factors.uuid('9b1deb4d-3b7d-4bad-9bdd-2b0d7b3dcb6d'),
+        r3: mfkdf.derive.factors.uuid('1b9d6bcd-bbfd-4b2d-9b5d-ab8dfbbd4bed')
+      })
+      derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+    })
+
+    test('logic', async () => {
+      const factors = {}
+      for (const id of ['a', 'b', 'c', 'd']) factors[id] = await mfkdf.setup.factors.password('password', { id })
+
+      // same structure as the logical operators
+      const setup = await mfkdf.policy.setup(await mfkdf.policy.parse('a & b | (c | d)', factors))
+      const policy = setup.policy.factors[0].params
+      policy.threshold.should.equal(1)
+      policy.factors.length.should.equal(2)
+      policy.factors[0].params.threshold.should.equal(2)
+      policy.factors[0].params.factors.map(factor => factor.id).should.deep.equal(['a', 'b'])
+      policy.factors[1].params.threshold.should.equal(1)
+      policy.factors[1].params.factors.map(factor => factor.id).should.deep.equal(['c', 'd'])
+      mfkdf.policy.toExpression(setup.policy).should.equal('a & b | (c | d)')
+
+      const single = await mfkdf.policy.setup(await mfkdf.policy.parse(' a ', factors))
+      single.policy.factors[0].id.should.equal('a')
+      mfkdf.policy.toExpression(single.policy).should.equal('a')
+    })
+
+    test('toExpression', async () => {
+      const setup = await mfkdf.policy.setup(
+        await mfkdf.policy.and(
+          await mfkdf.setup.factors.password('password1', { id: 'password 1' }),
+          await mfkdf.policy.and(
+            await mfkdf.policy.or(
+              await mfkdf.setup.factors.password('password2', { id: 'password2' }),
+              await mfkdf.setup.factors.password('password3', { id: 'atLeast' })
+            ),
+            await mfkdf.setup.factors.password('password4', { id: 'password4' })
+          )
+        )
+      )
+      const expression = mfkdf.policy.toExpression(setup.policy)
+      expression.should.equal('"password 1" & ((password2 | atLeast) & password4)')
+
+      const factors = [
+        await mfkdf.setup.factors.password('password1', { id: 'password 1' }),
+        await mfkdf.setup.factors.password('password2', { id: 'password2' }),
+        await mfkdf.setup.factors.password('password3', { id: 'atLeast' }),
+        await mfkdf.setup.factors.password('password4', { id: 'password4' })
+      ]
+      const parsed = await mfkdf.policy.setup(await mfkdf.policy.parse(expression, factors))
+      mfkdf.policy.toExpression(parsed.policy).should.equal(expression)
+
+      const threshold = await mfkdf.setup.key([
+        await mfkdf.setup.factors.password('password1', { id: 'password1' }),
+        await mfkdf.setup.factors.password('password2', { id: 'password2' }),
+        await mfkdf.setup.factors.password('password3', { id: 'password3' })
+      ], { threshold: 2, kdf: 'hkdf' })
+      mfkdf.policy.toExpression(threshold.policy).should.equal('atLeast(2, password1, password2, password3)')
+    })
+
+    test('errors', async () => {
+      const factors = {}
+      for (const id of ['a', 'b', 'c']) factors[id] = await mfkdf.setup.factors.password('password', { id })
+
+      await mfkdf.policy.parse('a & (b | c', factors).should.be.rejectedWith(SyntaxError, 'expected ")" but found end of expression at position 10')
+      await mfkdf.policy.parse('a & | b', factors).should.be.rejectedWith(SyntaxError, 'expected a factor id but found "|" at position 4')
+      await mfkdf.policy.parse('a b', factors).should.be.rejectedWith(SyntaxError, 'unexpected "b" at position 2')
+      await mfkdf.policy.parse('a "b"', factors).should.be.rejectedWith(SyntaxError, 'unexpected "b" at position 2')
+      await mfkdf.policy.parse('a & !b', factors).should.be.rejectedWith(SyntaxError, 'unexpected character "!" at position 4')
+      await mfkdf.policy.parse('a & "b', factors).should.be.rejectedWith(SyntaxError, 'unterminated string at position 4')
+      await mfkdf.policy.parse('a & "\\x"', factors).should.be.rejectedWith(SyntaxError, 'invalid string at position 4')
+      await mfkdf.policy.parse('atLeast(x, a, b)', factors).should.be.rejectedWith(SyntaxError, 'expected a number but found "x" at position 8')
+      await mfkdf.policy.parse('atLeast(, a, b)', factors).should.be.rejectedWith(SyntaxError, 'expected a number but found "," at position 8')
+      await mfkdf.policy.parse('atLeast(2)', factors).should.be.rejectedWith(SyntaxError, 'expected "," but found ")" at position 9')
+      await mfkdf.policy.parse('atLeast(3, a, b)', factors).should.be.rejectedWith(RangeError, 'atLeast threshold at position 8 must be between 1 and 2')
+      await mfkdf.policy.parse('a & "\\\\"', factors).should.be.rejectedWith(RangeError, 'unknown factor')
+      await mfkdf.policy.parse('a & d', factors).should.be.rejectedWith(RangeError, 'unknown factor "d" at position 4')
+      await mfkdf.policy.parse('a & (b | a)', factors).should.be.rejectedWith(RangeError, 'factor "a" at position 9 is used more than once')
+      await mfkdf.policy.parse(12, factors).should.be.rejectedWith(TypeError)
+      await mfkdf.policy.parse('a', null).should.be.rejectedWith(TypeError)
+    })
+  })
+
+  suite('satisfyingSets', () => {
+    test('nested', async () => {
+      const factors = {}
+      for (const id of ['password', 'totp', 'hotp', 'r1', 'r2', 'r3']) factors[id] = await mfkdf.setup.factors.password('password', { id })
+      const setup = await mfkdf.policy.setup(await mfkdf.policy.parse('password & (totp | hotp | atLeast(2, r1, r2, r3))', factors))
+
+      mfkdf.policy.satisfyingSets(setup.policy).should.deep.equal([
+        ['password', 'totp'],
+        ['password', 'hotp'],
+        ['password', 'r1', 'r2'],
+        ['password', 'r1', 'r3'],
+        ['password', 'r2', 'r3']
+      ])
+      for (const set of mfkdf.policy.satisfyingSets(setup.policy)) mfkdf.policy.evaluate(setup.policy, set).should.be.true
+
+      mfkdf.policy.missing(setup.policy, ['password', 'totp']).should.deep.equal([])
+      mfkdf.policy.missing(setup.policy, ['r2']).should.deep.equal(['password', 'totp'])
+      mfkdf.policy.missing(setup.policy, ['r2', 'r3']).should.deep.equal(['password'])
+      mfkdf.policy.missing(setup.policy, ['r2'], { totp: 2, hotp: 3 }).should.deep.equal(['password', 'r1'])
+    })
+
+    test('minimal', async () => {
+      const factors = {}
+      for (const id of ['a', 'b', 'c']) factors[id] = await mfkdf.setup.factors.password('password', { id })
+
+      // a & b is redundant next to a
+      const setup = await mfkdf.policy.setup(await mfkdf.policy.parse('a | (b & c)', factors))
+      mfkdf.policy.satisfyingSets(setup.policy).should.deep.equal([['a'], ['b', 'c']])
+
+      const threshold = await mfkdf.setup.key([factors.a, factors.b, factors.c], { threshold: 2, kdf: 'hkdf' })
+      mfkdf.policy.satisfyingSets(threshold.policy).should.deep.equal([['a', 'b'], ['a', 'c'], ['b', 'c']])
+      mfkdf.policy.missing(threshold.policy, ['c']).should.deep.equal(['a'])
+    })
+  })
+
+  suite('visualize', () => {
+    test('toDot', async () => {
+      const setup = await mfkdf.policy.setup(await mfkdf.policy.parse('password & (totp | hotp)', [
+        await mfkdf.setup.factors.password('password'),
+        await mfkdf.setup.factors.totp({ window: 10 }),
+        await mfkdf.setup.factors.hotp({ window: 5 })
+      ]), { kdf: 'hkdf' })
+
+      mfkdf.policy.toDot(setup.policy).should.equal([
+        'digraph policy {',
+        '  n0 [shape=diamond, label="AND"];',
+        '  n1 [shape=box, label="password (password)"];',
+        '  n2 [shape=diamond, label="OR"];',
+        '  n3 [shape=box, label="totp (totp)\\nstep 30s, window 10"];',
+        '  n4 [shape=box, label="hotp (hotp)\\ncounter 1, window 5"];',
+        '  n0 -> n1;',
+        '  n0 -> n2;',
+        '  n2 -> n3;',
+        '  n2 -> n4;',
+        '}'
+      ].join('\n'))
+
+      mfkdf.policy.toDot(setup.policy, { entropies: { password: 10, totp: 20, hotp: 30 } }).should.contain('n0 [shape=diamond, label="AND\\n30 bits"];')
+    })
+
+    test('toMermaid', async () => {
+      const setup = await mfkdf.setup.key([
+        await mfkdf.setup.factors.password('password', { id: 'password' }),
+        await mfkdf.setup.factors.question('fido', { id: 'pet', question: 'Name of your "first" pet?' }),
+        await mfkdf.setup.factors.uuid({ id: 'recovery' })
+      ], { threshold: 2, weights: { recovery: 2 }, kdf: 'hkdf' })
+
+      mfkdf.policy.toMermaid(setup.policy, { entropies: { password: 10, pet: 5.4, recovery: 122 } }).should.equal([
+        'flowchart TD',
+        '  n0{{"2 of 4 points<br/>15 bits"}}',
+        '  n1["password (password)<br/>10 bits"]',
+        '  n2["pet (question)<br/>Name of your #34;first#34; pet?<br/>5 bits"]',
+        '  n3["recovery (uuid)<br/>122 bits"]',
+        '  n0 --> n1',
+        '  n0 --> n2',
+        '  n0 -->|"weight 2"| n3'
+      ].join('\n'))
+      mfkdf.policy.toDot(setup.policy).should.contain('n0 -> n3 [label="weight 2"];')
+    })
+
+    test('errors', async () => {
+      const setup = await mfkdf.setup.key([
+        await mfkdf.setup.factors.hotp()
+      ], { kdf: 'hkdf' })
+      mfkdf.policy.toMermaid(setup.policy).should.equal('flowchart TD\n  n0{{"1 of 1"}}\n  n1["hotp (hotp)<br/>counter 1"]\n  n0 --> n1')
+      ;(() => mfkdf.policy.toDot(setup.policy, null)).should.throw(TypeError)
+      ;(() => mfkdf.policy.toDot(setup.policy, { entropies: 12 })).should.throw(TypeError)
+      ;(() => mfkdf.policy.toMermaid(setup.policy, { entropies: {} })).should.throw(RangeError)
+    })
+  })
 })
@@ -0,0 +1,144 @@
+/* eslint no-unused-expressions: "off" */
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+chai.should()
+
+const mfkdf = require('../../src')
+const { suite, test } = require('mocha')
+
+suite('progress', () => {
+  test('setup', async () => {
+    const events = []
+    await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' }),
+      await mfkdf.setup.factors.password('password2', { id: 'password2' })
+    ], { kdf: 'pbkdf2', pbkdf2rounds: 1000, onProgress: (event) => events.push(event) })
+
+    events.should.deep.equal([
+      { phase: 'kdf' },
+      { phase: 'share' },
+      { phase: 'factor', factor: 'password1', completed: 0, total: 2 },
+      { phase: 'factor', factor: 'password2', completed: 1, total: 2 },
+      { phase: 'done' }
+    ])
+  })
+
+  test('derive', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' }),
+      await mfkdf.setup.factors.password('password2', { id: 'password2' })
+    ], { threshold: 1, kdf: 'pbkdf2', pbkdf2rounds: 1000 })
+
+    const events = []
+    const derive = await mfkdf.derive.key(setup.policy, {
+      password2: mfkdf.derive.factors.password('password2')
+    }, { upgrade: mfkdf.setup.kdf({ kdf: 'pbkdf2', pbkdf2rounds: 2000 }), onProgress: (event) => events.push(event) })
+    derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+
+    events.should.deep.equal([
+      { phase: 'factor', factor: 'password2', completed: 1, total: 2 },
+      { phase: 'combine' },
+      { phase: 'kdf' },
+      { phase: 'upgrade' },
+      { phase: 'done' }
+    ])
+  })
+
+  test('abort', async () => {
+    const factors = [await mfkdf.setup.factors.password('password1', { id: 'password1' })]
+
+    const aborted = new AbortController()
+    aborted.abort('cancelled')
+    const error = await mfkdf.setup.key(factors, { kdf: 'pbkdf2', pbkdf2rounds: 1000, signal: aborted.signal }).should.be.rejectedWith(mfkdf.errors.AbortError)
+    error.code.should.equal('ERR_ABORTED')
+    error.reason.should.equal('cancelled')
+
+    const setup = await mfkdf.setup.key(factors, { kdf: 'pbkdf2', pbkdf2rounds: 1000 })
+
+    // cancel once the kdf is running
+    const controller = new AbortController()
+    await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('password1')
+    }, {
+      signal: controller.signal,
+      onProgress: (event) => { if (event.phase === 'kdf') controller.abort() }
+    }).should.be.rejectedWith(mfkdf.errors.AbortError)
+
+    const derive = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('password1')
+    }, { signal: new AbortController().signal })
+    derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+  })
+
+  test('policy', async () => {
+    const setup = await mfkdf.policy.setup(
+      await mfkdf.policy.and(
+        await mfkdf.setup.factors.password('passwordA', { id: 'passwordA' }),
+        await mfkdf.policy.or(
+          await mfkdf.setup.factors.password('passwordB', { id: 'passwordB' }),
+          await mfkdf.setup.factors.password('passwordC', { id: 'passwordC' })
+        )
+      ), { kdf: 'pbkdf2', pbkdf2rounds: 1000 }
+    )
+    const factors = {
+      passwordA: mfkdf.derive.factors.password('passwordA'),
+      passwordC: mfkdf.derive.factors.password('passwordC')
+    }
+
+    const events = []
+    const derive = await mfkdf.policy.derive(setup.policy, factors, { onProgress: (event) => events.push(event) })
+    derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+    events[events.length - 1].should.deep.equal({ phase: 'done' })
+
+    // cancel while the stacked key is derived
+    const controller = new AbortController()
+    await mfkdf.policy.derive(setup.policy, factors, {
+      signal: controller.signal,
+      onProgress: (event) => { if (event.phase === 'factor') controller.abort() }
+    }).should.be.rejectedWith(mfkdf.errors.AbortError)
+  })
+
+  test('reconstitute', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' }),
+      await mfkdf.setup.factors.password('password2', { id: 'password2' })
+    ], { threshold: 2, kdf: 'pbkdf2', pbkdf2rounds: 1000 })
+    const policy = JSON.parse(JSON.stringify(setup.policy))
+
+    const events = []
+    const controller = new AbortController()
+    await setup.reconstitute(['password1'], [
+      await mfkdf.setup.factors.password('password3', { id: 'password3' })
+    ], 1, {
+      signal: controller.signal,
+      onProgress: (event) => {
+        events.push(event)
+        if (event.phase === 'share') controller.abort()
+      }
+    }).should.be.rejectedWith(mfkdf.errors.AbortError)
+
+    events.should.deep.equal([
+      { phase: 'factor', factor: 'password3', completed: 0, total: 1 },
+      { phase: 'share' }
+    ])
+    setup.policy.should.deep.equal(policy)
+
+    const derive = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('password1'),
+      password2: mfkdf.derive.factors.password('password2')
+    }, { verify: true })
+    derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+
+    await setup.reconstitute(['password1'], [], 1, { onProgress: (event) => events.push(event) })
+    events[events.length - 1].should.deep.equal({ phase: 'done' })
+  })
+
+  test('invalid', async () => {
+    const factors = [await mfkdf.setup.factors.password('password1', { id: 'password1' })]
+    await mfkdf.setup.key(factors, { signal: true }).should.be.rejectedWith(TypeError)
+    await mfkdf.setup.key(factors, { signal: null }).should.be.rejectedWith(TypeError)
+    await mfkdf.setup.key(factors, { signal: {} }).should.be.rejectedWith(TypeError)
+    await mfkdf.setup.key(factors, { onProgress: 'log' }).should.be.rejectedWith(TypeError)
+  })
+})
@@ -0,0 +1,315 @@
+/* eslint no-unused-expressions: "off" */
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+chai.should()
+
+const crypto = require('crypto')
+const speakeasy = require('speakeasy')
+const mfkdf = require('../../src')
+const { suite, test } = require('mocha')
+
+function hotpCode (output, counter) {
+  return parseInt(speakeasy.hotp({ secret: output.secret.toString('hex'), encoding: 'hex', counter, algorithm: output.algorithm, digits: output.digits }))
+}
+
+function totpCode (output) {
+  return parseInt(speakeasy.totp({ secret: output.secret.toString('hex'), encoding: 'hex', step: output.period, algorithm: output.algorithm, digits: output.digits }))
+}
+
+suite('refresh', () => {
+  test('refresh', async () => {
+    const keyPair = await crypto.webcrypto.subtle.generateKey(
+      { hash: 'SHA-256', modulusLength: 2048, name: 'RSA-OAEP', publicExponent: new Uint8Array([1, 0, 1]) },
+      true,
+      ['encrypt', 'decrypt']
+    )
+
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password'),
+      await mfkdf.setup.factors.hotp({ digits: 8, window: 2 }),
+      await mfkdf.setup.factors.totp({ step: 60, encoding: 'packed' }),
+      await mfkdf.setup.factors.hmacsha1(),
+      await mfkdf.setup.factors.ooba({ key: keyPair.publicKey, params: { email: 'test@mfkdf.com' } })
+    ], { threshold: 4, weights: { password: 2 }, kdf: 'pbkdf2', pbkdf2rounds: 1000 })
+    const policy = JSON.parse(JSON.stringify(setup.policy))
+    const shares = setup.shares.map(share => share.toString('hex'))
+    const old = setup.outputs
+
+    const outputs = await setup.refresh({ factors: { totp: { label: 'alice@example.com', issuer: 'Example' } } })
+    Object.keys(outputs).should.deep.equal(['hotp', 'totp', 'hmacsha1', 'ooba'])
+    outputs.hotp.secret.toString('hex').should.not.equal(old.hotp.secret.toString('hex'))
+    outputs.hmacsha1.secret.toString('hex').should.not.equal(old.hmacsha1.secret.toString('hex'))
+    outputs.totp.uri.should.contain('alice@example.com').and.contain('issuer=Example')
+
+    // same factors, settings, and key, but new shares and pads
+    setup.policy.factors.map(factor => factor.id).should.deep.equal(policy.factors.map(factor => factor.id))
+    setup.policy.factors[0].weight.should.equal(2)
+    setup.policy.threshold.should.equal(4)
+    setup.policy.factors[1].params.digits.should.equal(8)
+    setup.policy.factors[1].params.window.should.equal(2)
+    setup.policy.factors[2].params.step.should.equal(60)
+    setup.policy.factors[2].params.should.have.property('packed')
+    setup.policy.factors[0].pad.should.not.equal(policy.factors[0].pad)
+    setup.policy.factors[1].params.pad.should.not.equal(policy.factors[1].params.pad)
+    setup.shares.map(share => share.toString('hex')).should.not.deep.equal(shares)
+
+    const next = setup.policy.factors[4].params.next
+    const decrypted = await crypto.webcrypto.subtle.decrypt({ name: 'RSA-OAEP' }, keyPair.privateKey, Buffer.from(next, 'hex'))
+    const json = JSON.parse(Buffer.from(decrypted).toString())
+    json.email.should.equal('test@mfkdf.com')
+
+    const response = crypto.createHmac('sha1', outputs.hmacsha1.secret).update(Buffer.from(setup.policy.factors[3].params.challenge, 'hex')).digest()
+
+    const derive = await mfkdf.derive.key(setup.policy, {
+      hotp: mfkdf.derive.factors.hotp(hotpCode(outputs.hotp, 1)),
+      totp: mfkdf.derive.factors.totp(totpCode(outputs.totp)),
+      hmacsha1: mfkdf.derive.factors.hmacsha1(response),
+      ooba: mfkdf.derive.factors.ooba(json.code)
+    }, { verify: true })
+    derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+
+    const derive2 = await mfkdf.derive.key(setup.policy, {
+      password: mfkdf.derive.factors.password('password'),
+      hotp: mfkdf.derive.factors.hotp(hotpCode(outputs.hotp, 1)),
+      totp: mfkdf.derive.factors.totp(totpCode(outputs.totp))
+    }, { verify: true })
+    derive2.key.toString('hex').should.equal(setup.key.toString('hex'))
+  })
+
+  test('stack', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' }),
+      await mfkdf.setup.factors.stack([
+        await mfkdf.setup.factors.password('password2', { id: 'password2' }),
+        await mfkdf.setup.factors.hotp()
+      ], { kdf: 'pbkdf2', pbkdf2rounds: 1000 })
+    ], { threshold: 1, kdf: 'pbkdf2', pbkdf2rounds: 1000 })
+    const old = setup.outputs.stack.outputs.hotp
+    const pad = setup.policy.factors[1].params.factors[1].params.pad
+
+    const outputs = await setup.refresh({ factors: { stack: { hotp: { label: 'alice@example.com' } } } })
+    Object.keys(outputs).should.deep.equal(['stack'])
+    const hotp = outputs.stack.outputs.hotp
+    hotp.secret.toString('hex').should.not.equal(old.secret.toString('hex'))
+    hotp.uri.should.contain('alice@example.com')
+    setup.policy.factors[1].params.factors[1].params.pad.should.not.equal(pad)
+
+    // the stacked hotp factor only accepts codes of its new secret
+    await mfkdf.derive.key(setup.policy, {
+      stack: mfkdf.derive.factors.stack({
+        password2: mfkdf.derive.factors.password('password2'),
+        hotp: mfkdf.derive.factors.hotp(hotpCode(old, 1))
+      })
+    }, { verify: true }).should.be.rejectedWith(mfkdf.errors.PolicyIntegrityError)
+
+    const derive = await mfkdf.derive.key(setup.policy, {
+      stack: mfkdf.derive.factors.stack({
+        password2: mfkdf.derive.factors.password('password2'),
+        hotp: mfkdf.derive.factors.hotp(hotpCode(hotp, 1))
+      })
+    }, { verify: true })
+    derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+
+    // a derive that used the stack can refresh it again
+    const again = await derive.refresh()
+    again.stack.outputs.hotp.secret.toString('hex').should.not.equal(hotp.secret.toString('hex'))
+
+    // without the stacked key, its factors cannot be refreshed
+    const partial = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('password1')
+    })
+    const policy = JSON.stringify(partial.policy)
+    await partial.refresh().should.be.rejectedWith(RangeError)
+    JSON.stringify(partial.policy).should.equal(policy)
+  })
+
+  test('stack/static', async () => {
+    // stacked keys without factors of their own secrets keep their material
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' }),
+      await mfkdf.setup.factors.stack([
+        await mfkdf.setup.factors.password('password2', { id: 'password2' }),
+        await mfkdf.setup.factors.stack([
+          await mfkdf.setup.factors.password('password3', { id: 'password3' })
+        ], { id: 'nested', kdf: 'pbkdf2', pbkdf2rounds: 1000 })
+      ], { threshold: 1, kdf: 'pbkdf2', pbkdf2rounds: 1000 })
+    ], { threshold: 1, kdf: 'pbkdf2', pbkdf2rounds: 1000 })
+
+    const partial = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('password1')
+    })
+    const outputs = await partial.refresh()
+    outputs.should.deep.equal({})
+
+    const derive = await mfkdf.derive.key(partial.policy, {
+      stack: mfkdf.derive.factors.stack({ password2: mfkdf.derive.factors.password('password2') })
+    }, { verify: true })
+    derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+  })
+
+  test('shares', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' }),
+      await mfkdf.setup.factors.password('password2', { id: 'password2' }),
+      await mfkdf.setup.factors.password('password3', { id: 'password3' })
+    ], { threshold: 2, verifiable: true, kdf: 'pbkdf2', pbkdf2rounds: 1000 })
+    const persisted = setup.persistFactor('password1')
+
+    const outputs = await setup.refresh()
+    outputs.should.deep.equal({})
+
+    // shares of old copies of the policy no longer combine with the new ones
+    await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.persisted(persisted),
+      password2: mfkdf.derive.factors.password('password2')
+    }).should.be.rejectedWith(mfkdf.errors.FactorVerificationError)
+
+    const derive = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('password1'),
+      password3: mfkdf.derive.factors.password('password3')
+    }, { verify: true })
+    derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+  })
+
+  test('invalid', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password'),
+      await mfkdf.setup.factors.hotp(),
+      await mfkdf.setup.factors.totp({ encoding: 'uint32' })
+    ], { kdf: 'pbkdf2', pbkdf2rounds: 1000 })
+    const policy = JSON.stringify(setup.policy)
+
+    await setup.refresh({ factors: null }).should.be.rejectedWith(TypeError)
+    await setup.refresh({ factors: { unknown: {} } }).should.be.rejectedWith(RangeError)
+    await setup.refresh({ onProgress: 'yes' }).should.be.rejectedWith(TypeError)
+    await setup.refresh({ factors: { hotp: { digits: 4 } } }).should.be.rejectedWith(RangeError)
+
+    const controller = new AbortController()
+    controller.abort()
+    await setup.refresh({ signal: controller.signal }).should.be.rejectedWith(mfkdf.errors.AbortError)
+    JSON.stringify(setup.policy).should.equal(policy)
+
+    // refreshed factors keep their offset encoding
+    await setup.refresh()
+    setup.policy.factors[2].params.should.have.property('offsets')
+  })
+
+  test('rotate', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password'),
+      await mfkdf.setup.factors.totp(),
+      await mfkdf.setup.factors.uuid({ id: 'recovery' })
+    ], { threshold: 2, checkBits: 8, kdf: 'pbkdf2', pbkdf2rounds: 1000 })
+    await setup.addEnvelopedSecret('secret', Buffer.from('hello world'))
+    await setup.addEnvelopedKey('signing', 'ed25519')
+    const key = setup.key.toString('hex')
+    const ciphertext = await setup.encrypt(Buffer.from('message'), 'aes256')
+    const recovery = setup.outputs.recovery.uuid
+
+    const record = await setup.rotate()
+    record.oldId.should.equal(record.previous.policy.$id)
+    record.newId.should.equal(setup.policy.$id)
+    record.newId.should.not.equal(record.oldId)
+    record.previous.key.toString('hex').should.equal(key)
+    setup.key.toString('hex').should.not.equal(key)
+    Object.keys(record.outputs).should.deep.equal(['totp'])
+    record.secrets.should.deep.equal(['secret', 'signing'])
+
+    // dependent data can be re-keyed with the old key
+    const plaintext = await record.previous.decrypt(ciphertext, 'aes256')
+    plaintext.toString().should.equal('message')
+    ;(await setup.getEnvelopedSecret('secret')).toString().should.equal('hello world')
+    ;(await setup.getEnvelopedKey('signing')).asymmetricKeyType.should.equal('ed25519')
+    ;(await record.previous.getEnvelopedSecret('secret')).toString().should.equal('hello world')
+
+    const derive = await mfkdf.derive.key(setup.policy, {
+      password: mfkdf.derive.factors.password('password'),
+      totp: mfkdf.derive.factors.totp(totpCode(record.outputs.totp))
+    }, { verify: true })
+    derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+
+    // copies of the old policy still derive the old key
+    const old = await mfkdf.derive.key(record.previous.policy, {
+      password: mfkdf.derive.factors.password('password'),
+      recovery: mfkdf.derive.factors.uuid(recovery)
+    }, { verify: true })
+    old.key.toString('hex').should.equal(key)
+  })
+
+  test('rotate/upgraded', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' }),
+      await mfkdf.setup.factors.password('password2', { id: 'password2' })
+    ], { threshold: 1, verifiable: true, kdf: 'pbkdf2', pbkdf2rounds: 1000 })
+
+    const upgraded = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('password1')
+    }, { upgrade: { type: 'pbkdf2', params: { digest: 'sha256', rounds: 2000 } } })
+    upgraded.policy.should.have.property('pad')
+
+    const record = await upgraded.rotate()
+    record.secrets.should.deep.equal([])
+    record.outputs.should.deep.equal({})
+    upgraded.policy.should.not.have.property('pad')
+    upgraded.policy.should.not.have.property('secrets')
+
+    const derive = await mfkdf.derive.key(upgraded.policy, {
+      password2: mfkdf.derive.factors.password('password2')
+    }, { verify: true })
+    derive.key.toString('hex').should.equal(upgraded.key.toString('hex'))
+    derive.key.toString('hex').should.not.equal(setup.key.toString('hex'))
+  })
+
+  test('rotate/invalid', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password'),
+      await mfkdf.setup.factors.hotp()
+    ], { kdf: 'pbkdf2', pbkdf2rounds: 1000 })
+    const policy = JSON.stringify(setup.policy)
+    const key = setup.key.toString('hex')
+    await setup.getSubkey(16, 'test')
+
+    await setup.rotate({ factors: 'hotp' }).should.be.rejectedWith(TypeError)
+    await setup.rotate({ signal: 'yes' }).should.be.rejectedWith(TypeError)
+
+    // cancelled after the new key is derived
+    const controller = new AbortController()
+    await setup.rotate({
+      signal: controller.signal,
+      onProgress: (event) => { if (event.phase === 'share') controller.abort() }
+    }).should.be.rejectedWith(mfkdf.errors.AbortError)
+    JSON.stringify(setup.policy).should.equal(policy)
+    setup.key.toString('hex').should.equal(key)
+    Object.keys(setup.subkeys).should.have.length(1)
+  })
+
+  test('rotate/envelope', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password')
+    ], { kdf: 'pbkdf2', pbkdf2rounds: 1000 })
+    await setup.addEnvelopedSecret('secret1', Buffer.from('hello'))
+    await setup.addEnvelopedSecret('secret2', Buffer.from('world'))
+    const policy = JSON.stringify(setup.policy)
+    const key = setup.key.toString('hex')
+
+    // re-encrypting the second enveloped secret fails
+    const encrypt = setup.encrypt
+    let calls = 0
+    setup.encrypt = async function (...args) {
+      if (++calls === 2) throw new Error('encryption failed')
+      return await encrypt.apply(this, args)
+    }
+    await setup.rotate().should.be.rejectedWith('encryption failed')
+    delete setup.encrypt
+
+    // the key is not half-rotated, and no enveloped secret is lost
+    JSON.stringify(setup.policy).should.equal(policy)
+    setup.key.toString('hex').should.equal(key)
+    ;(await setup.getEnvelopedSecret('secret1')).toString().should.equal('hello')
+    ;(await setup.getEnvelopedSecret('secret2')).toString().should.equal('world')
+
+    await setup.rotate()
+    ;(await setup.getEnvelopedSecret('secret2')).toString().should.equal('world')
+  })
+})
@@ -0,0 +1,109 @@
+/* eslint no-unused-expressions: "off" */
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+chai.should()
+
+const mfkdf = require('../../src')
+const { suite, test } = require('mocha')
+
+suite('robust', () => {
+  test('derive', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' }),
+      await mfkdf.setup.factors.password('password2', { id: 'password2' }),
+      await mfkdf.setup.factors.hotp({ secret: Buffer.from('hello world') }),
+      await mfkdf.setup.factors.password('password4', { id: 'password4' })
+    ], { threshold: 2 })
+
+    const factors = {
+      password1: mfkdf.derive.factors.password('password1'),
+      password2: mfkdf.derive.factors.password('password2'),
+      hotp: mfkdf.derive.factors.hotp(123456),
+      password4: mfkdf.derive.factors.password('password4')
+    }
+
+    const plain = await mfkdf.derive.key(setup.policy, factors)
+    plain.key.toString('hex').should.not.equal(setup.key.toString('hex'))
+    plain.should.not.have.property('inconsistent')
+
+    const derive = await mfkdf.derive.key(setup.policy, factors, { robust: true, verify: true })
+    derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+    derive.inconsistent.should.deep.equal(['hotp'])
+
+    // inconsistent factors are not updated, and their shares are recovered
+    derive.policy.factors[2].params.counter.should.equal(1)
+    derive.shares.map(share => share.toString('hex')).should.deep.equal(setup.shares.map(share => share.toString('hex')))
+    await derive.reconstitute([], [], 3)
+  })
+
+  test('trials', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' }),
+      await mfkdf.setup.factors.password('password2', { id: 'password2' }),
+      await mfkdf.setup.factors.password('password3', { id: 'password3' }),
+      await mfkdf.setup.factors.password('password4', { id: 'password4' })
+    ], { threshold: 2, kdf: 'pbkdf2', pbkdf2rounds: 1000 })
+
+    const factors = {
+      password1: mfkdf.derive.factors.password('password1'),
+      password2: mfkdf.derive.factors.password('wrong'),
+      password3: mfkdf.derive.factors.password('password3'),
+      password4: mfkdf.derive.factors.password('password4')
+    }
+
+    // 4 choose 2 = 6 sets of factors
+    await mfkdf.derive.key(setup.policy, factors, { robust: true, maxTrials: 5 }).should.be.rejectedWith(mfkdf.errors.TooManyCandidatesError)
+    const derive = await mfkdf.derive.key(setup.policy, factors, { robust: true, maxTrials: 6 })
+    derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+  })
+
+  test('weights', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' }),
+      await mfkdf.setup.factors.password('password2', { id: 'password2' }),
+      await mfkdf.setup.factors.password('password3', { id: 'password3' })
+    ], { threshold: 2, weights: { password1: 2 } })
+
+    const derive = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('password1'),
+      password2: mfkdf.derive.factors.password('wrong'),
+      password3: mfkdf.derive.factors.password('password3')
+    }, { robust: true })
+    derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+    derive.inconsistent.should.deep.equal(['password2'])
+  })
+
+  test('inconsistent', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' }),
+      await mfkdf.setup.factors.password('password2', { id: 'password2' }),
+      await mfkdf.setup.factors.password('password3', { id: 'password3' })
+    ], { threshold: 2 })
+
+    const error = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('password1'),
+      password2: mfkdf.derive.factors.password('wrong'),
+      password3: mfkdf.derive.factors.password('password3')
+    }, { robust: true }).should.be.rejectedWith(mfkdf.errors.FactorVerificationError)
+    error.factors.should.deep.equal([])
+  })
+
+  test('totp', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' }),
+      await mfkdf.setup.factors.totp({ secret: Buffer.from('hello world'), time: 1650430806597 }),
+      await mfkdf.setup.factors.password('password3', { id: 'password3' }),
+      await mfkdf.setup.factors.password('password4', { id: 'password4' })
+    ], { threshold: 2 })
+
+    const derive = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('password1'),
+      totp: mfkdf.derive.factors.totp(528258, { time: 1650430943604 }),
+      password3: mfkdf.derive.factors.password('wrong'),
+      password4: mfkdf.derive.factors.password('password4')
+    }, { robust: true })
+    derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+    derive.inconsistent.should.deep.equal(['password3'])
+  })
+})
@@ -0,0 +1,144 @@
+/* eslint no-unused-expressions: "off" */
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+chai.should()
+
+const mfkdf = require('../../src')
+const { suite, test } = require('mocha')
+
+suite('upgrade', () => {
+  test('defaults', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' })
+    ], { kdf: 'pbkdf2', pbkdf2rounds: 1000 })
+
+    const derive = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('password1')
+    }, { upgrade: true })
+
+    derive.upgraded.should.be.true
+    derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+    derive.policy.kdf.should.deep.equal(mfkdf.setup.kdf())
+    derive.policy.pad.should.be.a('string')
+    derive.secret.toString('hex').should.not.equal(setup.secret.toString('hex'))
+
+    const derive2 = await mfkdf.derive.key(derive.policy, {
+      password1: mfkdf.derive.factors.password('password1')
+    }, { upgrade: true, verify: true })
+
+    derive2.upgraded.should.be.false
+    derive2.key.toString('hex').should.equal(setup.key.toString('hex'))
+    derive2.policy.kdf.should.deep.equal(derive.policy.kdf)
+    derive2.policy.pad.should.equal(derive.policy.pad)
+  })
+
+  test('config', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' })
+    ], { kdf: 'pbkdf2', pbkdf2rounds: 1000 })
+
+    const derive = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('password1')
+    })
+    derive.upgraded.should.be.false
+    derive.policy.kdf.should.deep.equal(setup.policy.kdf)
+
+    const same = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('password1')
+    }, { upgrade: { params: { digest: 'sha256', rounds: 1000 }, type: 'pbkdf2' } })
+    same.upgraded.should.be.false
+
+    const config = mfkdf.setup.kdf({ kdf: 'pbkdf2', pbkdf2rounds: 2000 })
+    const upgraded = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('password1')
+    }, { upgrade: config })
+    upgraded.upgraded.should.be.true
+    upgraded.policy.kdf.should.deep.equal(config)
+    upgraded.key.toString('hex').should.equal(setup.key.toString('hex'))
+
+    // upgrading twice keeps the key
+    const again = await mfkdf.derive.key(upgraded.policy, {
+      password1: mfkdf.derive.factors.password('password1')
+    }, { upgrade: mfkdf.setup.kdf({ kdf: 'pbkdf2', pbkdf2rounds: 3000 }) })
+    again.upgraded.should.be.true
+    again.key.toString('hex').should.equal(setup.key.toString('hex'))
+
+    const final = await mfkdf.derive.key(again.policy, {
+      password1: mfkdf.derive.factors.password('password1')
+    })
+    final.key.toString('hex').should.equal(setup.key.toString('hex'))
+  })
+
+  test('threshold', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' }),
+      await mfkdf.setup.factors.hotp({ secret: Buffer.from('hello world') }),
+      await mfkdf.setup.factors.uuid({ id: 'recovery', uuid: '9b1deb4d-3b7d-4bad-9bdd-2b0d7b3dcb6d' })
+    ], { threshold: 2, kdf: 'pbkdf2', pbkdf2rounds: 1000, checkBits: 8 })
+
+    const upgraded = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('password1'),
+      hotp: mfkdf.derive.factors.hotp(365287)
+    }, { upgrade: mfkdf.setup.kdf({ kdf: 'pbkdf2', pbkdf2rounds: 2000 }) })
+    upgraded.upgraded.should.be.true
+
+    // the factor missing during the upgrade still works
+    const derive = await mfkdf.derive.key(upgraded.policy, {
+      hotp: mfkdf.derive.factors.hotp(891649),
+      recovery: mfkdf.derive.factors.uuid('9b1deb4d-3b7d-4bad-9bdd-2b0d7b3dcb6d')
+    }, { verify: true })
+    derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+
+    // check values match the new shares
+    await mfkdf.derive.key(upgraded.policy, {
+      password1: mfkdf.derive.factors.password('wrong'),
+      recovery: mfkdf.derive.factors.uuid('9b1deb4d-3b7d-4bad-9bdd-2b0d7b3dcb6d')
+    }).should.be.rejectedWith(mfkdf.errors.FactorVerificationError)
+  })
+
+  test('reconstitution', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' })
+    ], { kdf: 'pbkdf2', pbkdf2rounds: 1000 })
+
+    const upgraded = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('password1')
+    }, { upgrade: mfkdf.setup.kdf({ kdf: 'pbkdf2', pbkdf2rounds: 2000 }) })
+
+    await upgraded.addFactor(await mfkdf.setup.factors.password('password2', { id: 'password2' }))
+    await upgraded.setThreshold(1)
+
+    const derive = await mfkdf.derive.key(upgraded.policy, {
+      password2: mfkdf.derive.factors.password('password2')
+    }, { verify: true })
+    derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+  })
+
+  test('tampering', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' })
+    ], { kdf: 'pbkdf2', pbkdf2rounds: 1000 })
+
+    const upgraded = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('password1')
+    }, { upgrade: mfkdf.setup.kdf({ kdf: 'pbkdf2', pbkdf2rounds: 2000 }) })
+
+    const policy = JSON.parse(JSON.stringify(upgraded.policy))
+    policy.pad = Buffer.alloc(32).toString('base64')
+    await mfkdf.derive.key(policy, {
+      password1: mfkdf.derive.factors.password('password1')
+    }, { verify: true }).should.be.rejectedWith(mfkdf.errors.PolicyIntegrityError)
+  })
+
+  test('invalid', async () => {
+    const setup = await mfkdf.setup.key([
+      await mfkdf.setup.factors.password('password1', { id: 'password1' })
+    ], { kdf: 'pbkdf2', pbkdf2rounds: 1000 })
+    const factors = { password1: mfkdf.derive.factors.password('password1') }
+
+    await mfkdf.derive.key(setup.policy, factors, { upgrade: 'argon2id' }).should.be.rejectedWith(TypeError)
+    await mfkdf.derive.key(setup.policy, factors, { upgrade: { type: 'pbkdf2' } }).should.be.rejectedWith(TypeError)
+    await mfkdf.derive.key(setup.policy, factors, { upgrade: { type: 'foo', params: {} } }).should.be.rejectedWith(RangeError)
+  })
+})
@@ -0,0 +1,175 @@
+/* eslint no-unused-expressions: "off" */
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+chai.should()
+
+const mfkdf = require('../../src')
+const { suite, test } = require('mocha')
+
+async function verifiable (options = {}) {
+  return await mfkdf.setup.key([
+    await mfkdf.setup.factors.password('password1', { id: 'password1' }),
+    await mfkdf.setup.factors.password('password2', { id: 'password2' }),
+    await mfkdf.setup.factors.password('password3', { id: 'password3' })
+  ], Object.assign({ threshold: 2, verifiable: true, kdf: 'pbkdf2', pbkdf2rounds: 1000 }, options))
+}
+
+suite('verifiable', () => {
+  test('setup', async () => {
+    const setup = await verifiable()
+    setup.policy.commitments.should.have.length(2)
+    setup.shares.should.have.length(3)
+    for (const [index, share] of setup.shares.entries()) {
+      share.should.have.length(256)
+      mfkdf.secrets.verifyShare(share, index + 1, setup.policy.commitments.map(commitment => Buffer.from(commitment, 'base64'))).should.be.true
+    }
+    Buffer.from(setup.policy.factors[0].pad, 'base64').should.have.length(256)
+
+    // each factor of the weakest pair can be guessed on its own
+    const bits = Object.values(setup.entropyBits.factors).sort((a, b) => a - b)
+    setup.entropyBits.real.should.equal(bits[1])
+
+    // policy analysis applies the same rule
+    mfkdf.policy.analyze(setup.policy, setup.entropyBits.factors).bits.should.equal(setup.entropyBits.real)
+
+    const plain = await verifiable({ verifiable: false })
+    plain.policy.should.not.have.property('commitments')
+    mfkdf.policy.analyze(plain.policy, plain.entropyBits.factors).bits.should.equal(plain.entropyBits.real)
+  })
+
+  test('derive', async () => {
+    const setup = await verifiable()
+
+    const derive = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('password1'),
+      password3: mfkdf.derive.factors.password('password3')
+    })
+    derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+    derive.shares.map(share => share.toString('hex')).should.deep.equal(setup.shares.map(share => share.toString('hex')))
+  })
+
+  test('incorrect', async () => {
+    const setup = await verifiable()
+
+    const error = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('wrong'),
+      password2: mfkdf.derive.factors.password('password2'),
+      password3: mfkdf.derive.factors.password('password3')
+    }).should.be.rejectedWith(mfkdf.errors.FactorVerificationError)
+    error.factors.should.deep.equal(['password1'])
+
+    const derive = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('wrong'),
+      password2: mfkdf.derive.factors.password('password2'),
+      password3: mfkdf.derive.factors.password('password3')
+    }, { ignoreInvalid: true })
+    derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+
+    // a tampered pad is caught the same way
+    const policy = JSON.parse(JSON.stringify(setup.policy))
+    policy.factors[1].pad = Buffer.alloc(256).toString('base64')
+    await mfkdf.derive.key(policy, {
+      password1: mfkdf.derive.factors.password('password1'),
+      password2: mfkdf.derive.factors.password('password2')
+    }, { verify: false }).should.be.rejectedWith(mfkdf.errors.FactorVerificationError)
+  })
+
+  test('weights', async () => {
+    const setup = await verifiable({ threshold: 3, weights: { password1: 2 } })
+    setup.policy.commitments.should.have.length(3)
+
+    const derive = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('password1'),
+      password2: mfkdf.derive.factors.password('password2')
+    })
+    derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+
+    const persisted = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.persisted(setup.persistFactor('password1')),
+      password3: mfkdf.derive.factors.password('password3')
+    })
+    persisted.key.toString('hex').should.equal(setup.key.toString('hex'))
+  })
+
+  test('upgrade', async () => {
+    const setup = await verifiable()
+
+    const derive = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('password1'),
+      password2: mfkdf.derive.factors.password('password2')
+    }, { upgrade: { type: 'pbkdf2', params: { digest: 'sha256', rounds: 2000 } } })
+    derive.upgraded.should.be.true
+    derive.policy.commitments.should.not.deep.equal(setup.policy.commitments)
+
+    const derive2 = await mfkdf.derive.key(derive.policy, {
+      password2: mfkdf.derive.factors.password('password2'),
+      password3: mfkdf.derive.factors.password('password3')
+    })
+    derive2.key.toString('hex').should.equal(setup.key.toString('hex'))
+  })
+
+  test('reconstitute', async () => {
+    const setup = await verifiable()
+    const commitments = setup.policy.commitments
+
+    await setup.reconstitute(['password3'], [await mfkdf.setup.factors.password('password4', { id: 'password4' })], 3)
+    setup.policy.commitments.should.have.length(3)
+    setup.policy.commitments.should.not.deep.equal(commitments)
+
+    const derive = await mfkdf.derive.key(setup.policy, {
+      password1: mfkdf.derive.factors.password('password1'),
+      password2: mfkdf.derive.factors.password('password2'),
+      password4: mfkdf.derive.factors.password('password4')
+    })
+    derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+  })
+
+  test('secrets', async () => {
+    const secret = Buffer.concat([Buffer.from('00ff00', 'hex'), Buffer.alloc(29, 7)])
+    const { shares, commitments } = mfkdf.secrets.shareVerifiable(secret, 2, 3)
+    mfkdf.secrets.verifyShare(shares[0], 1, commitments).should.be.true
+    mfkdf.secrets.verifyShare(shares[0], 2, commitments).should.be.false
+    mfkdf.secrets.verifyShare(shares[0].subarray(1), 1, commitments).should.be.false
+    mfkdf.secrets.verifyShare(Buffer.alloc(256, 0xff), 1, commitments).should.be.false
+    mfkdf.secrets.verifyShare(Buffer.alloc(0), 1, commitments).should.be.false
+
+    const corrupt = Buffer.from(shares[1])
+    corrupt[255] ^= 1
+    mfkdf.secrets.combine([shares[0], corrupt, shares[2]], 2, 3, commitments).toString('hex').should.equal(secret.toString('hex'))
+    ;(() => {
+      mfkdf.secrets.combine([null, corrupt, shares[2]], 2, 3, commitments)
+    }).should.throw(mfkdf.errors.InsufficientFactorsError)
+    ;(() => {
+      mfkdf.secrets.recover([null, corrupt, shares[2]], 2, 3, commitments)
+    }).should.throw(mfkdf.errors.InsufficientFactorsError)
+
+    const recovered = mfkdf.secrets.recover([shares[0], corrupt, shares[2]], 2, 3, commitments)
+    recovered.map(share => share.toString('hex')).should.deep.equal(shares.map(share => share.toString('hex')))
+  })
+
+  test('invalid', async () => {
+    await verifiable({ verifiable: 'yes' }).should.be.rejectedWith(TypeError)
+    await verifiable({ size: 255 }).should.be.rejectedWith(RangeError)
+    await verifiable({ size: 16 }).should.be.rejectedWith(RangeError)
+
+    const secret = Buffer.alloc(32, 1)
+    const { shares, commitments } = mfkdf.secrets.shareVerifiable(secret, 1, 1)
+    ;(() => { mfkdf.secrets.shareVerifiable('secret', 1, 1) }).should.throw(TypeError)
+    ;(() => { mfkdf.secrets.shareVerifiable(Buffer.alloc(31), 1, 1) }).should.throw(RangeError)
+    ;(() => { mfkdf.secrets.shareVerifiable(Buffer.alloc(255), 1, 1) }).should.throw(RangeError)
+    ;(() => { mfkdf.secrets.shareVerifiable(secret, 1, 'one') }).should.throw(TypeError)
+    ;(() => { mfkdf.secrets.shareVerifiable(secret, 1, 0) }).should.throw(RangeError)
+    ;(() => { mfkdf.secrets.shareVerifiable(secret, 'one', 1) }).should.throw(TypeError)
+    ;(() => { mfkdf.secrets.shareVerifiable(secret, 0, 1) }).should.throw(RangeError)
+    ;(() => { mfkdf.secrets.shareVerifiable(secret, 2, 1) }).should.throw(RangeError)
+    ;(() => { mfkdf.secrets.verifyShare('share', 1, commitments) }).should.throw(TypeError)
+    ;(() => { mfkdf.secrets.verifyShare(shares[0], 'one', commitments) }).should.throw(TypeError)
+    ;(() => { mfkdf.secrets.verifyShare(shares[0], 0, commitments) }).should.throw(RangeError)
+    ;(() => { mfkdf.secrets.verifyShare(shares[0], 1, ['commitment']) }).should.throw(TypeError)
+    ;(() => { mfkdf.secrets.combine(shares, 1, 1, 'commitments') }).should.throw(TypeError)
+    ;(() => { mfkdf.secrets.combine(shares, 1, 2, commitments) }).should.throw(RangeError)
+    ;(() => { mfkdf.secrets.recover(shares, 1, 1, ['commitment']) }).should.throw(TypeError)
+    ;(() => { mfkdf.secrets.recover(shares, 1, 2, commitments) }).should.throw(RangeError)
+  })
+})
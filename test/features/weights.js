@@ -0,0 +1,203 @@
+/* eslint no-unused-expressions: "off" */
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+chai.should()
+
+const mfkdf = require('../../src')
+const { suite, test } = require('mocha')
+
+async function weighted (options = {}) {
+  return await mfkdf.setup.key([
+    await mfkdf.setup.factors.password('hardware', { id: 'hardware' }),
+    await mfkdf.setup.factors.password('password', { id: 'password' }),
+    await mfkdf.setup.factors.password('recovery', { id: 'recovery' })
+  ], Object.assign({ threshold: 3, weights: { hardware: 2 }, kdf: 'pbkdf2', pbkdf2rounds: 1000 }, options))
+}
+
+suite('weights', () => {
+  test('setup', async () => {
+    const setup = await weighted()
+    setup.policy.threshold.should.equal(3)
+    setup.policy.factors[0].weight.should.equal(2)
+    setup.policy.factors[0].pads.should.have.length(1)
+    setup.policy.factors[1].should.not.have.property('weight')
+    setup.policy.factors[1].should.not.have.property('pads')
+    setup.shares.should.have.length(4)
+    setup.entropyBits.weights.should.deep.equal({ hardware: 2, password: 1, recovery: 1 })
+
+    const all = await weighted({ threshold: undefined })
+    all.policy.threshold.should.equal(4)
+  })
+
+  test('derive', async () => {
+    const setup = await weighted()
+
+    const derive1 = await mfkdf.derive.key(setup.policy, {
+      hardware: mfkdf.derive.factors.password('hardware'),
+      password: mfkdf.derive.factors.password('password')
+    })
+    derive1.key.toString('hex').should.equal(setup.key.toString('hex'))
+
+    const derive2 = await mfkdf.derive.key(setup.policy, {
+      hardware: mfkdf.derive.factors.password('hardware'),
+      recovery: mfkdf.derive.factors.password('recovery')
+    })
+    derive2.key.toString('hex').should.equal(setup.key.toString('hex'))
+
+    await mfkdf.derive.key(setup.policy, {
+      password: mfkdf.derive.factors.password('password'),
+      recovery: mfkdf.derive.factors.password('recovery')
+    }).should.be.rejectedWith(mfkdf.errors.InsufficientFactorsError)
+
+    await mfkdf.derive.key(setup.policy, {
+      hardware: mfkdf.derive.factors.password('hardware')
+    }).should.be.rejectedWith(mfkdf.errors.InsufficientFactorsError)
+  })
+
+  test('check', async () => {
+    const setup = await weighted({ checkBits: 32 })
+
+    await mfkdf.derive.key(setup.policy, {
+      hardware: mfkdf.derive.factors.password('wrong'),
+      password: mfkdf.derive.factors.password('password')
+    }).should.be.rejectedWith(mfkdf.errors.FactorVerificationError)
+
+    const derive = await mfkdf.derive.key(setup.policy, {
+      hardware: mfkdf.derive.factors.password('hardware'),
+      password: mfkdf.derive.factors.password('wrong'),
+      recovery: mfkdf.derive.factors.password('recovery')
+    }, { ignoreInvalid: true })
+    derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+  })
+
+  test('persistence', async () => {
+    const setup = await weighted()
+    const hardware = setup.persistFactor('hardware')
+
+    const derive = await mfkdf.derive.key(setup.policy, {
+      hardware: mfkdf.derive.factors.persisted(hardware),
+      recovery: mfkdf.derive.factors.password('recovery')
+    })
+    derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+  })
+
+  test('upgrade', async () => {
+    const setup = await weighted()
+
+    const derive = await mfkdf.derive.key(setup.policy, {
+      hardware: mfkdf.derive.factors.password('hardware'),
+      password: mfkdf.derive.factors.password('password')
+    }, { upgrade: mfkdf.setup.kdf({ kdf: 'pbkdf2', pbkdf2rounds: 2000 }) })
+    derive.policy.factors[0].pads.should.have.length(1)
+    derive.policy.factors[0].pads[0].should.not.equal(setup.policy.factors[0].pads[0])
+
+    const derive2 = await mfkdf.derive.key(derive.policy, {
+      hardware: mfkdf.derive.factors.password('hardware'),
+      recovery: mfkdf.derive.factors.password('recovery')
+    }, { verify: true })
+    derive2.key.toString('hex').should.equal(setup.key.toString('hex'))
+  })
+
+  test('reconstitute', async () => {
+    const setup = await weighted()
+
+    // hardware alone is now enough
+    await setup.reconstitute([], [], 3, { weights: { hardware: 3 } })
+    setup.policy.factors[0].weight.should.equal(3)
+    setup.policy.factors[0].pads.should.have.length(2)
+
+    const derive1 = await mfkdf.derive.key(setup.policy, {
+      hardware: mfkdf.derive.factors.password('hardware')
+    }, { verify: true })
+    derive1.key.toString('hex').should.equal(setup.key.toString('hex'))
+
+    // existing factors keep their weight
+    await setup.reconstitute([], [await mfkdf.setup.factors.password('other', { id: 'other' })], 2)
+    setup.policy.factors[0].weight.should.equal(3)
+
+    // back to one point each
+    await setup.reconstitute(['other'], [], 2, { weights: { hardware: 1 } })
+    setup.policy.factors[0].should.not.have.property('weight')
+    setup.policy.factors[0].should.not.have.property('pads')
+
+    const derive2 = await mfkdf.derive.key(setup.policy, {
+      password: mfkdf.derive.factors.password('password'),
+      recovery: mfkdf.derive.factors.password('recovery')
+    }, { verify: true })
+    derive2.key.toString('hex').should.equal(setup.key.toString('hex'))
+  })
+
+  test('policy', async () => {
+    const setup = await mfkdf.policy.setup(
+      await mfkdf.policy.parse('atLeast(3, hardware * 2, password, (r1 | r2))', [
+        await mfkdf.setup.factors.password('hardware', { id: 'hardware' }),
+        await mfkdf.setup.factors.password('password', { id: 'password' }),
+        await mfkdf.setup.factors.password('r1', { id: 'r1' }),
+        await mfkdf.setup.factors.password('r2', { id: 'r2' })
+      ]), { kdf: 'pbkdf2', pbkdf2rounds: 1000 }
+    )
+
+    mfkdf.policy.toExpression(setup.policy).should.equal('atLeast(3, hardware * 2, password, r1 | r2)')
+    mfkdf.policy.evaluate(setup.policy, ['hardware', 'r2']).should.be.true
+    mfkdf.policy.evaluate(setup.policy, ['password', 'r1', 'r2']).should.be.false
+    mfkdf.policy.satisfyingSets(setup.policy).should.deep.equal([
+      ['hardware', 'password'],
+      ['hardware', 'r1'],
+      ['hardware', 'r2']
+    ])
+    mfkdf.policy.missing(setup.policy, ['password']).should.deep.equal(['hardware'])
+
+    const analysis = mfkdf.policy.analyze(setup.policy, { hardware: 40, password: 10, r1: 20, r2: 30 })
+    analysis.bits.should.equal(50)
+    analysis.path.should.deep.equal(['password', 'hardware'])
+
+    const derive = await mfkdf.policy.derive(setup.policy, {
+      hardware: mfkdf.derive.factors.password('hardware'),
+      r1: mfkdf.derive.factors.password('r1')
+    })
+    derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+  })
+
+  test('expression', async () => {
+    const factor = (id) => ({ id, type: 'password', params: {} })
+    const stack = (threshold, factors) => ({ id: 'stack', type: 'stack', params: { threshold, factors } })
+    mfkdf.policy.toExpression({
+      threshold: 2,
+      factors: [Object.assign(factor('a'), { weight: 2 }), Object.assign(stack(2, [factor('b'), factor('c')]), { weight: 3 })]
+    }).should.equal('atLeast(2, a * 2, (b & c) * 3)')
+
+    await mfkdf.policy.parse('(a | b) * 2', []).should.be.rejectedWith(SyntaxError)
+    await mfkdf.policy.parse('a * 2 & b', []).should.be.rejectedWith(SyntaxError)
+    await mfkdf.policy.parse('atLeast(1, a * 0, b)', []).should.be.rejectedWith(RangeError)
+    await mfkdf.policy.parse('atLeast(4, a * 2, b)', []).should.be.rejectedWith(RangeError)
+  })
+
+  test('invalid', async () => {
+    const factors = [
+      await mfkdf.setup.factors.password('password1', { id: 'password1' }),
+      await mfkdf.setup.factors.password('password2', { id: 'password2' })
+    ]
+    await mfkdf.setup.key(factors, { weights: null }).should.be.rejectedWith(TypeError)
+    await mfkdf.setup.key(factors, { weights: { password1: 1.5 } }).should.be.rejectedWith(TypeError)
+    await mfkdf.setup.key(factors, { weights: { password1: 0 } }).should.be.rejectedWith(RangeError)
+    await mfkdf.setup.key(factors, { weights: { password3: 2 } }).should.be.rejectedWith(RangeError)
+    await mfkdf.setup.key(factors, { threshold: 4, weights: { password1: 2 } }).should.be.rejectedWith(RangeError)
+    await mfkdf.policy.atLeast(1, factors, [1]).should.be.rejectedWith(TypeError)
+
+    const setup = await weighted()
+    await setup.reconstitute([], [], 3, { weights: 'hardware' }).should.be.rejectedWith(TypeError)
+    await setup.reconstitute([], [], 3, { weights: { hardware: 'two' } }).should.be.rejectedWith(TypeError)
+    await setup.reconstitute([], [], 3, { weights: { hardware: -1 } }).should.be.rejectedWith(RangeError)
+    await setup.reconstitute([], [], 3, { weights: { other: 2 } }).should.be.rejectedWith(RangeError)
+    await setup.reconstitute([], [], 5, { weights: { hardware: 2 } }).should.be.rejectedWith(RangeError)
+
+    const policy = JSON.parse(JSON.stringify(setup.policy))
+    policy.factors[0].pads = []
+    const error = await mfkdf.derive.key(policy, {
+      hardware: mfkdf.derive.factors.password('hardware'),
+      password: mfkdf.derive.factors.password('password')
+    }).should.be.rejectedWith(mfkdf.errors.InvalidPolicyError)
+    error.factor.should.equal('hardware')
+  })
+})
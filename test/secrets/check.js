@@ -0,0 +1,54 @@
+/* eslint no-unused-expressions: "off" */
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+chai.should()
+
+const mfkdf = require('../../src')
+const { suite, test } = require('mocha')
+
+suite('secrets/check', () => {
+  test('valid', () => {
+    const share = Buffer.from('12345678')
+    const salt = Buffer.from('salt')
+
+    for (const bits of [1, 8, 16, 32]) {
+      const value = mfkdf.secrets.check(share, salt, 'password', bits)
+      value.should.be.a('number')
+      value.should.be.at.least(0)
+      value.should.be.below(2 ** bits)
+      value.should.equal(mfkdf.secrets.check(share, salt, 'password', bits))
+    }
+
+    mfkdf.secrets.check(share, salt, 'password', 32).should.not.equal(mfkdf.secrets.check(share, salt, 'password2', 32))
+    mfkdf.secrets.check(share, salt, 'password', 32).should.not.equal(mfkdf.secrets.check(share, Buffer.from('salt2'), 'password', 32))
+  })
+
+  test('invalid/type', () => {
+    (() => {
+      mfkdf.secrets.check('hello', Buffer.from('salt'), 'id', 8)
+    }).should.throw(TypeError);
+
+    (() => {
+      mfkdf.secrets.check(Buffer.from('hello'), 'salt', 'id', 8)
+    }).should.throw(TypeError);
+
+    (() => {
+      mfkdf.secrets.check(Buffer.from('hello'), Buffer.from('salt'), 12345, 8)
+    }).should.throw(TypeError);
+
+    (() => {
+      mfkdf.secrets.check(Buffer.from('hello'), Buffer.from('salt'), 'id', 'hello')
+    }).should.throw(TypeError)
+  })
+
+  test('invalid/range', () => {
+    (() => {
+      mfkdf.secrets.check(Buffer.from('hello'), Buffer.from('salt'), 'id', 0)
+    }).should.throw(RangeError);
+
+    (() => {
+      mfkdf.secrets.check(Buffer.from('hello'), Buffer.from('salt'), 'id', 33)
+    }).should.throw(RangeError)
+  })
+})
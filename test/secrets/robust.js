@@ -0,0 +1,85 @@
+/* eslint no-unused-expressions: "off" */
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+chai.should()
+
+const crypto = require('crypto')
+const mfkdf = require('../../src')
+const { suite, test } = require('mocha')
+
+suite('secrets/robust', () => {
+  test('valid', () => {
+    const secret = Buffer.from('hello world')
+    const shares = mfkdf.secrets.share(secret, 3, 7)
+
+    const all = mfkdf.secrets.combineRobust(shares, 3, 7)
+    all.secret.toString().should.equal('hello world')
+    all.invalid.should.deep.equal([])
+
+    const wrong = shares.map((share, index) => [1, 4].includes(index) ? crypto.randomBytes(share.length) : share)
+    const fixed = mfkdf.secrets.combineRobust(wrong, 3, 7)
+    fixed.secret.toString().should.equal('hello world')
+    fixed.invalid.should.deep.equal([1, 4])
+
+    // plain combining uses every share
+    mfkdf.secrets.combine(wrong, 3, 7).toString().should.not.equal('hello world')
+
+    const missing = wrong.map((share, index) => index === 4 ? null : share)
+    const partial = mfkdf.secrets.combineRobust(missing, 3, 7)
+    partial.secret.toString().should.equal('hello world')
+    partial.invalid.should.deep.equal([1])
+  })
+
+  test('threshold', () => {
+    const one = mfkdf.secrets.share(Buffer.from('hello world'), 1, 3)
+    const result = mfkdf.secrets.combineRobust([Buffer.from('wrong'), one[1], one[2]], 1, 3)
+    result.secret.toString().should.equal('hello world')
+    result.invalid.should.deep.equal([0])
+
+    const all = mfkdf.secrets.share(Buffer.from('hello world'), 2, 2)
+    mfkdf.secrets.combineRobust(all, 2, 2).secret.toString().should.equal('hello world')
+  })
+
+  test('inconsistent', () => {
+    const shares = mfkdf.secrets.share(Buffer.from('hello world'), 2, 3)
+
+    // one wrong share in three is detected, but cannot be corrected
+    ;(() => {
+      mfkdf.secrets.combineRobust([shares[0], crypto.randomBytes(shares[1].length), shares[2]], 2, 3)
+    }).should.throw(mfkdf.errors.InsufficientFactorsError)
+
+    ;(() => {
+      mfkdf.secrets.combineRobust([shares[0], null, null], 2, 3)
+    }).should.throw(mfkdf.errors.InsufficientFactorsError)
+  })
+
+  test('trials', () => {
+    const shares = mfkdf.secrets.share(Buffer.from('hello world'), 3, 10)
+
+    // 10 choose 3 = 120 subsets
+    ;(() => {
+      mfkdf.secrets.combineRobust(shares, 3, 10)
+    }).should.throw(mfkdf.errors.TooManyCandidatesError).with.property('code', 'ERR_TOO_MANY_CANDIDATES')
+    mfkdf.secrets.combineRobust(shares, 3, 10, 120).secret.toString().should.equal('hello world')
+
+    // only the provided shares count
+    const missing = shares.map((share, index) => index < 8 ? share : null)
+    mfkdf.secrets.combineRobust(missing, 3, 10, 56).secret.toString().should.equal('hello world')
+    ;(() => { mfkdf.secrets.combineRobust(missing, 3, 10, 55) }).should.throw(mfkdf.errors.TooManyCandidatesError)
+  })
+
+  test('invalid', () => {
+    const shares = mfkdf.secrets.share(Buffer.from('hello world'), 2, 3)
+    ;(() => { mfkdf.secrets.combineRobust('shares', 2, 3) }).should.throw(TypeError)
+    ;(() => { mfkdf.secrets.combineRobust([], 2, 3) }).should.throw(RangeError)
+    ;(() => { mfkdf.secrets.combineRobust(shares, 2, 'three') }).should.throw(TypeError)
+    ;(() => { mfkdf.secrets.combineRobust(shares, 2, 0) }).should.throw(RangeError)
+    ;(() => { mfkdf.secrets.combineRobust(shares, 'two', 3) }).should.throw(TypeError)
+    ;(() => { mfkdf.secrets.combineRobust(shares, 0, 3) }).should.throw(RangeError)
+    ;(() => { mfkdf.secrets.combineRobust(shares, 4, 3) }).should.throw(RangeError)
+    ;(() => { mfkdf.secrets.combineRobust(shares, 2, 4) }).should.throw(RangeError)
+    ;(() => { mfkdf.secrets.combineRobust(shares, 2, 3, 'many') }).should.throw(TypeError)
+    ;(() => { mfkdf.secrets.combineRobust(shares, 2, 3, 0) }).should.throw(RangeError)
+  })
+})
@@ -0,0 +1,101 @@
+/* eslint no-unused-expressions: "off" */
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+chai.should()
+
+const crypto = require('crypto')
+const secrets = require('secrets.js-34r7h')
+const mfkdf = require('../../src')
+const { suite, test } = require('mocha')
+
+// the secrets.js-based implementation used before 1.5.0
+const legacy = {
+  bits: (n) => Math.max(Math.ceil(Math.log(n + 1) / Math.LN2), 3),
+  format: (shares, n, strip) => {
+    const bits = legacy.bits(n)
+    secrets.init(bits)
+    const formatted = []
+    for (const [index, share] of shares.entries()) {
+      if (share) {
+        let hex = share.toString('hex')
+        if (strip && hex.charAt(0) === '0') hex = hex.substring(1)
+        formatted.push(Number(bits).toString(36) + (index + 1).toString(16).padStart((Math.pow(2, bits) - 1).toString(16).length, '0') + hex)
+      }
+    }
+    return formatted
+  },
+  data: (share) => {
+    const components = secrets.extractShareComponents(share)
+    if (components.data.length % 2 === 1) components.data = '0' + components.data
+    return Buffer.from(components.data, 'hex')
+  },
+  share: (secret, k, n) => {
+    secrets.init(legacy.bits(n))
+    return secrets.share(secret.toString('hex'), n, k, 0).map(legacy.data)
+  },
+  combine: (shares, n) => Buffer.from(secrets.combine(legacy.format(shares, n)), 'hex'),
+  recover: (shares, n) => {
+    const formatted = legacy.format(shares, n, true)
+    return Array.from({ length: n }, (_, i) => legacy.data(secrets.newShare(i + 1, formatted)))
+  }
+}
+
+// keep k of the shares at random
+function pick (shares, k) {
+  const kept = shares.map((share, index) => index).sort(() => Math.random() - 0.5).slice(0, k)
+  return shares.map((share, index) => kept.includes(index) ? share : null)
+}
+
+suite('secrets/shamir', () => {
+  test('legacy shares', () => {
+    for (const [k, n] of [[2, 3], [3, 7], [5, 8], [4, 20], [6, 100], [10, 200], [3, 255], [3, 300]]) {
+      for (const size of [1, 16, 17, 32, 64]) {
+        const secret = crypto.randomBytes(size)
+        secret[0] = 0
+        const shares = legacy.share(secret, k, n)
+        const native = mfkdf.secrets.share(secret, k, n)
+        native.map(share => share.length).should.deep.equal(shares.map(share => share.length))
+
+        const subset = pick(shares, k)
+        mfkdf.secrets.combine(subset, k, n).toString('hex').should.equal(secret.toString('hex'))
+        mfkdf.secrets.recover(subset, k, n).map(share => share.toString('hex')).should.deep.equal(shares.map(share => share.toString('hex')))
+      }
+    }
+  })
+
+  test('native shares', () => {
+    for (const [k, n] of [[2, 3], [3, 7], [5, 8], [4, 20], [3, 255]]) {
+      for (const size of [1, 16, 33]) {
+        const secret = crypto.randomBytes(size)
+        const shares = mfkdf.secrets.share(secret, k, n)
+
+        const subset = pick(shares, k)
+        legacy.combine(subset, n).toString('hex').should.equal(secret.toString('hex'))
+        legacy.recover(subset, n).map(share => share.toString('hex')).should.deep.equal(shares.map(share => share.toString('hex')))
+      }
+    }
+  })
+
+  test('distribution', () => {
+    // with 300 shares, words are 9 bits wide; each word of a share should take all 512 values
+    const secret = Buffer.from('00112233445566778899aabbccddeeff', 'hex')
+    const values = new Set()
+    for (let i = 0; i < 2000; i++) {
+      const share = mfkdf.secrets.share(secret, 2, 300)[0]
+      values.add(share[share.length - 1] | ((share[share.length - 2] & 1) << 8))
+    }
+    values.size.should.be.above(400)
+  })
+
+  test('invalid', () => {
+    (() => {
+      mfkdf.secrets.share(Buffer.from('secret'), 2, 2 ** 20)
+    }).should.throw(RangeError)
+
+    // shares that do not interpolate to a marked secret
+    const zero = Buffer.alloc(17)
+    mfkdf.secrets.combine([zero, zero, null], 2, 3).toString('hex').should.match(/^(00)+$/)
+    mfkdf.secrets.combine([crypto.randomBytes(17), crypto.randomBytes(17), null], 2, 3).length.should.be.at.most(17)
+  })
+})
@@ -1,5 +1,8 @@
 /* eslint no-unused-expressions: "off" */
-require('chai').should()
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+chai.should()
 const mfkdf = require('../../src')
 const { suite, test } = require('mocha')
 
@@ -294,6 +297,19 @@ suite('setup/kdf', () => {
   suite('argon2', async () => {
     test('defaults', async () => {
       mfkdf.setup.kdf({
+      }).should.deep.equal({
+        type: 'argon2id-v2',
+        params: {
+          rounds: 2,
+          memory: 24576,
+          parallelism: 1
+        }
+      })
+    })
+
+    test('legacy', async () => {
+      mfkdf.setup.kdf({
+        kdf: 'argon2id'
       }).should.deep.equal({
         type: 'argon2id',
         params: {
@@ -422,4 +438,141 @@ suite('setup/kdf', () => {
       }).should.throw(RangeError)
     })
   })
+
+  test('defaults', async () => {
+    mfkdf.setup.kdf().should.deep.equal(mfkdf.setup.kdf({}))
+  })
+
+  suite('presets', () => {
+    test('argon2', async () => {
+      mfkdf.setup.kdf({
+        kdf: 'argon2id-v2',
+        preset: 'moderate'
+      }).should.deep.equal({
+        type: 'argon2id-v2',
+        params: {
+          rounds: 3,
+          memory: 262144,
+          parallelism: 1
+        }
+      })
+    })
+
+    test('pbkdf2', async () => {
+      mfkdf.setup.kdf({
+        kdf: 'pbkdf2',
+        preset: 'sensitive'
+      }).should.deep.equal({
+        type: 'pbkdf2',
+        params: {
+          rounds: 1200000,
+          digest: 'sha256'
+        }
+      })
+    })
+
+    test('scrypt', async () => {
+      mfkdf.setup.kdf({
+        kdf: 'scrypt',
+        preset: 'interactive'
+      }).params.rounds.should.equal(16384)
+    })
+
+    test('bcrypt', async () => {
+      mfkdf.setup.kdf({
+        kdf: 'bcrypt',
+        preset: 'moderate'
+      }).params.rounds.should.equal(12)
+    })
+
+    test('override', async () => {
+      mfkdf.setup.kdf({
+        kdf: 'argon2id-v2',
+        preset: 'sensitive',
+        argon2mem: 65536
+      }).params.should.deep.equal({
+        rounds: 4,
+        memory: 65536,
+        parallelism: 1
+      })
+    })
+
+    test('invalid', async () => {
+      (() => {
+        mfkdf.setup.kdf({ preset: 123 })
+      }).should.throw(TypeError);
+      (() => {
+        mfkdf.setup.kdf({ preset: 'toString' })
+      }).should.throw(RangeError)
+    })
+  })
+
+  suite('calibrate', () => {
+    test('argon2', async () => {
+      const config = await mfkdf.setup.kdf.calibrate({ kdf: 'argon2id-v2', targetMs: 50, maxMemory: 1024 })
+      config.type.should.equal('argon2id-v2')
+      config.params.rounds.should.be.at.least(1)
+      config.params.memory.should.be.at.most(1024)
+      config.params.parallelism.should.equal(1)
+    })
+
+    test('argon2/memory', async () => {
+      // a single pass over the maximum memory exceeds the budget, so memory is halved until it fits or reaches the minimum
+      const config = await mfkdf.setup.kdf.calibrate({ kdf: 'argon2id-v2', targetMs: 1, maxMemory: 65536 })
+      config.params.rounds.should.equal(1)
+      config.params.memory.should.be.below(65536)
+      config.params.memory.should.be.at.least(8 * config.params.parallelism)
+      Math.log2(65536 / config.params.memory).should.satisfy(Number.isInteger)
+
+      const defaults = await mfkdf.setup.kdf.calibrate({ kdf: 'argon2id-v2', targetMs: 1 })
+      defaults.params.memory.should.be.below(24576)
+      defaults.params.memory.should.be.at.least(8 * defaults.params.parallelism)
+    })
+
+    test('pbkdf2', async () => {
+      // 1000 rounds take well under an eighth of the target, so rounds are scaled up before extrapolating
+      const config = await mfkdf.setup.kdf.calibrate({ kdf: 'pbkdf2', targetMs: 500 })
+      config.type.should.equal('pbkdf2')
+      config.params.rounds.should.be.above(1000)
+      config.params.digest.should.equal('sha256')
+    })
+
+    test('bcrypt', async () => {
+      const config = await mfkdf.setup.kdf.calibrate({ kdf: 'bcrypt', targetMs: 200 })
+      config.params.rounds.should.be.within(4, 31)
+    })
+
+    test('scrypt', async () => {
+      const config = await mfkdf.setup.kdf.calibrate({ kdf: 'scrypt', targetMs: 500, maxMemory: 4096 })
+      config.params.rounds.should.be.within(1024, 4096)
+      Math.log2(config.params.rounds).should.satisfy(Number.isInteger)
+
+      const defaults = await mfkdf.setup.kdf.calibrate({ kdf: 'scrypt', targetMs: 1 })
+      defaults.params.rounds.should.equal(1024)
+    })
+
+    test('key', async () => {
+      const setup = await mfkdf.setup.key([
+        await mfkdf.setup.factors.password('password')
+      ], { kdf: 'argon2id-v2', targetMs: 50, maxMemory: 1024 })
+      setup.policy.kdf.params.memory.should.be.at.most(1024)
+
+      const derive = await mfkdf.derive.key(setup.policy, { password: mfkdf.derive.factors.password('password') })
+      derive.key.toString('hex').should.equal(setup.key.toString('hex'))
+    })
+
+    test('invalid', async () => {
+      await mfkdf.setup.kdf.calibrate({ targetMs: '50' }).should.be.rejectedWith(TypeError)
+      await mfkdf.setup.kdf.calibrate({ targetMs: 0 }).should.be.rejectedWith(RangeError)
+      await mfkdf.setup.kdf.calibrate({ targetMs: 50, maxMemory: 'big' }).should.be.rejectedWith(TypeError)
+      await mfkdf.setup.kdf.calibrate({ targetMs: 50, maxMemory: 0 }).should.be.rejectedWith(RangeError)
+      await mfkdf.setup.kdf.calibrate({ kdf: 'hkdf', targetMs: 50 }).should.be.rejectedWith(RangeError)
+      await mfkdf.setup.kdf.calibrate({ kdf: 'foo', targetMs: 50 }).should.be.rejectedWith(RangeError)
+      await mfkdf.setup.kdf.calibrate({ kdf: 'pbkdf2' }).should.be.rejectedWith(TypeError)
+      await mfkdf.setup.kdf.calibrate().should.be.rejectedWith(TypeError);
+
+      // setup.kdf never benchmarks, so always returns a configuration directly
+      (() => mfkdf.setup.kdf({ targetMs: 50 })).should.throw(TypeError)
+    })
+  })
 })
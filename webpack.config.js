@@ -30,6 +30,7 @@ module.exports = {
         fallback: {
             path: false,
             fs: false,
+            worker_threads: false,
             process: require.resolve("process"),
             crypto: require.resolve("crypto-browserify"),
             buffer: require.resolve("buffer"),